@@ -0,0 +1,108 @@
+// Adaptive media
+// Chooses image and audio files by screen and connection. The site builder
+// (tools/site.js) writes smaller AVIF, WebP and PNG copies of the page's
+// images and lists them in wedding.json's "media" map; music tracks can
+// offer the same recording at several bitrates. Connections are sorted
+// into three tiers from the Network Information API and the Save-Data
+// hint: "low" (Save-Data, 2G), "medium" (3G) and "high" (anything else,
+// or a browser that doesn't say). index.html loads this in <head> and
+// marks the tier on <html> as data-network, which css/media.css reads.
+
+class AdaptiveMedia {
+    static getNetwork() {
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        const saveData = Boolean(connection && connection.saveData);
+        const effectiveType = (connection && connection.effectiveType) || 'unknown';
+
+        let tier = 'high';
+        if (saveData || ['slow-2g', '2g'].includes(effectiveType)) {
+            tier = 'low';
+        } else if (effectiveType === '3g') {
+            tier = 'medium';
+        }
+        return { saveData, effectiveType, tier };
+    }
+
+    // element is <html>, or the <wedding-invitation> element when embedded
+    static markNetwork(element, network = AdaptiveMedia.getNetwork()) {
+        element.dataset.network = network.tier;
+        return network;
+    }
+
+    // Fills the <picture> around img with a <source> per format from the
+    // media map, or just sets img.src when the file has no copies (a
+    // remote image, or a page that wasn't built). options: sizes, how wide
+    // the image is drawn as in the sizes attribute, and the network tier.
+    static fillPicture(img, src, media, options = {}) {
+        const picture = img.parentNode && img.parentNode.nodeName === 'PICTURE' ? img.parentNode : null;
+        const entry = media && media[src.replace(/^\//, '')];
+        if (picture) {
+            picture.querySelectorAll('source').forEach(source => source.remove());
+        }
+        if (!entry) {
+            img.removeAttribute('srcset');
+            img.removeAttribute('sizes');
+            img.src = src;
+            return;
+        }
+
+        const maxWidth = AdaptiveMedia.MAX_WIDTH[options.tier || 'high'];
+        const srcsets = {};
+        entry.variants.forEach(variant => {
+            // The smallest copy is kept even above the limit, so no format is left empty
+            if (variant.width > maxWidth && srcsets[variant.type]) return;
+            srcsets[variant.type] = (srcsets[variant.type] || []).concat(`${variant.src} ${variant.width}w`);
+        });
+
+        const types = Object.keys(srcsets);
+        const fallbackType = types.includes('image/png') ? 'image/png' : types[types.length - 1];
+        if (picture) {
+            types.filter(type => type !== fallbackType).forEach(type => {
+                const source = document.createElement('source');
+                source.type = type;
+                source.srcset = srcsets[type].join(', ');
+                if (options.sizes) source.sizes = options.sizes;
+                picture.insertBefore(source, img);
+            });
+        }
+
+        img.srcset = srcsets[fallbackType].join(', ');
+        if (options.sizes) img.sizes = options.sizes;
+        img.src = src;
+        img.width = entry.width;
+        img.height = entry.height;
+    }
+
+    // The source to play from a track's sources: with bitrates given, the
+    // highest the tier allows (or the lowest there is); otherwise the
+    // first the browser can play
+    static pickAudioSource(sources, tier, canPlay) {
+        const playable = sources.filter(source => !source.type || canPlay(source.type));
+        const rated = playable
+            .filter(source => Number(source.bitrate) > 0)
+            .sort((a, b) => Number(a.bitrate) - Number(b.bitrate));
+        if (!rated.length) return playable[0];
+
+        const limit = AdaptiveMedia.MAX_BITRATE[tier] || Infinity;
+        return rated.filter(source => Number(source.bitrate) <= limit).pop() || rated[0];
+    }
+}
+
+// Widest image copy, in pixels, worth downloading on each tier
+AdaptiveMedia.MAX_WIDTH = {
+    low: 480,
+    medium: 1280,
+    high: Infinity
+};
+
+// Highest audio bitrate, in kbit/s, on each tier
+AdaptiveMedia.MAX_BITRATE = {
+    low: 64,
+    medium: 96,
+    high: Infinity
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdaptiveMedia;
+}
@@ -0,0 +1,151 @@
+// Announcements feed
+// Day-of news from the hosts, followed over Server-Sent Events where the
+// site has a stream, and otherwise polled from the JSON feed: when there
+// is no stream, the browser has no EventSource, or the stream keeps
+// failing (a proxy that buffers it, a static host). Either way onUpdate
+// gets the whole list, oldest first. Which announcements the guest has
+// seen is remembered on the device.
+
+class AnnouncementFeed {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.stream = options.stream || null;
+        this.pollInterval = (options.pollSeconds || 60) * 1000;
+        // onUpdate(announcements, added): added are the ones not in the last list
+        this.onUpdate = options.onUpdate || (() => {});
+        // Given each list that arrived over the stream, for an offline copy
+        this.onStreamed = options.onStreamed || (() => {});
+        this.onError = options.onError || (() => {});
+        this.storageKey = 'wedding-announcements-seen';
+        this.seen = new Set(this.loadSeen());
+        this.announcements = null;
+        this.source = null;
+        this.timer = null;
+        this.failures = 0;
+        // stopped, stream or polling
+        this.mode = 'stopped';
+    }
+
+    loadSeen() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    isSeen(id) {
+        return this.seen.has(id);
+    }
+
+    get unseen() {
+        return (this.announcements || []).filter(announcement => !this.seen.has(announcement.id));
+    }
+
+    markSeen(ids) {
+        ids.forEach(id => this.seen.add(id));
+        // Only ids still in the feed are kept, so the list can't grow forever
+        const current = new Set((this.announcements || []).map(announcement => announcement.id));
+        this.seen = new Set(Array.from(this.seen).filter(id => current.has(id)));
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.seen)));
+        } catch (error) {
+            // Private browsing can refuse storage; they count as seen until the page closes
+        }
+    }
+
+    // The JSON feed first, since it's quick and the service worker keeps a
+    // copy for offline visits; then the stream, or polling
+    start() {
+        this.stop();
+        this.poll();
+        if (this.stream && typeof EventSource !== 'undefined') {
+            this.openStream();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    stop() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.mode = 'stopped';
+    }
+
+    openStream() {
+        const source = new EventSource(this.stream);
+        this.source = source;
+        this.mode = 'stream';
+        this.failures = 0;
+
+        source.addEventListener('announcements', e => {
+            this.failures = 0;
+            try {
+                const announcements = JSON.parse(e.data).announcements;
+                this.update(announcements);
+                this.onStreamed(announcements);
+            } catch (error) {
+                this.onError(error);
+            }
+        });
+        source.addEventListener('error', () => {
+            this.failures += 1;
+            // Closed for good (not an event stream), or dropping again and again
+            if (source.readyState === EventSource.CLOSED || this.failures >= AnnouncementFeed.MAX_STREAM_FAILURES) {
+                source.close();
+                this.source = null;
+                this.onError(new Error('Announcement stream unavailable, polling instead'));
+                this.startPolling();
+            }
+        });
+    }
+
+    startPolling() {
+        this.mode = 'polling';
+        this.timer = setInterval(() => {
+            if (!document.hidden) this.poll();
+        }, this.pollInterval);
+    }
+
+    poll() {
+        return fetch(this.endpoint, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Announcements request failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(body => this.update(body.announcements))
+            .catch(error => this.onError(error));
+    }
+
+    // Lists that change nothing are ignored, so the stream and polling can overlap
+    update(announcements) {
+        if (!Array.isArray(announcements)) {
+            throw new Error('Announcements feed has no "announcements" list');
+        }
+        const list = announcements
+            .filter(announcement => announcement && announcement.id && announcement.message)
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        if (this.announcements && JSON.stringify(list) === JSON.stringify(this.announcements)) return;
+
+        const known = new Set((this.announcements || []).map(announcement => announcement.id));
+        this.announcements = list;
+        this.onUpdate(list, list.filter(announcement => !known.has(announcement.id)));
+    }
+}
+
+// Errors in a row before a stream that keeps reconnecting is given up
+AnnouncementFeed.MAX_STREAM_FAILURES = 3;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnnouncementFeed;
+}
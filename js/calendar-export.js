@@ -0,0 +1,140 @@
+// Add-to-calendar support
+// Builds RFC 5545 iCalendar files and Google Calendar / Outlook web links
+// from the invitation's event data
+
+class CalendarExport {
+    constructor(options = {}) {
+        this.domain = options.domain || 'wedding-invitation';
+        this.reminderMinutes = options.reminderMinutes == null ? 120 : options.reminderMinutes;
+        // The reminder's text for an event title, in the guest's language
+        this.reminderText = options.reminderText || (title => `Reminder: ${title}`);
+    }
+
+    // calendarEvents: [{ id, title, start, end, timeZone, location, description, url }]
+    // with start/end as venue wall-clock times ("2024-12-28T19:00:00") and
+    // timeZone the venue's IANA zone. Without a zone the times stay floating
+    // and calendars show them at the same clock time wherever the guest is
+    toIcs(calendarEvents) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Wedding Invitation//Add to Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        calendarEvents.forEach(calendarEvent => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${calendarEvent.id}-${this.toIcsDate(calendarEvent.start)}@${this.domain}`,
+                `DTSTAMP:${this.toUtcIcsDate(new Date())}`,
+                `DTSTART:${this.getIcsTime(calendarEvent, 'start')}`,
+                `DTEND:${this.getIcsTime(calendarEvent, 'end')}`,
+                `SUMMARY:${this.escapeText(calendarEvent.title)}`
+            );
+            if (calendarEvent.location) lines.push(`LOCATION:${this.escapeText(calendarEvent.location)}`);
+            if (calendarEvent.description) lines.push(`DESCRIPTION:${this.escapeText(calendarEvent.description)}`);
+            if (calendarEvent.url) lines.push(`URL:${calendarEvent.url}`);
+
+            if (this.reminderMinutes > 0) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(this.reminderText(calendarEvent.title))}`,
+                    `TRIGGER:-PT${this.reminderMinutes}M`,
+                    'END:VALARM'
+                );
+            }
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    toBlob(calendarEvents) {
+        return new Blob([this.toIcs(calendarEvents)], { type: 'text/calendar;charset=utf-8' });
+    }
+
+    googleUrl(calendarEvent) {
+        const params = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: calendarEvent.title,
+            dates: `${this.getIcsTime(calendarEvent, 'start')}/${this.getIcsTime(calendarEvent, 'end')}`,
+            details: [calendarEvent.description, calendarEvent.url].filter(Boolean).join('\n\n'),
+            location: calendarEvent.location || ''
+        });
+        if (calendarEvent.timeZone) params.set('ctz', calendarEvent.timeZone);
+        return `https://calendar.google.com/calendar/render?${params}`;
+    }
+
+    outlookUrl(calendarEvent) {
+        const params = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: calendarEvent.title,
+            startdt: EventTime.toIsoString(calendarEvent.start, calendarEvent.timeZone),
+            enddt: EventTime.toIsoString(calendarEvent.end || calendarEvent.start, calendarEvent.timeZone),
+            body: [calendarEvent.description, calendarEvent.url].filter(Boolean).join('\n\n'),
+            location: calendarEvent.location || ''
+        });
+        return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+    }
+
+    // Zoned events are written in UTC, which every calendar reads correctly
+    // without a VTIMEZONE block; floating times stay as they are
+    getIcsTime(calendarEvent, field) {
+        const wallClock = calendarEvent[field] || calendarEvent.start;
+        if (!calendarEvent.timeZone) return this.toIcsDate(wallClock);
+        return this.toUtcIcsDate(EventTime.toDate(wallClock, calendarEvent.timeZone));
+    }
+
+    // Date -> "20241228T140000Z"
+    toUtcIcsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    // "2024-12-28T19:00:00" -> "20241228T190000" (floating local time)
+    toIcsDate(isoString) {
+        const [datePart, timePart = '00:00:00'] = isoString.split('T');
+        const [hours = '00', minutes = '00', seconds = '00'] = timePart.split(':');
+        return `${datePart.replace(/-/g, '')}T${hours}${minutes}${seconds.slice(0, 2)}`;
+    }
+
+    escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space,
+    // without splitting a multi-byte character
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarExport;
+}
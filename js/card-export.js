@@ -0,0 +1,227 @@
+// Invitation card export
+// Draws the card onto a canvas from the invitation details and saves it
+// as a PNG or a single-page PDF, entirely in the browser so it also
+// works offline once the service worker has cached the page
+
+class CardExporter {
+    constructor(options = {}) {
+        this.background = options.background || 'assets/background.png';
+        // A smaller copy kept for offline use, drawn when the background can't load
+        this.fallback = options.fallback || null;
+        this.width = 1488;
+        this.height = 2112;
+        this.colors = Object.assign({
+            panel: '#efe1db',
+            primary: '#226655',
+            secondary: '#c9a961',
+            text: '#333333'
+        }, options.colors);
+        this.fonts = Object.assign({
+            primary: 'Georgia, serif',
+            script: '"Brush Script MT", cursive',
+            arabic: '"Amiri", "Traditional Arabic", serif'
+        }, options.fonts);
+    }
+
+    // details: { bismillah, header[], title, subtitle, unitingText, groom,
+    // bride, blessing, events[{ name, date, time, hijriDate, venueName }], venueName, address,
+    // greeting, direction }
+    // Events carry a venueName only when the functions are held at different halls
+    render(details, scale = 1) {
+        const fontsReady = document.fonts ? document.fonts.ready : Promise.resolve();
+
+        const background = this.loadImage(this.background)
+            .then(image => image || (this.fallback ? this.loadImage(this.fallback) : null));
+
+        return Promise.all([background, fontsReady]).then(([image]) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(this.width * scale);
+            canvas.height = Math.round(this.height * scale);
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            this.drawBackground(ctx, image);
+            this.drawText(ctx, details);
+            return canvas;
+        });
+    }
+
+    loadImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            // A missing background still leaves a usable card
+            image.onerror = () => resolve(null);
+            image.src = src;
+        });
+    }
+
+    drawBackground(ctx, image) {
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (image) {
+            ctx.drawImage(image, 0, 0, this.width, this.height);
+        }
+
+        // The artwork carries sample wording between the pillars; cover it
+        // with a soft panel so only the configured details show
+        ctx.save();
+        ctx.fillStyle = this.colors.panel;
+        ctx.shadowColor = this.colors.panel;
+        ctx.shadowBlur = 60;
+        this.roundedRect(ctx, 360, 400, 768, 1190, 80);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    roundedRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    // Lines as [text, size, options]; options.spacing is the advance to the next line
+    layoutText(details) {
+        const lines = [];
+        const line = (text, size, options = {}) => {
+            if (text) lines.push([text, size, options]);
+        };
+
+        line(details.bismillah, 54, { family: this.fonts.arabic, color: this.colors.secondary, spacing: 90 });
+        line(details.greeting, 38, { italic: true, color: this.colors.primary, spacing: 70 });
+        (details.header || []).forEach((text, index, header) => {
+            line(text, 26, { uppercase: true, spacing: index === header.length - 1 ? 70 : 40 });
+        });
+        line(details.title, 72, { family: this.fonts.script, color: this.colors.primary, spacing: 70 });
+        line(details.subtitle, 32, { italic: true, spacing: 60 });
+        line(details.unitingText, 26, { uppercase: true, spacing: 80 });
+        line(details.groom, 84, { family: this.fonts.script, color: this.colors.primary, spacing: 95 });
+        line('&', 72, { family: this.fonts.script, color: this.colors.secondary, spacing: 95 });
+        line(details.bride, 84, { family: this.fonts.script, color: this.colors.primary, spacing: 90 });
+        line(details.blessing, 24, { uppercase: true, spacing: 70 });
+
+        (details.events || []).forEach(cardEvent => {
+            line(cardEvent.name, 28, { uppercase: true, weight: 'bold', spacing: 40 });
+            const afterDate = cardEvent.venueName ? 40 : 55;
+            line(`${cardEvent.date} · ${cardEvent.time}`, 28, { spacing: cardEvent.hijriDate ? 38 : afterDate });
+            line(cardEvent.hijriDate, 24, { italic: true, color: this.colors.secondary, spacing: afterDate });
+            line(cardEvent.venueName, 26, { italic: true, spacing: 55 });
+        });
+        line(details.venueName, 30, { weight: 'bold', spacing: 42 });
+        line(details.address, 26, { spacing: 40 });
+
+        return lines;
+    }
+
+    drawText(ctx, details) {
+        const centerX = this.width / 2;
+        const maxWidth = 720;
+        const top = 480;
+        const bottom = 1560;
+        const lines = this.layoutText(details);
+
+        // Long itineraries scale the whole block down to stay inside the panel
+        const height = lines.reduce((total, [, , options]) => total + options.spacing, 0);
+        const scale = Math.min(1, (bottom - top) / height);
+        let y = top;
+
+        // Right-to-left languages need the direction set for mixed-script lines
+        ctx.direction = details.direction || 'ltr';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        lines.forEach(([text, size, options]) => {
+            const family = options.family || this.fonts.primary;
+            const weight = options.weight || 'normal';
+            const style = options.italic ? 'italic' : 'normal';
+            const value = options.uppercase ? text.toLocaleUpperCase() : text;
+
+            // Shrink long lines (names, venues) until they fit the panel
+            let fontSize = Math.round(size * scale);
+            do {
+                ctx.font = `${style} ${weight} ${fontSize}px ${family}`;
+                fontSize -= 2;
+            } while (ctx.measureText(value).width > maxWidth && fontSize > 12);
+
+            ctx.fillStyle = options.color || this.colors.text;
+            ctx.fillText(value, centerX, y);
+            y += options.spacing * scale;
+        });
+    }
+
+    toPng(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('PNG export failed'));
+            }, 'image/png');
+        });
+    }
+
+    // Single-page PDF with the card embedded as a JPEG (DCTDecode), sized
+    // to A5 width so it prints at a sensible size
+    toPdf(canvas, title = 'Wedding Invitation') {
+        const jpeg = this.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+        const pageWidth = 419.53;
+        const pageHeight = +(pageWidth * canvas.height / canvas.width).toFixed(2);
+        const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Card Do Q`;
+        const pdfTitle = title.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '');
+
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                '/Resources << /XObject << /Card 5 0 R >> >> /Contents 4 0 R >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            [`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+                jpeg, '\nendstream'],
+            `<< /Title (${pdfTitle}) /Producer (Wedding Invitation) >>`
+        ];
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+        const push = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+
+        push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+        objects.forEach((body, index) => {
+            offsets.push(length);
+            push(`${index + 1} 0 obj\n`);
+            [].concat(body).forEach(push);
+            push('\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`);
+        push(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+        return Promise.resolve(new Blob(parts, { type: 'application/pdf' }));
+    }
+
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardExporter;
+}
@@ -0,0 +1,79 @@
+// Diagnostics log
+// Keeps the last entries of what went wrong (and what happened around it)
+// in memory only, in a fixed-size ring, so a guest whose invitation won't
+// open can send the hosts a report instead of a screenshot. Nothing is
+// stored or sent anywhere unless the guest copies or shares the report.
+
+class Diagnostics {
+    constructor(options = {}) {
+        this.size = options.size || 100;
+        this.buffer = new Array(this.size);
+        this.next = 0;
+        this.count = 0;
+    }
+
+    // level: error, warning or info; detail: an Error, event reason or any value
+    record(level, message, detail) {
+        const entry = { time: new Date().toISOString(), level, message: String(message) };
+        if (detail !== undefined) entry.detail = Diagnostics.describe(detail);
+
+        this.buffer[this.next] = entry;
+        this.next = (this.next + 1) % this.size;
+        this.count = Math.min(this.count + 1, this.size);
+        return entry;
+    }
+
+    // Oldest first
+    get entries() {
+        const start = (this.next - this.count + this.size) % this.size;
+        return Array.from({ length: this.count }, (_, index) => this.buffer[(start + index) % this.size]);
+    }
+
+    clear() {
+        this.buffer = new Array(this.size);
+        this.next = 0;
+        this.count = 0;
+    }
+
+    // sections: { heading: { key: value } }, printed in order before the log
+    buildReport(sections) {
+        const lines = [`Wedding invitation diagnostics, ${new Date().toISOString()}`];
+
+        Object.keys(sections).forEach(heading => {
+            lines.push('', `[${heading}]`);
+            const section = sections[heading] || {};
+            Object.keys(section).forEach(key => {
+                lines.push(`${key}: ${Diagnostics.describe(section[key])}`);
+            });
+        });
+
+        const entries = this.entries;
+        lines.push('', `[Log: ${entries.length} of the last ${this.size}]`);
+        entries.forEach(entry => {
+            lines.push(`${entry.time} ${entry.level} ${entry.message}${entry.detail ? ` - ${entry.detail}` : ''}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // One line for an Error (with where it was thrown), a string or a value.
+    // Errors are recognised by shape, since one from another frame isn't instanceof Error
+    static describe(value) {
+        if (value && typeof value === 'object' && typeof value.name === 'string' && typeof value.message === 'string') {
+            const origin = (value.stack || '').split('\n')
+                .map(line => line.trim())
+                .find(line => line && !line.startsWith(`${value.name}:`) && line !== value.message);
+            return `${value.name}: ${value.message}${origin ? ` (${origin})` : ''}`;
+        }
+        if (value === null || value === undefined || typeof value !== 'object') return String(value);
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Diagnostics;
+}
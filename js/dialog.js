@@ -0,0 +1,115 @@
+// Modal dialog
+// Wraps a role="dialog" element that is hidden until opened. While open,
+// Tab stays within the dialog, Escape and the backdrop close it, and the
+// rest of the page (the dialog's siblings) is inert, apart from the live
+// and toast regions, so messages raised meanwhile are still heard and
+// their buttons still work. Closing returns focus to whatever had it
+// before, usually the button that opened the dialog.
+
+class Dialog {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.onClose = options.onClose || (() => {});
+        this.opener = null;
+        this.inerted = [];
+        this.listeners = new AbortController();
+
+        const listen = (target, type, handler) => target.addEventListener(type, handler, { signal: this.listeners.signal });
+        listen(element, 'keydown', e => this.handleKeydown(e));
+        // A click on the backdrop lands on the dialog element itself
+        listen(element, 'click', e => {
+            if (e.target === element || e.target.closest('[data-dialog-close]')) this.close();
+        });
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    // document, or the shadow root of an embedded invitation
+    get root() {
+        return this.element.getRootNode();
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.opener = this.root.activeElement;
+        this.element.hidden = false;
+        this.setBackgroundInert(true);
+
+        const [first] = this.getFocusable();
+        (this.element.querySelector('[autofocus]') || first || this.element).focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.hidden = true;
+        this.setBackgroundInert(false);
+        if (this.opener && this.opener.isConnected) this.opener.focus();
+        this.opener = null;
+        this.onClose();
+    }
+
+    destroy() {
+        this.element.hidden = true;
+        this.setBackgroundInert(false);
+        this.listeners.abort();
+    }
+
+    // Siblings that were inert already (another open dialog) are left as they were
+    setBackgroundInert(inert) {
+        if (inert) {
+            this.inerted = Array.from(this.element.parentNode.children)
+                .filter(element => element !== this.element && !element.hasAttribute('inert')
+                    && !element.matches(Dialog.STAYS_ACTIVE));
+            this.inerted.forEach(element => element.setAttribute('inert', ''));
+        } else {
+            this.inerted.forEach(element => element.removeAttribute('inert'));
+            this.inerted = [];
+        }
+    }
+
+    getFocusable() {
+        return Array.from(this.element.querySelectorAll(Dialog.FOCUSABLE))
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable();
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = this.root.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+Dialog.FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Left out of the inert background
+Dialog.STAYS_ACTIVE = '[aria-live], .toast-region';
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dialog;
+}
@@ -0,0 +1,97 @@
+// Venue time zones
+// Event times in wedding.json are venue wall-clock strings ("2024-12-28T19:00:00").
+// With the venue's IANA zone ("Asia/Karachi") they become real instants, so the
+// countdown, calendar entries and structured data are right wherever the guest is
+
+class EventTime {
+    // "2024-12-28T19:00" -> { year: 2024, month: 12, day: 28, hour: 19, minute: 0, second: 0 }
+    static parse(wallClock) {
+        const [datePart, timePart = '00:00'] = wallClock.split('T');
+        const [year, month, day] = datePart.split('-').map(Number);
+        const [hour, minute, second = 0] = timePart.split(':').map(Number);
+        return { year, month, day, hour, minute, second: Math.floor(second) };
+    }
+
+    static getParts(date, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+
+        return formatter.formatToParts(date).reduce((parts, { type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+            return parts;
+        }, {});
+    }
+
+    // Minutes the zone is ahead of UTC at the given instant (Asia/Karachi: 300)
+    static getOffset(date, timeZone) {
+        const parts = EventTime.getParts(date, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // Venue wall-clock time as a Date. Without a zone it is read as the
+    // guest's local time, which is only right for guests at the venue
+    static toDate(wallClock, timeZone) {
+        const { year, month, day, hour, minute, second } = EventTime.parse(wallClock);
+        if (!timeZone) return new Date(year, month - 1, day, hour, minute, second);
+
+        // Guess with the offset at the wall-clock reading, then correct once
+        // in case a daylight saving change falls between the two
+        const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+        const guess = asUtc - EventTime.getOffset(new Date(asUtc), timeZone) * 60000;
+        return new Date(asUtc - EventTime.getOffset(new Date(guess), timeZone) * 60000);
+    }
+
+    // The venue's calendar date ("2024-12-28") at an instant
+    static toDateString(date, timeZone) {
+        if (!timeZone) {
+            return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+                .map((value, index) => String(value).padStart(index ? 2 : 4, '0'))
+                .join('-');
+        }
+        const { year, month, day } = EventTime.getParts(date, timeZone);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // "2024-12-28T19:00:00" in Asia/Karachi -> "2024-12-28T19:00:00+05:00"
+    static toIsoString(wallClock, timeZone) {
+        const { year, month, day, hour, minute, second } = EventTime.parse(wallClock);
+        const pad = value => String(value).padStart(2, '0');
+        const local = `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+        if (!timeZone) return local;
+
+        const offset = EventTime.getOffset(EventTime.toDate(wallClock, timeZone), timeZone);
+        const sign = offset < 0 ? '-' : '+';
+        return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    static getGuestTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventTime;
+}
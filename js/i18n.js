@@ -0,0 +1,178 @@
+// Translation bundles and locale handling
+// Bundles live in locales/<language>.json; the default language is always
+// loaded as well so a missing key falls back to it instead of going blank
+
+class I18n {
+    constructor(options = {}) {
+        this.path = options.path || 'locales/';
+        this.languages = options.languages || ['en'];
+        this.defaultLanguage = options.defaultLanguage || this.languages[0];
+        // log(level, message, detail): the invitation's diagnostics log, or the console
+        this.log = options.log || ((level, message, detail) => console.error(`${message}:`, detail));
+        this.storageKey = 'wedding-language';
+        this.bundles = {};
+        this.language = this.defaultLanguage;
+    }
+
+    // ?lang= wins, then the guest's earlier choice, then the browser languages.
+    // An embedded invitation passes its own parameters instead of the page's.
+    detect(params = new URLSearchParams(window.location.search)) {
+        const requested = [
+            params.get('lang'),
+            this.getStoredLanguage(),
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        for (const candidate of requested) {
+            const language = candidate && candidate.toLowerCase().split('-')[0];
+            if (language && this.languages.includes(language)) {
+                return language;
+            }
+        }
+        return this.defaultLanguage;
+    }
+
+    getStoredLanguage() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    remember(language) {
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            // Private browsing can refuse storage; the choice just won't persist
+        }
+    }
+
+    loadBundle(language) {
+        if (this.bundles[language]) return Promise.resolve(this.bundles[language]);
+
+        return fetch(`${this.path}${language}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Translation bundle "${language}" failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(bundle => {
+                this.bundles[language] = bundle;
+                return bundle;
+            });
+    }
+
+    load(language = this.detect()) {
+        const wanted = this.languages.includes(language) ? language : this.defaultLanguage;
+
+        return Promise.all([this.loadBundle(this.defaultLanguage), this.loadBundle(wanted)])
+            .then(() => {
+                this.language = wanted;
+                this.pluralRules = new Intl.PluralRules(this.locale);
+                return wanted;
+            })
+            .catch(error => {
+                this.log('error', 'Translations failed to load', error);
+                this.language = this.bundles[this.defaultLanguage] ? this.defaultLanguage : wanted;
+                return this.language;
+            });
+    }
+
+    get bundle() {
+        return this.bundles[this.language] || this.bundles[this.defaultLanguage] || { meta: {}, messages: {} };
+    }
+
+    // Intl locale for dates and numbers (e.g. "ur-PK")
+    get locale() {
+        return this.bundle.meta.locale || this.language;
+    }
+
+    get dir() {
+        return this.bundle.meta.dir || 'ltr';
+    }
+
+    getLanguageName(language) {
+        const bundle = this.bundles[language];
+        if (bundle && bundle.meta.name) return bundle.meta.name;
+        try {
+            return new Intl.DisplayNames([language], { type: 'language' }).of(language);
+        } catch (error) {
+            return language;
+        }
+    }
+
+    lookup(key) {
+        const current = this.bundle.messages;
+        const fallback = (this.bundles[this.defaultLanguage] || { messages: {} }).messages;
+        return key in current ? current[key] : fallback[key];
+    }
+
+    // t('guest.seats', { count: 3 }) picks guest.seats.<plural category>
+    t(key, vars = {}) {
+        let message;
+        if (typeof vars.count === 'number') {
+            const category = this.pluralRules ? this.pluralRules.select(vars.count) : 'other';
+            message = this.lookup(`${key}.${category}`) || this.lookup(`${key}.other`);
+        }
+        if (message == null) message = this.lookup(key);
+        if (message == null) return key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            name in vars ? this.formatValue(vars[name]) : match
+        ));
+    }
+
+    formatValue(value) {
+        return typeof value === 'number' ? new Intl.NumberFormat(this.locale).format(value) : String(value);
+    }
+
+    // Config strings may be plain or keyed by language: { "en": "...", "ur": "..." }
+    localize(value) {
+        if (value == null || typeof value !== 'object' || Array.isArray(value)) return value;
+        return value[this.language] != null ? value[this.language] : value[this.defaultLanguage];
+    }
+
+    // Resolves every language-keyed value in a config tree (wedding.json,
+    // a guest file), so the code reading it sees plain strings
+    localizeAll(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.localizeAll(item));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const keys = Object.keys(value);
+        const isLanguageMap = keys.length > 0
+            && keys.every(key => /^[a-z]{2,3}$/.test(key))
+            && keys.some(key => this.languages.includes(key));
+        if (isLanguageMap) {
+            return this.localize(value);
+        }
+
+        return keys.reduce((localized, key) => {
+            localized[key] = this.localizeAll(value[key]);
+            return localized;
+        }, {});
+    }
+
+    // Static markup: data-i18n sets text, data-i18n-attr="title:key;aria-label:key" sets attributes
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -0,0 +1,162 @@
+// Page metadata and structured data
+// The page fills these in for the guest's language and invitation; the site
+// builder (tools/site.js) writes the same values into index.html, so link
+// previews and search engines get the real details without running script.
+
+class InvitationMeta {
+    static resolveUrl(config, path) {
+        return new URL(path, config.site.url.replace(/\/?$/, '/')).href;
+    }
+
+    static getCoupleTitle(config) {
+        return `${config.couple.groom} & ${config.couple.bride}`;
+    }
+
+    // Same wording as the date on the invitation itself
+    static formatDate(wallClock, locale) {
+        const { year, month, day } = InvitationMeta.EventTime.parse(wallClock);
+        return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(locale, {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    // config: localized wedding.json; i18n: a loaded I18n
+    // Returns { title, canonical, tags: [{ attribute, key, content }] } where
+    // attribute is "name" or "property", as in <meta name="description">
+    static getTags(config, i18n) {
+        const { couple, events, site, assets } = config;
+        const coupleTitle = InvitationMeta.getCoupleTitle(config);
+        const title = i18n.t('meta.title', { couple: coupleTitle });
+        const summary = i18n.t('meta.summary', { date: InvitationMeta.formatDate(events[0].start, i18n.locale) });
+        const image = InvitationMeta.resolveUrl(config, assets.shareImage);
+        const url = InvitationMeta.resolveUrl(config, '');
+        const tag = (attribute, key, content) => ({ attribute, key, content });
+
+        return {
+            title,
+            canonical: url,
+            tags: [
+                tag('name', 'description', site.description),
+                tag('name', 'keywords', `wedding invitation, Muslim wedding, ${couple.groom}, ${couple.bride}, marriage ceremony, wedding celebration`),
+                tag('name', 'author', coupleTitle),
+                tag('property', 'og:title', title),
+                tag('property', 'og:description', summary),
+                tag('property', 'og:image', image),
+                tag('property', 'og:url', url),
+                tag('property', 'og:site_name', `${coupleTitle} Wedding`),
+                tag('name', 'twitter:title', title),
+                tag('name', 'twitter:description', summary),
+                tag('name', 'twitter:image', image)
+            ].filter(entry => entry.content)
+        };
+    }
+
+    // Events may name their own venue, used as given (a different hall has
+    // its own address, map and notes); otherwise the main venue applies.
+    // Only INHERITED_VENUE_FIELDS carry over from the main venue.
+    static getEventVenue(config, weddingEvent) {
+        const venue = config.venue || {};
+        if (!weddingEvent.venue) return Object.assign({}, venue);
+
+        const inherited = {};
+        InvitationMeta.INHERITED_VENUE_FIELDS
+            .filter(field => venue[field] !== undefined)
+            .forEach(field => {
+                inherited[field] = venue[field];
+            });
+        return Object.assign(inherited, weddingEvent.venue);
+    }
+
+    // schema.org has no "completed" status, so a finished event keeps its
+    // last status; hosts mark changes with "status" on the event in wedding.json
+    static getEventStatus(weddingEvent) {
+        const statuses = {
+            scheduled: 'EventScheduled',
+            rescheduled: 'EventRescheduled',
+            postponed: 'EventPostponed',
+            cancelled: 'EventCancelled'
+        };
+        return `https://schema.org/${statuses[weddingEvent.status] || statuses.scheduled}`;
+    }
+
+    static createPlace(venue) {
+        const place = {
+            '@type': 'Place',
+            name: venue.name,
+            address: Object.assign({ '@type': 'PostalAddress' }, venue.address)
+        };
+        if (InvitationMeta.VenueDirections.hasCoordinates(venue.coordinates)) {
+            place.geo = Object.assign({ '@type': 'GeoCoordinates' }, venue.coordinates);
+        }
+        return place;
+    }
+
+    // One Event per function. With several functions the wedding itself
+    // becomes the parent event and each function points to it as superEvent.
+    static buildStructuredData(config) {
+        const { couple, events, venue, site, assets } = config;
+        const siteUrl = InvitationMeta.resolveUrl(config, '');
+        const eventVenue = weddingEvent => InvitationMeta.getEventVenue(config, weddingEvent);
+        const isoString = (weddingEvent, field = 'start') => InvitationMeta.EventTime.toIsoString(
+            weddingEvent[field] || weddingEvent.start, eventVenue(weddingEvent).timeZone
+        );
+        const time = (weddingEvent, field) => InvitationMeta.EventTime.toDate(
+            weddingEvent[field] || weddingEvent.start, eventVenue(weddingEvent).timeZone
+        );
+        const common = {
+            eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+            image: [InvitationMeta.resolveUrl(config, assets.shareImage)],
+            organizer: {
+                '@type': 'Person',
+                name: `${couple.groom} and ${couple.bride}`
+            }
+        };
+        const byStart = events.slice().sort((a, b) => time(a, 'start') - time(b, 'start'));
+        const byEnd = events.slice().sort((a, b) => time(a, 'end') - time(b, 'end'));
+        const wedding = Object.assign({
+            '@type': 'Event',
+            '@id': `${siteUrl}#wedding`,
+            name: `Wedding of ${couple.groom} and ${couple.bride}`,
+            startDate: isoString(byStart[0]),
+            endDate: isoString(byEnd[byEnd.length - 1], 'end'),
+            eventStatus: InvitationMeta.getEventStatus(events[0]),
+            location: InvitationMeta.createPlace(venue),
+            description: site.description
+        }, common);
+
+        if (events.length === 1) {
+            return Object.assign({ '@context': 'https://schema.org' }, wedding);
+        }
+
+        const functions = events.map(weddingEvent => Object.assign({
+            '@type': 'Event',
+            '@id': `${siteUrl}#event-${weddingEvent.id}`,
+            name: `${weddingEvent.name} - ${couple.groom} & ${couple.bride}`,
+            startDate: isoString(weddingEvent),
+            endDate: weddingEvent.end ? isoString(weddingEvent, 'end') : undefined,
+            eventStatus: InvitationMeta.getEventStatus(weddingEvent),
+            location: InvitationMeta.createPlace(eventVenue(weddingEvent)),
+            description: weddingEvent.notes || site.description,
+            superEvent: { '@id': wedding['@id'] }
+        }, common));
+
+        wedding.subEvent = functions.map(entry => ({ '@id': entry['@id'] }));
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [wedding, ...functions]
+        };
+    }
+}
+
+// An event at another hall is still in the same town
+InvitationMeta.INHERITED_VENUE_FIELDS = ['timeZone'];
+
+// The page loads these as scripts before this one; Node requires them
+InvitationMeta.EventTime = typeof EventTime !== 'undefined' ? EventTime : require('./event-time');
+InvitationMeta.VenueDirections = typeof VenueDirections !== 'undefined' ? VenueDirections : require('./venue-directions');
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvitationMeta;
+}
@@ -0,0 +1,304 @@
+// Background music player
+// Plays the nasheed playlist from wedding.json, crossfading from one track
+// into the next, remembers the guest's play/pause choice and volume across
+// visits, and drives the Media Session so lock screens and headphones work.
+// Nothing is downloaded until the music first plays.
+
+class MusicPlayer {
+    constructor(options = {}) {
+        this.tracks = (options.tracks || [])
+            .map(track => Object.assign({}, track, { sources: track.sources || (track.src ? [{ src: track.src }] : []) }))
+            .filter(track => track.sources.length);
+        this.crossfade = options.crossfade == null ? 4 : options.crossfade;
+        this.album = options.album || '';
+        this.artwork = options.artwork || [];
+        this.onChange = options.onChange || (() => {});
+        // log(level, message, detail): the invitation's diagnostics log, or the console
+        this.log = options.log || ((level, message, detail) => console.error(`${message}:`, detail));
+        // Which of a track's sources to play, given canPlay(type); the
+        // default is the first one the browser supports
+        this.pickSource = options.pickSource
+            || ((sources, canPlay) => sources.find(source => !source.type || canPlay(source.type)));
+        // Whether music plays is the guest's music preference, which the
+        // preferences panel shows too; the volume is kept here
+        this.guestPreferences = options.preferences || new Preferences();
+        this.storageKey = 'wedding-music';
+        this.preferences = this.loadPreferences();
+        this.volume = this.preferences.volume != null
+            ? this.preferences.volume
+            : (options.volume == null ? 0.7 : options.volume);
+        this.index = 0;
+        this.failed = new Set();
+        this.isPlaying = false;
+        this.fadeTimer = null;
+
+        // Two decks so the next track can fade in while the last one fades out
+        this.decks = [this.createDeck(), this.createDeck()];
+        this.deck = this.decks[0];
+    }
+
+    get currentTrack() {
+        return this.tracks[this.index] || null;
+    }
+
+    // Music starts on the first interaction unless the guest paused it last time
+    get autoplay() {
+        return this.guestPreferences.get('music') !== false;
+    }
+
+    get isAvailable() {
+        return this.tracks.length > 0 && this.failed.size < this.tracks.length;
+    }
+
+    loadPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    savePreferences(changes) {
+        Object.assign(this.preferences, changes);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.preferences));
+        } catch (error) {
+            // Private browsing can refuse storage; the choice just won't persist
+        }
+    }
+
+    createDeck() {
+        const audio = new Audio();
+        // A source is only set when a track is about to play
+        audio.preload = 'none';
+
+        audio.addEventListener('loadstart', () => {
+            if (audio === this.deck && !this.isPlaying) this.emit('loading');
+        });
+        audio.addEventListener('canplay', () => {
+            if (audio === this.deck && !this.isPlaying) this.emit('ready');
+        });
+        audio.addEventListener('error', () => this.handleError(audio));
+        audio.addEventListener('timeupdate', () => this.checkCrossfade(audio));
+        audio.addEventListener('ended', () => {
+            if (audio === this.deck && this.isPlaying) this.skip(1);
+        });
+
+        return audio;
+    }
+
+    loadTrack(audio, index) {
+        const track = this.tracks[index];
+        const source = this.pickSource(track.sources, type => audio.canPlayType(type) !== '') || track.sources[0];
+
+        audio.dataset.track = index;
+        // A single track simply repeats instead of crossfading into itself
+        audio.loop = this.tracks.length - this.failed.size <= 1;
+        audio.src = source.src;
+    }
+
+    play() {
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('No playable music'));
+        }
+        if (this.deck.dataset.track !== String(this.index)) {
+            this.loadTrack(this.deck, this.index);
+        }
+
+        this.deck.volume = this.volume;
+        return this.deck.play().then(() => {
+            this.claimMediaSession();
+            this.isPlaying = true;
+            this.emit('playing');
+        });
+    }
+
+    pause() {
+        this.stopFade();
+        this.decks.forEach(audio => audio.pause());
+        this.isPlaying = false;
+        this.emit('paused');
+    }
+
+    // An explicit choice by the guest, remembered for the next visit
+    choose(playing) {
+        const action = playing ? this.play() : Promise.resolve(this.pause());
+        return action.then(() => this.guestPreferences.set({ music: playing }));
+    }
+
+    toggle() {
+        return this.choose(!this.isPlaying);
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        if (!this.fadeTimer) {
+            this.deck.volume = this.volume;
+        }
+        this.savePreferences({ volume: this.volume });
+    }
+
+    // Index of the next track that hasn't failed, wrapping round the playlist
+    findPlayable(start, step) {
+        const count = this.tracks.length;
+        for (let i = 0; i < count; i++) {
+            const index = ((start + i * step) % count + count) % count;
+            if (!this.failed.has(index)) return index;
+        }
+        return -1;
+    }
+
+    skip(step = 1, fade = false) {
+        const index = this.findPlayable(this.index + step, step);
+        if (index === -1) return Promise.resolve();
+
+        const outgoing = this.deck;
+        const incoming = this.decks.find(audio => audio !== outgoing);
+        this.stopFade();
+        this.index = index;
+
+        // While paused, play() loads the new track when it's wanted
+        if (!this.isPlaying) {
+            outgoing.pause();
+            this.emit('ready');
+            return Promise.resolve();
+        }
+
+        this.loadTrack(incoming, index);
+        this.deck = incoming;
+
+        if (!fade) outgoing.pause();
+        incoming.volume = fade ? 0 : this.volume;
+        return incoming.play()
+            .then(() => {
+                if (fade) this.fade(outgoing, incoming);
+                this.emit('playing');
+            })
+            .catch(error => {
+                // Autoplay rules can refuse a track change while the tab is hidden
+                this.log('error', 'Next track failed to play', error);
+                outgoing.pause();
+                this.isPlaying = false;
+                this.emit('paused');
+            });
+    }
+
+    checkCrossfade(audio) {
+        if (audio !== this.deck || !this.isPlaying || this.fadeTimer || audio.loop) return;
+
+        const remaining = audio.duration - audio.currentTime;
+        if (Number.isFinite(remaining) && remaining <= this.crossfade) {
+            this.skip(1, this.crossfade > 0);
+        }
+    }
+
+    fade(outgoing, incoming) {
+        const started = Date.now();
+        const duration = this.crossfade * 1000;
+        const startVolume = outgoing.volume;
+
+        this.fadeTimer = setInterval(() => {
+            const progress = Math.min(1, (Date.now() - started) / duration);
+            outgoing.volume = startVolume * (1 - progress);
+            incoming.volume = this.volume * progress;
+            if (progress === 1) {
+                outgoing.pause();
+                this.stopFade();
+            }
+        }, 100);
+    }
+
+    stopFade() {
+        if (this.fadeTimer) {
+            clearInterval(this.fadeTimer);
+            this.fadeTimer = null;
+        }
+    }
+
+    // One missing or broken file only takes that track out of the playlist
+    handleError(audio) {
+        const index = Number(audio.dataset.track);
+        if (Number.isNaN(index) || this.failed.has(index)) return;
+
+        this.log('error', `Music track "${this.tracks[index].title || index}" failed to load`, audio.error);
+        this.failed.add(index);
+
+        if (!this.isAvailable) {
+            this.stopFade();
+            this.isPlaying = false;
+            this.emit('unavailable');
+        } else if (audio === this.deck) {
+            this.skip(1);
+        }
+    }
+
+    emit(status) {
+        this.updateMediaSession();
+        this.onChange({ status, track: this.currentTrack, index: this.index, volume: this.volume });
+    }
+
+    // The Media Session is one per page, shared by every embedded
+    // invitation, so it belongs to the player that last started playing
+    claimMediaSession() {
+        if (!('mediaSession' in navigator) || MusicPlayer.mediaSessionOwner === this) return;
+        MusicPlayer.mediaSessionOwner = this;
+
+        const handlers = {
+            play: () => this.choose(true).catch(error => this.log('error', 'Music play failed', error)),
+            pause: () => this.choose(false),
+            stop: () => this.choose(false),
+            nexttrack: () => this.skip(1),
+            previoustrack: () => this.skip(-1)
+        };
+        Object.keys(handlers).forEach(action => this.setActionHandler(action, handlers[action]));
+    }
+
+    setActionHandler(action, handler) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Older browsers don't support every action
+        }
+    }
+
+    updateMediaSession() {
+        if (!('mediaSession' in navigator) || MusicPlayer.mediaSessionOwner !== this) return;
+
+        const track = this.currentTrack;
+        if (track && typeof MediaMetadata !== 'undefined') {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: track.title || '',
+                artist: track.artist || '',
+                album: this.album,
+                artwork: this.artwork
+            });
+        }
+        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+    }
+
+    destroy() {
+        this.stopFade();
+        // Dropping the source stops the download too, not just playback
+        this.decks.forEach(audio => {
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+        });
+        this.isPlaying = false;
+        // Another invitation's player keeps its controls
+        if ('mediaSession' in navigator && MusicPlayer.mediaSessionOwner === this) {
+            MusicPlayer.mediaSessionOwner = null;
+            ['play', 'pause', 'stop', 'nexttrack', 'previoustrack'].forEach(action => this.setActionHandler(action, null));
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+        }
+    }
+}
+
+// The player whose handlers the Media Session holds
+MusicPlayer.mediaSessionOwner = null;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MusicPlayer;
+}
@@ -0,0 +1,249 @@
+// Falling particle effects
+// One canvas and one requestAnimationFrame loop with a fixed particle budget.
+// The loop pauses while the tab is hidden, thins the particles out when
+// frames get slow, and stops for guests who prefer reduced motion
+
+class ParticleEngine {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.maxParticles = options.maxParticles || 60;
+        this.palettes = Object.assign({}, ParticleEngine.DEFAULT_PALETTES, options.palettes);
+        this.effect = ParticleEngine.EFFECTS[options.effect] ? options.effect : 'petals';
+        this.particles = [];
+        this.density = 1;
+        this.frameTime = 1000 / 60;
+        this.lastFrame = 0;
+        this.frameId = null;
+        this.wanted = false;
+        this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        // The guest's preference (js/preferences.js): system, full or reduce
+        this.motion = options.motion || 'system';
+
+        this.handleFrame = this.handleFrame.bind(this);
+        this.handleResize = this.resize.bind(this);
+        this.handleVisibility = () => this.update();
+        this.handleMotion = () => this.update();
+    }
+
+    get isRunning() {
+        return this.frameId !== null;
+    }
+
+    get reducedMotion() {
+        return this.motion === 'reduce' || (this.motion !== 'full' && this.motionQuery.matches);
+    }
+
+    setMotion(motion) {
+        this.motion = motion;
+        this.update();
+    }
+
+    start() {
+        if (!this.wanted) {
+            this.wanted = true;
+            window.addEventListener('resize', this.handleResize);
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            this.motionQuery.addEventListener('change', this.handleMotion);
+            this.resize();
+        }
+        this.update();
+    }
+
+    stop() {
+        this.wanted = false;
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        this.motionQuery.removeEventListener('change', this.handleMotion);
+        this.update();
+    }
+
+    // Run only while wanted, visible and allowed to move
+    update() {
+        const shouldRun = this.wanted && !document.hidden && !this.reducedMotion;
+
+        if (shouldRun && !this.isRunning) {
+            this.lastFrame = 0;
+            this.frameId = requestAnimationFrame(this.handleFrame);
+        } else if (!shouldRun && this.isRunning) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+
+        // Reduced motion and stopping clear the sky; a hidden tab keeps its particles
+        if (!this.wanted || this.reducedMotion) {
+            this.particles = [];
+            this.clear();
+        }
+    }
+
+    setEffect(effect) {
+        if (!ParticleEngine.EFFECTS[effect]) return;
+
+        this.effect = effect;
+        // Let the current particles finish falling and respawn as the new effect
+        this.particles.forEach(particle => {
+            particle.retired = true;
+        });
+    }
+
+    resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        // The canvas fills the window on the invitation's own page and its
+        // element's box when embedded
+        this.width = this.canvas.clientWidth || window.innerWidth;
+        this.height = this.canvas.clientHeight || window.innerHeight;
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(this.height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.width || this.canvas.width, this.height || this.canvas.height);
+    }
+
+    handleFrame(time) {
+        const elapsed = this.lastFrame ? Math.min(time - this.lastFrame, 100) : 16;
+        this.lastFrame = time;
+        this.adjustDensity(elapsed);
+
+        this.clear();
+        this.spawn();
+        this.particles = this.particles.filter(particle => {
+            this.move(particle, elapsed / 1000);
+            const gone = particle.y - particle.size > this.height;
+            if (!gone) this.draw(particle);
+            return !gone;
+        });
+
+        this.frameId = requestAnimationFrame(this.handleFrame);
+    }
+
+    // Slow frames (under ~45 fps) shed particles; smooth ones win them back
+    adjustDensity(elapsed) {
+        this.frameTime += (elapsed - this.frameTime) * 0.05;
+
+        if (this.frameTime > 22) {
+            this.density = Math.max(0.2, this.density - 0.01);
+        } else if (this.frameTime < 18) {
+            this.density = Math.min(1, this.density + 0.002);
+        }
+    }
+
+    // Top up to the budget a few at a time so they don't fall as one sheet
+    spawn() {
+        const target = Math.round(this.maxParticles * this.density);
+        const live = this.particles.filter(particle => !particle.retired).length;
+
+        for (let i = live; i < target && i < live + 2; i++) {
+            this.particles.push(this.createParticle());
+        }
+    }
+
+    createParticle() {
+        const palette = this.palettes[this.effect] || ParticleEngine.DEFAULT_PALETTES.petals;
+        const particle = {
+            effect: this.effect,
+            x: Math.random() * this.width,
+            y: -20,
+            size: 5 + Math.random() * 4,
+            speed: 40 + Math.random() * 50,
+            sway: 15 + Math.random() * 25,
+            phase: Math.random() * Math.PI * 2,
+            rotation: Math.random() * Math.PI * 2,
+            spin: (Math.random() - 0.5) * 3,
+            color: palette[Math.floor(Math.random() * palette.length)],
+            opacity: 0.6 + Math.random() * 0.3
+        };
+
+        const effect = ParticleEngine.EFFECTS[this.effect];
+        return effect.create ? Object.assign(particle, effect.create(particle)) : particle;
+    }
+
+    move(particle, seconds) {
+        particle.phase += seconds * 1.5;
+        particle.y += particle.speed * seconds;
+        particle.x += Math.sin(particle.phase) * particle.sway * seconds;
+        particle.rotation += particle.spin * seconds;
+    }
+
+    draw(particle) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(particle.x, particle.y);
+        ctx.rotate(particle.rotation);
+        ctx.globalAlpha = particle.opacity;
+        ctx.fillStyle = particle.color;
+        ParticleEngine.EFFECTS[particle.effect].draw(ctx, particle);
+        ctx.restore();
+    }
+
+    destroy() {
+        this.stop();
+        this.particles = [];
+    }
+}
+
+// Colours come from the theme and effects.palettes in wedding.json; these fill any gaps
+ParticleEngine.DEFAULT_PALETTES = {
+    petals: ['#dc143c', '#ff0000', '#cc0000', '#b22222', '#8b0000'],
+    confetti: ['#c9a961', '#e6c875', '#b8860b', '#f5deb3'],
+    jasmine: ['#ffffff', '#fffaf0', '#f8f4e3'],
+    stars: ['#ffd700', '#fff8dc', '#c9a961']
+};
+
+// Each effect shapes its particles at the origin; the engine has already
+// moved, rotated and coloured the context
+ParticleEngine.EFFECTS = {
+    petals: {
+        draw(ctx, { size }) {
+            ctx.beginPath();
+            ctx.moveTo(0, -size);
+            ctx.bezierCurveTo(size, -size / 2, size * 0.6, size, 0, size);
+            ctx.bezierCurveTo(-size * 0.6, size, -size, -size / 2, 0, -size);
+            ctx.fill();
+        }
+    },
+    confetti: {
+        create: () => ({ spin: (Math.random() - 0.5) * 8, speed: 60 + Math.random() * 60 }),
+        draw(ctx, { size, phase }) {
+            // Flutter by squashing the strip as it turns
+            ctx.scale(1, Math.cos(phase * 3));
+            ctx.fillRect(-size, -size / 3, size * 2, size * 0.66);
+        }
+    },
+    jasmine: {
+        create: () => ({ speed: 25 + Math.random() * 30, spin: (Math.random() - 0.5) * 1.5 }),
+        draw(ctx, { size }) {
+            for (let i = 0; i < 5; i++) {
+                ctx.rotate(Math.PI * 2 / 5);
+                ctx.beginPath();
+                ctx.ellipse(0, -size * 0.6, size * 0.35, size * 0.6, 0, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.fillStyle = '#f2d16b';
+            ctx.beginPath();
+            ctx.arc(0, 0, size * 0.2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    stars: {
+        create: () => ({ speed: 15 + Math.random() * 20, sway: 5 + Math.random() * 10 }),
+        draw(ctx, { size, phase, opacity }) {
+            ctx.globalAlpha = opacity * (0.6 + 0.4 * Math.sin(phase * 4));
+            ctx.beginPath();
+            for (let i = 0; i < 10; i++) {
+                const radius = i % 2 === 0 ? size : size * 0.45;
+                const angle = Math.PI / 5 * i - Math.PI / 2;
+                ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+            }
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleEngine;
+}
@@ -0,0 +1,203 @@
+// Photo outbox shared by the page and the service worker
+// Photos are compressed in the page, wait in IndexedDB and go up in chunks.
+// The server remembers how much of each photo it has, so an upload cut off
+// by a network drop carries on from there instead of starting over.
+
+class PhotoQueue {
+    // log(level, message, detail): the page's diagnostics log, or the
+    // service worker's report to the page; the console otherwise
+    constructor(options = {}) {
+        this.log = options.log || ((level, message, detail) => console.error(`${message}:`, detail));
+        this.dbName = 'wedding-photos';
+        this.storeName = 'photo-outbox';
+        this.dbVersion = 1;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    transaction(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    // photo: { id, name, blob, uploader, guestToken }. Like RSVP replies,
+    // entries carry their endpoint so the service worker can send them
+    add(endpoint, photo, chunkSize = PhotoQueue.CHUNK_SIZE) {
+        const entry = {
+            id: photo.id,
+            endpoint,
+            chunkSize,
+            name: photo.name,
+            type: photo.blob.type,
+            size: photo.blob.size,
+            blob: photo.blob,
+            uploader: photo.uploader || null,
+            guestToken: photo.guestToken || null,
+            uploaded: 0,
+            queuedAt: Date.now()
+        };
+        return this.transaction('readwrite', store => store.put(entry)).then(() => entry);
+    }
+
+    put(entry) {
+        return this.transaction('readwrite', store => store.put(entry));
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    remove(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Upload every queued photo in order, reporting progress as
+    // { id, name, size, uploaded, status } with status uploading, done or
+    // failed. Rejects if any photo is still waiting afterwards so
+    // background sync will try again later.
+    flush(onProgress = () => {}) {
+        return this.getAll().then(entries => {
+            let sent = 0;
+            let pending = 0;
+
+            const sendAll = entries.reduce((chain, entry) => chain.then(() => {
+                return this.upload(entry, onProgress)
+                    .then(() => {
+                        sent++;
+                        onProgress(PhotoQueue.describe(entry, 'done'));
+                        return this.remove(entry.id);
+                    })
+                    .catch(error => {
+                        if (error.permanent) {
+                            // The server refused this photo; retrying won't help
+                            this.log('error', 'Photo rejected by server, dropping it', error);
+                            onProgress(PhotoQueue.describe(entry, 'failed'));
+                            return this.remove(entry.id);
+                        }
+                        pending++;
+                    });
+            }), Promise.resolve());
+
+            return sendAll.then(() => {
+                if (pending > 0) {
+                    throw new Error(`${pending} photo${pending === 1 ? '' : 's'} still waiting to be uploaded`);
+                }
+                return sent;
+            });
+        });
+    }
+
+    // Ask the server how far it got, then send the rest one chunk at a time
+    upload(entry, onProgress) {
+        return PhotoQueue.request(`${entry.endpoint}/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: entry.id,
+                name: entry.name,
+                type: entry.type,
+                size: entry.size,
+                uploader: entry.uploader,
+                guestToken: entry.guestToken
+            })
+        }).then(status => this.sendChunks(entry, status.received, onProgress));
+    }
+
+    sendChunks(entry, offset, onProgress) {
+        entry.uploaded = offset;
+        onProgress(PhotoQueue.describe(entry, 'uploading'));
+        if (offset >= entry.size) return Promise.resolve();
+
+        const params = new URLSearchParams({ id: entry.id, offset: String(offset) });
+        return PhotoQueue.request(`${entry.endpoint}/chunk?${params}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: entry.blob.slice(offset, offset + entry.chunkSize)
+        })
+            // Remember the offset so a reload shows how far the photo got
+            .then(status => this.put(Object.assign({}, entry, { uploaded: status.received }))
+                .then(() => this.sendChunks(entry, status.received, onProgress)));
+    }
+
+    static describe(entry, status) {
+        return { id: entry.id, name: entry.name, size: entry.size, uploaded: entry.uploaded, status };
+    }
+
+    // A 409 carries the server's offset when another tab or the service
+    // worker got there first; it is answered like a normal reply
+    static request(url, options) {
+        return fetch(url, options).then(response => {
+            if (response.ok || response.status === 409) {
+                return response.json();
+            }
+            const error = new Error(`Photo endpoint responded with status ${response.status}`);
+            error.permanent = PhotoQueue.PERMANENT_FAILURES.includes(response.status);
+            throw error;
+        });
+    }
+
+    // Redraws the photo at most maxDimension pixels on its longer side and
+    // re-encodes it as JPEG. Only pixels are copied, so EXIF metadata
+    // (location, camera serial) stays behind; the browser has already
+    // applied the EXIF orientation when decoding.
+    static compress(file, options = {}) {
+        const maxDimension = options.maxDimension || 2048;
+        const quality = options.quality || 0.82;
+
+        return createImageBitmap(file).then(bitmap => {
+            const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+            const canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(width, height)
+                : Object.assign(document.createElement('canvas'), { width, height });
+
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency; PNG screenshots get a white backdrop
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+            context.drawImage(bitmap, 0, 0, width, height);
+            bitmap.close();
+
+            if (canvas.convertToBlob) {
+                return canvas.convertToBlob({ type: 'image/jpeg', quality });
+            }
+            return new Promise((resolve, reject) => canvas.toBlob(blob => (
+                blob ? resolve(blob) : reject(new Error('Photo could not be encoded'))
+            ), 'image/jpeg', quality));
+        });
+    }
+}
+
+// Small enough to finish between network drops on a weak connection
+PhotoQueue.CHUNK_SIZE = 256 * 1024;
+
+// Statuses meaning the photo itself was refused
+PhotoQueue.PERMANENT_FAILURES = [400, 413, 415, 422];
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoQueue;
+}
@@ -0,0 +1,79 @@
+// Guest preferences
+// Music, motion, text size and contrast, chosen in the preferences panel and
+// remembered across visits. index.html loads this in <head> and applies the
+// saved choice straight away, so the first paint already has the guest's
+// text size and contrast; css/styles.css reads the data attributes.
+
+class Preferences {
+    constructor() {
+        this.storageKey = 'wedding-preferences';
+        this.values = Object.assign({}, Preferences.DEFAULTS, this.loadStored());
+    }
+
+    loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            // Only known keys with allowed values, so an old or edited entry can't break the page
+            return Object.keys(Preferences.OPTIONS).reduce((values, key) => {
+                if (Preferences.OPTIONS[key].includes(stored[key])) values[key] = stored[key];
+                return values;
+            }, {});
+        } catch (error) {
+            return {};
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(changes) {
+        Object.keys(changes)
+            .filter(key => Preferences.OPTIONS[key] && Preferences.OPTIONS[key].includes(changes[key]))
+            .forEach(key => {
+                this.values[key] = changes[key];
+            });
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            // Private browsing can refuse storage; the choice lasts until the page closes
+        }
+    }
+
+    // The guest's choice wins; "system" follows prefers-reduced-motion
+    reducedMotion(systemPrefersReduced) {
+        const motion = this.values.motion;
+        return motion === 'reduce' || (motion === 'system' && systemPrefersReduced);
+    }
+
+    // element is <html>, or the <wedding-invitation> element when embedded
+    apply(element) {
+        element.dataset.textSize = this.values.textSize;
+        element.dataset.motion = this.values.motion;
+        if (this.values.highContrast) {
+            element.dataset.contrast = 'high';
+        } else {
+            delete element.dataset.contrast;
+        }
+    }
+}
+
+Preferences.DEFAULTS = {
+    music: true,
+    motion: 'system',
+    textSize: 'normal',
+    highContrast: false
+};
+
+// Allowed values, in the order the panel offers them
+Preferences.OPTIONS = {
+    music: [true, false],
+    motion: ['system', 'full', 'reduce'],
+    textSize: ['normal', 'large', 'larger'],
+    highContrast: [false, true]
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Preferences;
+}
@@ -0,0 +1,440 @@
+// QR codes for the invitation link, drawn in the browser
+// Byte mode only (links are UTF-8 text), versions 1 to 40, with the
+// smallest version that fits chosen automatically. Nothing leaves the page:
+// the link is never sent to a QR service.
+
+class QrCode {
+    // options.level is the error correction level: L, M, Q or H. Higher
+    // levels survive smudged or creased print at the cost of a denser code
+    constructor(text, options = {}) {
+        this.level = options.level || 'M';
+        if (!QrCode.LEVELS[this.level]) {
+            throw new Error(`Unknown QR error correction level: ${this.level}`);
+        }
+
+        const data = Array.from(new TextEncoder().encode(String(text)));
+        this.version = QrCode.chooseVersion(data.length, this.level);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(this.encodeData(data)));
+        this.mask = this.applyBestMask();
+        delete this.reserved;
+    }
+
+    isDark(x, y) {
+        return x >= 0 && y >= 0 && x < this.size && y < this.size && this.modules[y][x];
+    }
+
+    setModule(x, y, dark, reserve = true) {
+        this.modules[y][x] = dark;
+        if (reserve) this.reserved[y][x] = true;
+    }
+
+    // Finders, separators, timing, alignment, and room for the format and
+    // version information that is written once the mask is known
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setModule(6, i, i % 2 === 0);
+            this.setModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && y >= 0 && x < this.size && y < this.size) {
+                        this.setModule(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = QrCode.alignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // The corners belong to the finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    // Level and mask, BCH protected, in two copies around the finders
+    drawFormatBits(mask) {
+        const data = (QrCode.LEVELS[this.level].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setModule(8, i, bit(i));
+        this.setModule(8, 7, bit(6));
+        this.setModule(8, 8, bit(7));
+        this.setModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setModule(8, this.size - 15 + i, bit(i));
+        // Always dark
+        this.setModule(8, this.size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setModule(a, b, dark);
+            this.setModule(b, a, dark);
+        }
+    }
+
+    // Mode, length and bytes, then the terminator and padding up to the
+    // version's data capacity
+    encodeData(data) {
+        const capacity = QrCode.dataCodewords(this.version, this.level);
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(data.length, this.version <= 9 ? 8 : 16);
+        data.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, capacity * 8 - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    // Split into blocks, add Reed-Solomon codewords to each, and interleave
+    addErrorCorrection(data) {
+        const { eccPerBlock, blocks: blockCounts } = QrCode.LEVELS[this.level];
+        const blockCount = blockCounts[this.version];
+        const eccLength = eccPerBlock[this.version];
+        const rawCodewords = Math.floor(QrCode.rawDataModules(this.version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortLength = Math.floor(rawCodewords / blockCount) - eccLength;
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ecc: QrCode.reedSolomonRemainder(block, divisor) });
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return result;
+    }
+
+    // Two-module-wide columns, zigzagging up and down from the bottom right
+    // and stepping over the vertical timing pattern
+    drawCodewords(codewords) {
+        let index = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.reserved[y][x] && index < codewords.length * 8) {
+                        const dark = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        this.setModule(x, y, dark, false);
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Masks are their own inverse, so each one is tried and undone in turn
+    applyBestMask() {
+        let best = 0;
+        let lowest = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < lowest) {
+                best = mask;
+                lowest = penalty;
+            }
+            this.applyMask(mask);
+        }
+
+        this.applyMask(best);
+        this.drawFormatBits(best);
+        return best;
+    }
+
+    applyMask(mask) {
+        const condition = QrCode.MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // The standard's four penalty rules: long runs, 2x2 blocks,
+    // finder-like patterns and an uneven dark/light balance
+    getPenalty() {
+        let penalty = 0;
+        let dark = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Light modules beyond the edge count as the quiet zone
+            const padded = [false, false, false, false].concat(line, [false, false, false, false]);
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const pattern = padded.slice(i, i + 11).map(Number).join('');
+                if (pattern === '10111010000' || pattern === '00001011101') penalty += 40;
+            }
+        });
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const color = this.modules[y][x];
+                if (color) dark++;
+                if (x < this.size - 1 && y < this.size - 1
+                    && color === this.modules[y][x + 1]
+                    && color === this.modules[y + 1][x]
+                    && color === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = this.size * this.size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // A single path of one-unit squares; scales to any print size.
+    // options: { margin (modules of quiet zone, 4 by default), dark, light, title }
+    toSvg(options = {}) {
+        const margin = options.margin == null ? 4 : options.margin;
+        const dark = options.dark || '#000000';
+        const light = options.light || '#ffffff';
+        const extent = this.size + margin * 2;
+        const squares = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) squares.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            }
+        }
+        const title = options.title
+            ? `<title>${String(options.title).replace(/[<>&]/g, char => `&#${char.charCodeAt(0)};`)}</title>`
+            : '';
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+            `${title}<rect width="100%" height="100%" fill="${light}"/><path d="${squares.join('')}" fill="${dark}"/></svg>`;
+    }
+
+    // Draw onto a 2D context at (left, top), each module scale pixels wide,
+    // quiet zone included
+    drawTo(ctx, left, top, scale, options = {}) {
+        const margin = options.margin == null ? 4 : options.margin;
+        const extent = (this.size + margin * 2) * scale;
+
+        ctx.fillStyle = options.light || '#ffffff';
+        ctx.fillRect(left, top, extent, extent);
+        ctx.fillStyle = options.dark || '#000000';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    ctx.fillRect(left + (x + margin) * scale, top + (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+        return extent;
+    }
+
+    // Square PNG of the code with its quiet zone, for printing
+    toPng(scale = 16, options = {}) {
+        const margin = options.margin == null ? 4 : options.margin;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = (this.size + margin * 2) * scale;
+        this.drawTo(canvas.getContext('2d'), 0, 0, scale, options);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('PNG export failed'));
+            }, 'image/png');
+        });
+    }
+
+    static chooseVersion(byteCount, level) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + byteCount * 8 <= QrCode.dataCodewords(version, level) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Text is too long for a QR code');
+    }
+
+    // Modules left for data and error correction once the function
+    // patterns are drawn
+    static rawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    }
+
+    static dataCodewords(version, level) {
+        const { eccPerBlock, blocks } = QrCode.LEVELS[level];
+        return Math.floor(QrCode.rawDataModules(version) / 8) - eccPerBlock[version] * blocks[version];
+    }
+
+    static alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static multiply(x, y) {
+        let product = 0;
+        for (let i = 7; i >= 0; i--) {
+            product = (product << 1) ^ ((product >>> 7) * 0x11d);
+            product ^= ((y >>> i) & 1) * x;
+        }
+        return product;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const divisor = new Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = QrCode.multiply(divisor[j], root);
+                if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+            }
+            root = QrCode.multiply(root, 0x02);
+        }
+        return divisor;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const remainder = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            divisor.forEach((coefficient, i) => {
+                remainder[i] ^= QrCode.multiply(coefficient, factor);
+            });
+        });
+        return remainder;
+    }
+}
+
+// Error correction codewords per block and block count, indexed by version
+QrCode.LEVELS = {
+    L: {
+        formatBits: 1,
+        eccPerBlock: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    },
+    M: {
+        formatBits: 0,
+        eccPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    Q: {
+        formatBits: 3,
+        eccPerBlock: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+    },
+    H: {
+        formatBits: 2,
+        eccPerBlock: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    }
+};
+
+// Data mask patterns 0 to 7; x is the column, y the row
+QrCode.MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+}
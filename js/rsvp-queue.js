@@ -0,0 +1,121 @@
+// RSVP outbox shared by the page and the service worker
+// Replies wait in IndexedDB until the RSVP endpoint accepts them
+
+class RsvpQueue {
+    // log(level, message, detail): the page's diagnostics log, or the
+    // service worker's report to the page; the console otherwise
+    constructor(options = {}) {
+        this.log = options.log || ((level, message, detail) => console.error(`${message}:`, detail));
+        this.dbName = 'wedding-invitation';
+        this.storeName = 'rsvp-outbox';
+        this.dbVersion = 1;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    transaction(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    // Entries carry their own endpoint so the service worker can replay
+    // them without access to the page's config
+    add(endpoint, reply) {
+        return this.transaction('readwrite', store => store.put({
+            id: reply.id,
+            endpoint,
+            reply,
+            queuedAt: Date.now()
+        }));
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    remove(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    count() {
+        return this.transaction('readonly', store => store.count());
+    }
+
+    // Send every queued reply in order. Rejects if any reply is still
+    // waiting afterwards so background sync will try again later.
+    flush() {
+        return this.getAll().then(entries => {
+            let sent = 0;
+            let pending = 0;
+
+            const sendAll = entries.reduce((chain, entry) => chain.then(() => {
+                return RsvpQueue.send(entry.endpoint, entry.reply)
+                    .then(() => {
+                        sent++;
+                        return this.remove(entry.id);
+                    })
+                    .catch(error => {
+                        if (error.permanent) {
+                            // The endpoint rejected this reply outright; retrying won't help
+                            this.log('error', 'RSVP rejected by server, dropping it', error);
+                            return this.remove(entry.id);
+                        }
+                        pending++;
+                    });
+            }), Promise.resolve());
+
+            return sendAll.then(() => {
+                if (pending > 0) {
+                    throw new Error(`${pending} RSVP repl${pending === 1 ? 'y' : 'ies'} still waiting to be sent`);
+                }
+                return sent;
+            });
+        });
+    }
+
+    static send(endpoint, reply) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(reply)
+        }).then(response => {
+            if (!response.ok) {
+                const error = new Error(`RSVP endpoint responded with status ${response.status}`);
+                error.permanent = RsvpQueue.PERMANENT_FAILURES.includes(response.status);
+                throw error;
+            }
+            return response;
+        });
+    }
+}
+
+// Statuses meaning the reply itself was refused; anything else
+// (offline, server down, misconfigured endpoint) is worth retrying
+RsvpQueue.PERMANENT_FAILURES = [400, 409, 410, 413, 422];
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RsvpQueue;
+}
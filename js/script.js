@@ -2,403 +2,2522 @@
 // Robust, accessible, and optimized for performance
 
 class WeddingInvitation {
-    constructor() {
-        this.music = document.getElementById('bgMusic');
-        this.musicBtn = document.getElementById('musicBtn');
-        this.flowersContainer = document.getElementById('fallingFlowers');
-        this.isPlaying = false;
+    // options (all optional; the invitation's own page passes none):
+    //   root      document or shadow root holding the invitation markup
+    //   host      the <wedding-invitation> element when embedded; events are
+    //             dispatched on it and page-wide behaviour is left alone
+    //   config    wedding.json as an object, instead of fetching configUrl
+    //   configUrl where to fetch wedding.json (default: wedding.json)
+    //   params    URLSearchParams standing in for the page's ?g=, ?lang=,
+    //             ?phase= and ?effect=
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.host = options.host || null;
+        this.container = this.host ? this.root : document.body;
+        this.params = options.params || new URLSearchParams(window.location.search);
+        this.listeners = new AbortController();
+        this.observer = null;
+        this.musicBtn = this.root.getElementById('musicBtn');
+        this.player = null;
+        this.particleCanvas = this.root.getElementById('fallingFlowers');
+        this.particles = null;
+        this.animationsDisabled = false;
         this.isInitialized = false;
-        this.flowersInterval = null;
         this.isOnline = navigator.onLine;
+        this.configUrl = options.configUrl || 'wedding.json';
+        this.initialConfig = options.config || null;
+        this.rawConfig = null;
+        this.config = null;
+        this.rawGuest = null;
+        this.guest = null;
+        this.i18n = null;
+        this.theme = null;
+        this.musicLabelKey = 'music.play';
+        this.phase = null;
+        this.phaseTimer = null;
+        // The minute the live schedule was last drawn for
+        this.scheduleMinute = null;
+        this.clockOffset = 0;
+        this.rsvpForm = this.root.getElementById('rsvpForm');
+        this.guestbookForm = this.root.getElementById('guestbookForm');
+        this.waitingWorker = null;
+        this.updateRequested = false;
+        this.remindersAvailable = false;
+        this.pushSubscription = null;
+        this.panelVenue = null;
+        this.guestPosition = null;
+        this.shareQr = null;
+        // Handed to the modules it creates, so their failures reach the diagnostics log too
+        this.logger = (level, message, detail) => this.log(level, message, detail);
+        this.rsvpQueue = typeof RsvpQueue !== 'undefined' && 'indexedDB' in window ? new RsvpQueue({ log: this.logger }) : null;
+        this.photoQueue = typeof PhotoQueue !== 'undefined' && 'indexedDB' in window ? new PhotoQueue({ log: this.logger }) : null;
+        this.photosAvailable = false;
+        this.photoUploads = new Map();
+        this.photoFlush = null;
+        this.photoFlushAgain = false;
+        this.preferences = new Preferences();
+        this.dialogs = {};
+        this.diagnostics = new Diagnostics();
+        this.toasts = new ToastCentre(this.root.getElementById('toastRegion') || this.container, {
+            dismissLabel: () => this.t('toast.dismiss')
+        });
+        this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.respectsReducedMotion = this.preferences.reducedMotion(this.motionQuery.matches);
         
         this.init();
     }
 
-    init() {
-        this.setupEventListeners();
-        this.setupAccessibility();
-        this.setupErrorHandling();
-        this.setupPerformanceOptimizations();
-        this.loadAssets();
+    init() {
+        // The page's <head> applied these already; an embedded invitation gets them here
+        this.preferences.apply(this.host || document.documentElement);
+        this.network = AdaptiveMedia.markNetwork(this.host || document.documentElement);
+        this.setupEventListeners();
+        this.setupAccessibility();
+        this.setupPerformanceOptimizations();
+        // An embedded invitation shares the page; its errors belong to the page's owner
+        if (!this.host) {
+            this.setupErrorHandling();
+        }
+        this.ready = this.loadConfig();
+    }
+
+    // Every listener goes through here, so destroy() can remove them all
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, Object.assign({ signal: this.listeners.signal }, options));
+    }
+
+    // Kept for the diagnostics report as well as the console.
+    // level: error, warning or info
+    log(level, message, detail) {
+        this.diagnostics.record(level, message, detail);
+        const output = { error: console.error, warning: console.warn }[level] || console.log;
+        if (detail === undefined) {
+            output(message);
+        } else {
+            output(`${message}:`, detail);
+        }
+    }
+
+    // rsvp, download and music-change, for the page around an embedded invitation
+    emit(type, detail) {
+        (this.host || document).dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    fetchConfig() {
+        if (this.initialConfig) return Promise.resolve(this.initialConfig);
+
+        return fetch(this.configUrl).then(response => {
+            if (!response.ok) {
+                throw new Error(`Config request failed with status ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    loadConfig() {
+        return this.fetchConfig()
+            .then(config => {
+                this.rawConfig = config;
+                this.i18n = new I18n(Object.assign({ log: this.logger }, config.i18n));
+                return Promise.all([this.i18n.load(this.i18n.detect(this.params)), this.loadGuest()]);
+            })
+            .then(() => {
+                // An embedded invitation removed while it loaded starts nothing
+                if (this.isDestroyed) return null;
+
+                this.applyTheme();
+                this.applyLanguage();
+                this.renderLanguageSwitcher();
+                this.setupMusic();
+                this.renderInvitation();
+                this.renderCalendarOptions();
+                this.renderShareOptions();
+                this.setupRsvp();
+                this.setupGuestbook();
+                this.setupAnnouncements();
+                this.setupPhotos();
+                this.setupReminders();
+                this.startPhaseTracking();
+                this.updateMetadata();
+                if (!this.host) this.showSection(window.location.hash.slice(1));
+                return this.config;
+            })
+            .catch(error => {
+                if (this.isDestroyed) return null;
+                this.log('error', 'Wedding config failed to load', error);
+                this.showStatus(this.t('status.configFailed'), 'error', {
+                    duration: 0,
+                    action: this.host ? this.getReportAction() : {
+                        label: this.t('update.reload'),
+                        handler: () => window.location.reload()
+                    }
+                });
+                return null;
+            });
+    }
+
+    t(key, vars) {
+        return this.i18n ? this.i18n.t(key, vars) : key;
+    }
+
+    applyLanguage() {
+        this.config = this.i18n.localizeAll(this.rawConfig);
+        this.guest = this.rawGuest ? this.i18n.localizeAll(this.rawGuest) : null;
+
+        const element = this.host || document.documentElement;
+        element.lang = this.i18n.language;
+        element.dir = this.i18n.dir;
+        this.i18n.apply(this.root);
+        this.updateMusicButton(this.musicLabelKey);
+    }
+
+    // The preset and dark mode come from wedding.json; without the Theme
+    // script the stylesheet's own emerald colours stay
+    applyTheme() {
+        if (typeof Theme === 'undefined') return;
+
+        this.theme = new Theme(this.rawConfig.theme);
+        this.theme.apply(this.root);
+    }
+
+    renderLanguageSwitcher() {
+        const select = this.root.getElementById('languageSelect');
+        const switcher = this.root.getElementById('languageSwitcher');
+        if (!select || !switcher) return;
+
+        const languages = this.i18n.languages;
+        select.replaceChildren(...languages.map(language => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.lang = language;
+            option.textContent = this.i18n.getLanguageName(language);
+            option.selected = language === this.i18n.language;
+            return option;
+        }));
+        switcher.hidden = languages.length < 2;
+    }
+
+    setLanguage(language) {
+        if (!this.i18n || language === this.i18n.language) return Promise.resolve();
+
+        return this.i18n.load(language).then(loaded => {
+            this.i18n.remember(loaded);
+            this.applyLanguage();
+            this.renderLanguageSwitcher();
+            this.renderInvitation();
+            this.renderCalendarOptions();
+            this.renderShareOptions();
+            this.renderPhase();
+            this.renderPhotoList();
+            this.renderAnnouncements();
+            this.updateMetadata();
+
+            // Later reminders should arrive in the newly chosen language
+            if (this.pushSubscription) {
+                this.saveSubscription(this.pushSubscription)
+                    .catch(error => this.log('warning', 'Reminder language not updated', error));
+            }
+        });
+    }
+
+    getGuestToken() {
+        const token = this.params.get('g');
+        return token && /^[A-Za-z0-9_-]{4,64}$/.test(token) ? token : null;
+    }
+
+    // Resolve ?g=<token> against the generated guest files. Unknown or
+    // missing tokens leave this.guest null and the generic invitation shows.
+    loadGuest() {
+        const token = this.getGuestToken();
+        const guests = this.rawConfig.guests;
+        if (!token || !guests || !guests.path) return Promise.resolve(null);
+
+        return fetch(`${guests.path}${token}.json`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(guest => {
+                this.rawGuest = guest ? Object.assign({ token }, guest) : null;
+                return this.rawGuest;
+            })
+            .catch(error => {
+                this.log('warning', 'Guest lookup failed, showing the generic invitation', error);
+                return null;
+            });
+    }
+
+    // Events the current guest is invited to (all of them for generic links)
+    getActiveEvents() {
+        const events = this.config.events;
+        const invited = this.guest && this.guest.events;
+        if (!invited || !invited.length) return events;
+
+        const filtered = events.filter(weddingEvent => invited.includes(weddingEvent.id));
+        return filtered.length ? filtered : events;
+    }
+
+    renderGuestGreeting() {
+        const container = this.root.getElementById('guestGreeting');
+        if (!container) return;
+
+        if (!this.guest) {
+            container.hidden = true;
+            return;
+        }
+
+        const { name, greeting, seats } = this.guest;
+        const eventNames = new Intl.ListFormat(this.i18n.locale, { type: 'conjunction' })
+            .format(this.getActiveEvents().map(weddingEvent => weddingEvent.name));
+        const lines = [
+            ['guest-greeting-name', greeting || this.t('guest.greeting', { name })],
+            ['guest-greeting-seats', seats ? this.t('guest.seats', { count: seats }) : ''],
+            ['guest-greeting-events', this.guest.events && this.guest.events.length
+                ? this.t('guest.events', { events: eventNames })
+                : '']
+        ];
+
+        container.replaceChildren(...lines.filter(([, value]) => value).map(([className, value]) => {
+            const p = document.createElement('p');
+            p.className = className;
+            p.textContent = value;
+            return p;
+        }));
+        container.hidden = false;
+    }
+
+    renderInvitation() {
+        const { couple, text, assets } = this.config;
+        const events = this.getActiveEvents();
+
+        this.renderGuestGreeting();
+
+        this.setText('bismillah', text.bismillah);
+        this.setText('ceremonyTitle', text.ceremonyTitle);
+        this.setText('ceremonySubtitle', text.ceremonySubtitle);
+        this.setText('unitingText', text.unitingText);
+        this.setText('groomName', couple.groom);
+        this.setText('brideName', couple.bride);
+        this.setText('blessing', text.blessing);
+
+        const coupleNames = this.root.getElementById('coupleNames');
+        if (coupleNames) {
+            coupleNames.hidden = false;
+        }
+
+        const header = this.root.getElementById('invitationHeader');
+        if (header) {
+            header.replaceChildren(...(text.invitationHeader || []).map(line => {
+                const p = document.createElement('p');
+                p.textContent = line;
+                return p;
+            }));
+        }
+
+        const details = this.root.getElementById('eventDetails');
+        if (details) {
+            details.replaceChildren(...events.map(weddingEvent => this.createEventDetails(weddingEvent, events.length === 1)));
+        }
+
+        const illustration = this.root.querySelector('.couple-illustration');
+        if (illustration && assets.coupleIllustration) {
+            this.fillIllustration(illustration);
+            illustration.alt = this.t('illustration.alt', { groom: couple.groom, bride: couple.bride });
+            illustration.hidden = false;
+        }
+    }
+
+    // The size and format the screen and connection call for, from the
+    // copies tools/site.js build made
+    fillIllustration(illustration) {
+        AdaptiveMedia.fillPicture(illustration, this.config.assets.coupleIllustration, this.config.media, {
+            sizes: '250px',
+            tier: this.network.tier
+        });
+    }
+
+    // Each function is a disclosure: the summary shows when and where,
+    // expanding it adds the address, dress code, notes and map link
+    createEventDetails(weddingEvent, expanded) {
+        const venue = this.getEventVenue(weddingEvent);
+        const { date, time } = this.formatEventDateTime(weddingEvent.start);
+        const item = document.createElement('details');
+        item.className = 'event-item';
+        item.id = `event-${weddingEvent.id}`;
+        item.open = expanded;
+
+        // <summary> only allows phrasing content, so its lines are spans
+        const createLine = (className, value, tagName = 'p') => {
+            const line = document.createElement(tagName);
+            line.className = className;
+            line.textContent = value;
+            return line;
+        };
+
+        const summary = document.createElement('summary');
+        summary.dataset.more = this.t('event.moreDetails');
+        [
+            ['event-name', weddingEvent.name],
+            ['date-time', date],
+            ['hijri-date', this.formatHijriDate(weddingEvent.start)],
+            ['date-time', time],
+            ['guest-local-time', this.formatGuestLocalTime(weddingEvent)],
+            ['venue-name', venue.name]
+        ].forEach(([className, value]) => {
+            if (value) summary.appendChild(createLine(className, value, 'span'));
+        });
+        item.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'event-more';
+        [
+            ['venue-address', this.formatAddress(venue.address)],
+            ['event-dress-code', weddingEvent.dressCode ? this.t('event.dressCode', { dressCode: weddingEvent.dressCode }) : ''],
+            ['event-notes', weddingEvent.notes]
+        ].forEach(([className, value]) => {
+            if (value) body.appendChild(createLine(className, value));
+        });
+
+        if (venue.mapUrl) {
+            const mapLink = document.createElement('a');
+            mapLink.className = 'calendar-link event-map-link';
+            mapLink.href = venue.mapUrl;
+            mapLink.target = '_blank';
+            mapLink.rel = 'noopener';
+            mapLink.textContent = this.t('event.map');
+            mapLink.setAttribute('aria-label', this.t('event.mapLabel', { place: venue.name || weddingEvent.name }));
+            body.appendChild(mapLink);
+        }
+        item.appendChild(body);
+
+        return item;
+    }
+
+    // Events may name their own venue; otherwise the main venue applies
+    getEventVenue(weddingEvent) {
+        return InvitationMeta.getEventVenue(this.config, weddingEvent);
+    }
+
+    setText(id, value) {
+        const element = this.root.getElementById(id);
+        if (element) {
+            element.textContent = value || '';
+            element.hidden = !value;
+        }
+    }
+
+    // Event times are venue wall-clock times ("2024-12-28T19:00:00"), so
+    // format them in UTC to keep the guest's own time zone out of it
+    formatEventDateTime(isoString) {
+        const [datePart, timePart = '00:00'] = isoString.split('T');
+        const [year, month, day] = datePart.split('-').map(Number);
+        const [hours, minutes] = timePart.split(':').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+
+        const locale = this.i18n ? this.i18n.locale : 'en-US';
+
+        return {
+            date: date.toLocaleDateString(locale, {
+                weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+            }),
+            time: date.toLocaleTimeString(locale, {
+                hour: 'numeric', minute: '2-digit', timeZone: 'UTC'
+            })
+        };
+    }
+
+    // Hijri date from the Intl islamic calendar. It is tabular, so
+    // calendar.hijriAdjustment in wedding.json shifts it by whole days to
+    // match the local moon sighting
+    formatHijriDate(isoString) {
+        const [year, month, day] = isoString.split('T')[0].split('-').map(Number);
+        const adjustment = Number((this.config.calendar || {}).hijriAdjustment) || 0;
+        const date = new Date(Date.UTC(year, month - 1, day + adjustment));
+        const locale = this.i18n ? this.i18n.locale : 'en-US';
+
+        try {
+            return date.toLocaleDateString(locale, {
+                calendar: 'islamic', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+            });
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // The start time in the guest's own zone, only when it reads
+    // differently from the venue's clock
+    formatGuestLocalTime(weddingEvent) {
+        const { timeZone } = this.getEventVenue(weddingEvent);
+        const guestZone = EventTime.getGuestTimeZone();
+        if (!timeZone || !guestZone) return '';
+
+        const start = this.getEventTime(weddingEvent);
+        if (EventTime.getOffset(start, timeZone) === EventTime.getOffset(start, guestZone)) return '';
+
+        const time = start.toLocaleString(this.i18n.locale, {
+            weekday: 'short', hour: 'numeric', minute: '2-digit', timeZone: guestZone, timeZoneName: 'short'
+        });
+        return this.t('event.localTime', { time });
+    }
+
+    formatAddress(address = {}) {
+        return [address.streetAddress, address.addressLocality, address.addressRegion, address.addressCountry]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    getCoupleTitle() {
+        return InvitationMeta.getCoupleTitle(this.config);
+    }
+
+    resolveSiteUrl(path) {
+        return InvitationMeta.resolveUrl(this.config, path);
+    }
+
+    // tools/site.js writes the default language's values into index.html;
+    // these follow the guest's language
+    updateMetadata() {
+        if (this.host) return;
+
+        const { title, canonical, tags } = InvitationMeta.getTags(this.config, this.i18n);
+
+        document.title = title;
+        tags.forEach(({ attribute, key, content }) => {
+            const meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+            if (meta) meta.setAttribute('content', content);
+        });
+
+        const link = document.head.querySelector('link[rel="canonical"]');
+        if (link) {
+            link.href = canonical;
+        }
+
+        const structuredData = document.head.querySelector('script[type="application/ld+json"]');
+        if (structuredData) {
+            structuredData.textContent = JSON.stringify(InvitationMeta.buildStructuredData(this.config), null, 4);
+        }
+    }
+
+    // Event times are venue wall-clock strings; the venue's timeZone makes
+    // them real instants. An event without an end is over when it starts
+    getEventTime(weddingEvent, field = 'start') {
+        const { timeZone } = this.getEventVenue(weddingEvent);
+        return EventTime.toDate(weddingEvent[field] || weddingEvent.start, timeZone);
+    }
+
+    // Whether the instant falls on the event's calendar day at the venue
+    isEventDay(weddingEvent, date) {
+        const { timeZone } = this.getEventVenue(weddingEvent);
+        return EventTime.toDateString(date, timeZone) === weddingEvent.start.split('T')[0];
+    }
+
+    now() {
+        return new Date(Date.now() + this.clockOffset);
+    }
+
+    // before: counting down to the next event
+    // live: on the day of an event, until it ends
+    // after: every event is over
+    getPhase(now = this.now()) {
+        const events = this.getActiveEvents();
+        const lastEnd = Math.max(...events.map(weddingEvent => this.getEventTime(weddingEvent, 'end')));
+        if (now >= lastEnd) return 'after';
+
+        const isLive = events.some(weddingEvent => (
+            (this.isEventDay(weddingEvent, now) || now >= this.getEventTime(weddingEvent))
+            && now < this.getEventTime(weddingEvent, 'end')
+        ));
+        return isLive ? 'live' : 'before';
+    }
+
+    getNextEvent(now = this.now()) {
+        return this.getActiveEvents()
+            .filter(weddingEvent => this.getEventTime(weddingEvent) > now)
+            .sort((a, b) => this.getEventTime(a) - this.getEventTime(b))[0] || null;
+    }
+
+    // ?phase=before|live|after previews a phase by shifting the clock to a
+    // moment inside it, so the countdown and schedule look as they will then
+    getPhaseOverride() {
+        const phase = this.params.get('phase');
+        return ['before', 'live', 'after'].includes(phase) ? phase : null;
+    }
+
+    startPhaseTracking() {
+        const override = this.getPhaseOverride();
+        if (override) {
+            const events = this.getActiveEvents();
+            const firstStart = Math.min(...events.map(weddingEvent => this.getEventTime(weddingEvent)));
+            const lastEnd = Math.max(...events.map(weddingEvent => this.getEventTime(weddingEvent, 'end')));
+            const previewTimes = {
+                before: firstStart - ((3 * 24 + 5) * 60 + 30) * 60 * 1000,
+                live: firstStart,
+                after: lastEnd + 24 * 60 * 60 * 1000
+            };
+            this.clockOffset = previewTimes[override] - Date.now();
+        }
+
+        this.updatePhase();
+        if (this.phase !== 'after') {
+            this.phaseTimer = setInterval(() => this.updatePhase(), 1000);
+        }
+    }
+
+    updatePhase() {
+        const phase = this.getPhase();
+        if (phase !== this.phase) {
+            this.applyPhase(phase);
+        }
+        if (phase === 'before') {
+            this.updateCountdown();
+        }
+        // Not just at second 0, which a throttled timer in a background tab can skip
+        if (phase === 'live' && Math.floor(this.now().getTime() / 60000) !== this.scheduleMinute) {
+            this.renderLiveSchedule();
+        }
+        if (phase === 'after' && this.phaseTimer) {
+            clearInterval(this.phaseTimer);
+            this.phaseTimer = null;
+        }
+    }
+
+    applyPhase(phase) {
+        const previous = this.phase;
+        this.phase = phase;
+        (this.host || document.body).dataset.phase = phase;
+
+        const visibility = {
+            countdown: phase === 'before',
+            liveView: phase === 'live',
+            thankYou: phase === 'after',
+            venueBtn: phase !== 'after',
+            calendarBtn: phase !== 'after',
+            remindBtn: phase !== 'after' && this.remindersAvailable,
+            photos: phase !== 'before' && this.photosAvailable
+        };
+        Object.keys(visibility).forEach(id => {
+            const element = this.root.getElementById(id);
+            if (element) element.hidden = !visibility[id];
+        });
+
+        if (phase === 'after') {
+            ['venuePanel', 'calendarOptions', 'rsvp'].forEach(id => {
+                const element = this.root.getElementById(id);
+                if (element) element.hidden = true;
+            });
+        }
+        this.renderPhase();
+
+        // Refresh the structured data once the page has rendered
+        if (previous) {
+            this.updateMetadata();
+            this.announceToScreenReader(this.t(phase === 'live' ? 'live.started' : 'after.ended'));
+        }
+    }
+
+    // Phase content that depends on the language as well as the clock,
+    // including the venue guests are heading to
+    renderPhase() {
+        this.renderVenuePanel();
+        if (this.phase === 'before') this.updateCountdown();
+        if (this.phase === 'live') this.renderLiveSchedule();
+        if (this.phase === 'after') this.setText('thankYouText', this.config.text.thankYou);
+    }
+
+    updateCountdown() {
+        const container = this.root.getElementById('countdown');
+        const nextEvent = this.getNextEvent();
+        if (!container || !nextEvent) return;
+
+        const remaining = Math.max(0, this.getEventTime(nextEvent) - this.now());
+        const totalSeconds = Math.floor(remaining / 1000);
+        const values = {
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor(totalSeconds % 86400 / 3600),
+            minutes: Math.floor(totalSeconds % 3600 / 60),
+            seconds: totalSeconds % 60
+        };
+
+        const locale = this.i18n.locale;
+        const padded = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 });
+        const plain = new Intl.NumberFormat(locale);
+        Object.keys(values).forEach(unit => {
+            const element = container.querySelector(`[data-unit="${unit}"]`);
+            if (element) element.textContent = (unit === 'days' ? plain : padded).format(values[unit]);
+        });
+        container.setAttribute('aria-label', this.t('countdown.label', {
+            days: values.days,
+            hours: values.hours,
+            minutes: values.minutes,
+            event: nextEvent.name
+        }));
+    }
+
+    renderLiveSchedule() {
+        const list = this.root.getElementById('liveSchedule');
+        if (!list) return;
+
+        const now = this.now();
+        this.scheduleMinute = Math.floor(now.getTime() / 60000);
+        const events = this.getActiveEvents().filter(weddingEvent => this.isEventDay(weddingEvent, now));
+
+        list.replaceChildren(...events.map(weddingEvent => {
+            const item = document.createElement('li');
+            const { time } = this.formatEventDateTime(weddingEvent.start);
+            const isOn = now >= this.getEventTime(weddingEvent);
+            item.className = isOn ? 'live-now' : '';
+            item.textContent = `${time} · ${weddingEvent.name}${isOn ? ` ${this.t('live.now')}` : ''}`;
+            return item;
+        }));
+    }
+
+    // The venue guests are heading to now: today's or the next function's
+    getCurrentVenue() {
+        const now = this.now();
+        const current = this.getActiveEvents().find(weddingEvent => this.isEventDay(weddingEvent, now))
+            || this.getNextEvent(now);
+        return current ? this.getEventVenue(current) : this.config.venue;
+    }
+
+    // The venue guests are heading to, readable offline: address, notes,
+    // the map image from wedding.json (precached with the site) and links
+    // into the guest's map app
+    renderVenuePanel(venue = this.getCurrentVenue()) {
+        const list = this.root.getElementById('directionsList');
+        if (!list || typeof VenueDirections === 'undefined') return;
+        this.panelVenue = venue;
+
+        const address = this.formatAddress(venue.address);
+        this.setText('venue-panel-name', venue.name);
+        this.setText('venuePanelAddress', address);
+        this.root.getElementById('copyAddressBtn').hidden = !address;
+
+        const notes = this.root.getElementById('venueNotes');
+        const noteKeys = Object.keys(venue.notes || {}).filter(key => venue.notes[key]);
+        notes.replaceChildren(...noteKeys.flatMap(key => {
+            const term = document.createElement('dt');
+            const label = this.t(`venue.notes.${key}`);
+            term.textContent = label === `venue.notes.${key}` ? key : label;
+            const detail = document.createElement('dd');
+            detail.textContent = venue.notes[key];
+            return [term, detail];
+        }));
+        notes.hidden = !noteKeys.length;
+
+        const map = this.root.getElementById('venueMap');
+        if (venue.mapImage && map.dataset.failed !== venue.mapImage) {
+            map.alt = this.t('venue.mapAlt', { venue: venue.name || address });
+            if (map.getAttribute('src') !== venue.mapImage) map.src = venue.mapImage;
+            map.hidden = false;
+        } else {
+            map.hidden = true;
+        }
+
+        const links = VenueDirections.getLinks({
+            name: venue.name,
+            address,
+            coordinates: venue.coordinates,
+            mapUrl: venue.mapUrl
+        });
+        list.replaceChildren(...links.map(({ app, href }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.className = 'calendar-link';
+            link.href = href;
+            // geo: hands over to an app; only web links need a new tab
+            if (/^https?:/.test(href)) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            link.textContent = this.t(`venue.${app}`);
+            link.setAttribute('aria-label', this.t('venue.openLabel', { venue: venue.name || address, app: link.textContent }));
+            item.appendChild(link);
+            return item;
+        }));
+
+        const distanceBtn = this.root.getElementById('venueDistanceBtn');
+        distanceBtn.hidden = !('geolocation' in navigator) || !VenueDirections.hasCoordinates(venue.coordinates);
+        this.renderDistance();
+    }
+
+    copyAddress() {
+        const venue = this.panelVenue;
+        if (!venue) return Promise.resolve();
+
+        const text = [venue.name, this.formatAddress(venue.address)].filter(Boolean).join('\n');
+        return this.copyText(text)
+            .then(() => {
+                this.showStatus(this.t('venue.copied'), 'success');
+                this.announceToScreenReader(this.t('venue.copied'));
+            })
+            .catch(error => {
+                this.log('error', 'Address copy failed', error);
+                this.showStatus(this.t('venue.copyFailed'), 'error');
+            });
+    }
+
+    copyText(text) {
+        const copy = navigator.clipboard && window.isSecureContext
+            ? navigator.clipboard.writeText(text)
+            : Promise.reject(new Error('Clipboard API is not available'));
+        return copy.catch(() => this.copyWithSelection(text));
+    }
+
+    // Older browsers and plain-http pages copy through a hidden text area
+    copyWithSelection(text) {
+        const previousFocus = this.root.activeElement;
+        const field = document.createElement('textarea');
+        field.value = text;
+        field.setAttribute('readonly', '');
+        field.className = 'sr-only';
+
+        this.container.appendChild(field);
+        field.select();
+        const copied = document.execCommand('copy');
+        this.container.removeChild(field);
+        if (previousFocus) previousFocus.focus();
+
+        if (!copied) {
+            throw new Error('The copy command was refused');
+        }
+    }
+
+    // Location is asked for only from the button, and the position stays in
+    // the page: it is used for the distance and nothing else
+    showDistance() {
+        const button = this.root.getElementById('venueDistanceBtn');
+        if (!this.panelVenue || !('geolocation' in navigator) || button.disabled) return;
+
+        button.disabled = true;
+        this.setText('venueDistance', this.t('venue.locating'));
+        navigator.geolocation.getCurrentPosition(
+            position => {
+                this.guestPosition = position.coords;
+                this.renderDistance();
+                button.disabled = false;
+            },
+            error => {
+                this.guestPosition = null;
+                this.setText('venueDistance', this.t(error.code === error.PERMISSION_DENIED ? 'venue.locationDenied' : 'venue.locationFailed'));
+                button.disabled = false;
+            },
+            { enableHighAccuracy: false, timeout: 15000, maximumAge: 5 * 60 * 1000 }
+        );
+    }
+
+    // Straight-line distance, rounded so it reads as the estimate it is
+    renderDistance() {
+        const venue = this.panelVenue;
+        if (!this.guestPosition || !venue || !VenueDirections.hasCoordinates(venue.coordinates)) {
+            this.setText('venueDistance', '');
+            return;
+        }
+
+        const metres = VenueDirections.getDistance(this.guestPosition, venue.coordinates);
+        const format = (value, unit, digits) => new Intl.NumberFormat(this.i18n.locale, {
+            style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits: digits
+        }).format(value);
+        const distance = metres < 1000
+            ? format(Math.max(50, Math.round(metres / 50) * 50), 'meter', 0)
+            : format(metres / 1000, 'kilometer', metres < 10000 ? 1 : 0);
+
+        this.setText('venueDistance', this.t('venue.distanceAway', { distance }));
+    }
+
+    setupEventListeners() {
+        // Music controls
+        if (this.musicBtn) {
+            this.listen(this.musicBtn, 'click', this.toggleMusic.bind(this));
+        }
+
+        const musicNextBtn = this.root.getElementById('musicNextBtn');
+        if (musicNextBtn) {
+            this.listen(musicNextBtn, 'click', () => this.player && this.player.skip(1));
+        }
+
+        const musicVolume = this.root.getElementById('musicVolume');
+        if (musicVolume) {
+            this.listen(musicVolume, 'input', () => this.player && this.player.setVolume(musicVolume.value / 100));
+        }
+
+        const languageSelect = this.root.getElementById('languageSelect');
+        if (languageSelect) {
+            this.listen(languageSelect, 'change', () => this.setLanguage(languageSelect.value));
+        }
+
+        const directionsBtn = this.root.getElementById('directionsBtn');
+        if (directionsBtn) {
+            this.listen(directionsBtn, 'click', () => this.showSection('venuePanel'));
+        }
+
+        // Venue, card download, calendar and share buttons reveal their panels
+        ['venueBtn', 'downloadBtn', 'calendarBtn', 'shareBtn'].forEach(id => {
+            const button = this.root.getElementById(id);
+            if (button) {
+                this.listen(button, 'click', () => this.togglePanel(button));
+            }
+        });
+        this.root.querySelectorAll('[data-download-format]').forEach(button => {
+            this.listen(button, 'click', () => this.downloadCard(button.dataset.downloadFormat, button));
+        });
+
+        const copyAddressBtn = this.root.getElementById('copyAddressBtn');
+        if (copyAddressBtn) {
+            this.listen(copyAddressBtn, 'click', () => this.copyAddress());
+        }
+        const venueDistanceBtn = this.root.getElementById('venueDistanceBtn');
+        if (venueDistanceBtn) {
+            this.listen(venueDistanceBtn, 'click', () => this.showDistance());
+        }
+        // A missing map image just leaves the panel without a map
+        const venueMap = this.root.getElementById('venueMap');
+        if (venueMap) {
+            this.listen(venueMap, 'error', () => {
+                venueMap.dataset.failed = venueMap.getAttribute('src');
+                venueMap.hidden = true;
+            });
+        }
+        // And a missing illustration leaves the names on their own
+        const illustration = this.root.querySelector('.couple-illustration');
+        if (illustration) {
+            this.listen(illustration, 'error', () => {
+                illustration.hidden = true;
+            });
+        }
+
+        const nativeShareBtn = this.root.getElementById('nativeShareBtn');
+        if (nativeShareBtn) {
+            this.listen(nativeShareBtn, 'click', () => this.shareInvitation());
+        }
+        const copyLinkBtn = this.root.getElementById('copyLinkBtn');
+        if (copyLinkBtn) {
+            this.listen(copyLinkBtn, 'click', () => this.copyLink());
+        }
+        const downloadQrBtn = this.root.getElementById('downloadQrBtn');
+        if (downloadQrBtn) {
+            this.listen(downloadQrBtn, 'click', () => this.downloadQrCode());
+        }
+
+        const calendarOptions = this.root.getElementById('calendarOptions');
+        if (calendarOptions) {
+            this.listen(calendarOptions, 'click', (e) => {
+                const button = e.target.closest('[data-calendar-event]');
+                if (button) {
+                    this.downloadCalendar(button.dataset.calendarEvent);
+                }
+            });
+        }
+
+        const remindBtn = this.root.getElementById('remindBtn');
+        if (remindBtn) {
+            this.listen(remindBtn, 'click', () => this.toggleReminders());
+        }
+
+        const announcementSeenBtn = this.root.getElementById('announcementSeenBtn');
+        if (announcementSeenBtn) {
+            this.listen(announcementSeenBtn, 'click', () => this.dismissAnnouncement());
+        }
+        const announcementHistoryBtn = this.root.getElementById('announcementHistoryBtn');
+        if (announcementHistoryBtn) {
+            this.listen(announcementHistoryBtn, 'click', () => this.openAnnouncements());
+        }
+
+        // Links from notification actions land on a section of the page
+        if (!this.host) {
+            this.listen(window, 'hashchange', () => this.showSection(window.location.hash.slice(1)));
+        }
+
+        // RSVP form
+        if (this.rsvpForm) {
+            this.listen(this.rsvpForm, 'submit', this.submitRsvp.bind(this));
+            this.listen(this.rsvpForm, 'change', this.updateRsvpFields.bind(this));
+        }
+
+        if (this.guestbookForm) {
+            this.listen(this.guestbookForm, 'submit', this.submitGuestbook.bind(this));
+        }
+
+        const photoInput = this.root.getElementById('photoInput');
+        const choosePhotosBtn = this.root.getElementById('choosePhotosBtn');
+        if (photoInput && choosePhotosBtn) {
+            this.listen(choosePhotosBtn, 'click', () => photoInput.click());
+            this.listen(photoInput, 'change', () => {
+                this.addPhotos(Array.from(photoInput.files));
+                photoInput.value = '';
+            });
+        }
+
+        // Replies and photos sent by the service worker's background sync,
+        // and its failures for the diagnostics log
+        if (this.hasServiceWorker()) {
+            this.listen(navigator.serviceWorker, 'message', (e) => {
+                if (e.data && e.data.type === 'RSVP_SYNCED' && e.data.count > 0) {
+                    this.showStatus(this.t('rsvp.synced'), 'success');
+                    this.announceToScreenReader(this.t('rsvp.syncedShort'));
+                }
+                if (e.data && e.data.type === 'PHOTO_PROGRESS') {
+                    this.updatePhoto(e.data.progress);
+                }
+                if (e.data && e.data.type === 'SW_LOG') {
+                    this.diagnostics.record(e.data.level, `Service worker: ${e.data.message}`, e.data.detail);
+                }
+            });
+        }
+
+        // Network status
+        this.listen(window, 'online', () => {
+            this.isOnline = true;
+            this.showStatus(this.t('status.online'), 'success', { id: 'connection' });
+            this.flushRsvpQueue();
+            this.flushPhotos();
+            // A stream given up while offline is tried again
+            if (this.announcements) this.announcements.start();
+        });
+
+        this.listen(window, 'offline', () => {
+            this.isOnline = false;
+            this.showStatus(this.t('status.offline'), 'warning', { id: 'connection' });
+        });
+
+        // Keyboard shortcuts; an embedded invitation only hears keys and
+        // interactions within itself, so several can share a page
+        const scope = this.host || document;
+        this.listen(scope, 'keydown', this.handleKeyboardShortcuts.bind(this));
+
+        // Initialize music on first user interaction
+        this.listen(scope, 'click', this.initMusic.bind(this), { once: true });
+        this.listen(scope, 'touchstart', this.initMusic.bind(this), { once: true });
+    }
+
+    // The live region and music description are in index.html; focus is
+    // only ever trapped inside an open dialog (js/dialog.js)
+    setupAccessibility() {
+        ['preferences', 'shortcuts', 'diagnostics'].forEach(name => {
+            const element = this.root.getElementById(`${name}Dialog`);
+            if (element) this.dialogs[name] = new Dialog(element);
+        });
+        this.root.querySelectorAll('[data-dialog]').forEach(button => {
+            this.listen(button, 'click', () => this.openDialog(button.dataset.dialog));
+        });
+
+        this.renderShortcuts();
+        this.setupPreferencesForm();
+        this.setupDiagnostics();
+    }
+
+    // One dialog at a time
+    openDialog(name) {
+        const dialog = this.dialogs[name];
+        if (!dialog) return;
+
+        Object.keys(this.dialogs)
+            .filter(other => other !== name)
+            .forEach(other => this.dialogs[other].close());
+        if (name === 'preferences') this.fillPreferencesForm();
+        if (name === 'diagnostics') this.fillDiagnosticsReport();
+        dialog.open();
+    }
+
+    openPreferences() {
+        this.openDialog('preferences');
+    }
+
+    openShortcuts() {
+        this.openDialog('shortcuts');
+    }
+
+    // Descriptions keep their translation keys, so a language switch relabels them
+    renderShortcuts() {
+        const list = this.root.getElementById('shortcutList');
+        if (!list) return;
+
+        list.replaceChildren(...WeddingInvitation.SHORTCUTS.map(shortcut => {
+            const row = document.createElement('div');
+            const keys = document.createElement('dt');
+            shortcut.keys.forEach((key, index) => {
+                if (index) keys.append(' + ');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                keys.appendChild(kbd);
+            });
+            const description = document.createElement('dd');
+            description.dataset.i18n = shortcut.label;
+            description.textContent = this.t(shortcut.label);
+            row.append(keys, description);
+            return row;
+        }));
+    }
+
+    setupPreferencesForm() {
+        const form = this.root.getElementById('preferencesForm');
+        if (!form) return;
+
+        this.listen(form, 'submit', e => e.preventDefault());
+        this.listen(form, 'change', () => this.setPreferences({
+            music: form.elements.music.checked,
+            motion: form.elements.motion.value,
+            textSize: form.elements.textSize.value,
+            highContrast: form.elements.highContrast.checked
+        }));
+    }
+
+    fillPreferencesForm() {
+        const form = this.root.getElementById('preferencesForm');
+        if (!form) return;
+
+        form.elements.music.checked = this.preferences.get('music');
+        form.elements.motion.value = this.preferences.get('motion');
+        form.elements.textSize.value = this.preferences.get('textSize');
+        form.elements.highContrast.checked = this.preferences.get('highContrast');
+    }
+
+    // Applied as the guest changes them, and remembered for the next visit
+    setPreferences(changes) {
+        const musicWanted = this.preferences.get('music');
+        this.preferences.set(changes);
+        this.preferences.apply(this.host || document.documentElement);
+        this.updateMotion();
+
+        // Turning music on is itself an interaction, so the browser lets it play
+        const music = this.preferences.get('music');
+        if (music !== musicWanted && this.player && this.player.isPlaying !== music) {
+            this.isInitialized = true;
+            this.toggleMusic();
+        }
+    }
+
+    // The guest's motion preference overrides prefers-reduced-motion
+    updateMotion() {
+        this.respectsReducedMotion = this.preferences.reducedMotion(this.motionQuery.matches);
+        if (this.particles) {
+            this.particles.setMotion(this.preferences.get('motion'));
+        }
+    }
+
+    setupErrorHandling() {
+        // Global error handler; in the capture phase it also hears images,
+        // scripts and stylesheets that failed to load, which don't bubble
+        this.listen(window, 'error', (e) => {
+            if (e.target !== window) {
+                this.log('warning', 'Failed to load', e.target.currentSrc || e.target.src || e.target.href);
+                return;
+            }
+            this.log('error', 'Global error', e.error || `${e.message} (${e.filename}:${e.lineno})`);
+            this.showStatus(this.t('status.error'), 'error', { id: 'unexpected', action: this.getReportAction() });
+        }, { capture: true });
+
+        // Unhandled promise rejections; fetch rejects with a TypeError when
+        // the network fails, anything else is a bug
+        this.listen(window, 'unhandledrejection', (e) => {
+            this.log('error', 'Unhandled promise rejection', e.reason);
+            const network = !this.isOnline || (e.reason instanceof TypeError && /fetch|network|load/i.test(e.reason.message));
+            this.showStatus(this.t(network ? 'status.networkError' : 'status.error'), 'error', {
+                id: 'unexpected',
+                action: this.getReportAction()
+            });
+        });
+    }
+
+    // The diagnostics dialog: a report the guest can copy or share with the hosts
+    setupDiagnostics() {
+        const copyButton = this.root.getElementById('diagnosticsCopyBtn');
+        if (copyButton) {
+            this.listen(copyButton, 'click', () => this.copyDiagnosticsReport());
+        }
+
+        const shareButton = this.root.getElementById('diagnosticsShareBtn');
+        if (shareButton && typeof navigator.share === 'function') {
+            shareButton.hidden = false;
+            this.listen(shareButton, 'click', () => this.shareDiagnosticsReport());
+        }
+    }
+
+    // Offered with unexpected errors, so the guest can tell the hosts what happened
+    getReportAction() {
+        if (!this.dialogs.diagnostics) return null;
+
+        return { label: this.t('diagnostics.open'), handler: () => this.openDialog('diagnostics') };
+    }
+
+    getConnectionInfo() {
+        const connection = navigator.connection || {};
+        return {
+            online: navigator.onLine,
+            effectiveType: connection.effectiveType || 'unknown',
+            downlink: connection.downlink != null ? `${connection.downlink} Mbit/s` : 'unknown',
+            rtt: connection.rtt != null ? `${connection.rtt} ms` : 'unknown',
+            saveData: Boolean(connection.saveData),
+            tier: this.network.tier
+        };
+    }
+
+    getServiceWorkerInfo() {
+        if (!this.hasServiceWorker()) {
+            return Promise.resolve({ supported: 'serviceWorker' in navigator, embedded: Boolean(this.host) });
+        }
+
+        return navigator.serviceWorker.getRegistration()
+            .then(registration => ({
+                supported: true,
+                controlled: Boolean(navigator.serviceWorker.controller),
+                registered: Boolean(registration),
+                active: registration && registration.active ? registration.active.state : 'none',
+                waiting: Boolean(registration && registration.waiting),
+                installing: Boolean(registration && registration.installing),
+                updateWaiting: Boolean(this.waitingWorker)
+            }))
+            .catch(error => ({ supported: true, error }));
+    }
+
+    // The guest's token is left out of the address; nothing in the report
+    // identifies the guest or repeats what they wrote
+    getDiagnosticsReport() {
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('g')) url.searchParams.set('g', 'redacted');
+
+        const report = serviceWorker => this.diagnostics.buildReport({
+            Page: {
+                url: url.href,
+                embedded: Boolean(this.host),
+                configLoaded: Boolean(this.config),
+                guestInvitation: Boolean(this.guest),
+                language: this.i18n ? this.i18n.language : 'unknown'
+            },
+            Status: this.getStatus(),
+            Connection: this.getConnectionInfo(),
+            'Service worker': serviceWorker,
+            Browser: {
+                userAgent: navigator.userAgent,
+                languages: (navigator.languages || [navigator.language]).join(', '),
+                viewport: `${window.innerWidth}x${window.innerHeight} @${window.devicePixelRatio || 1}x`,
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                preferences: this.preferences.values
+            }
+        });
+
+        // Logged addresses (failed requests, stack traces) can carry the token too
+        return this.getServiceWorkerInfo()
+            .then(serviceWorker => report(serviceWorker).replace(/([?&]g=)[^&#\s)]+/g, '$1redacted'));
+    }
+
+    fillDiagnosticsReport() {
+        const field = this.root.getElementById('diagnosticsReport');
+        if (!field) return Promise.resolve();
+
+        field.value = this.t('diagnostics.collecting');
+        return this.getDiagnosticsReport().then(report => {
+            field.value = report;
+        });
+    }
+
+    copyDiagnosticsReport() {
+        const field = this.root.getElementById('diagnosticsReport');
+        return this.copyText(field.value)
+            .then(() => {
+                this.showStatus(this.t('diagnostics.copied'), 'success');
+                this.announceToScreenReader(this.t('diagnostics.copied'));
+            })
+            .catch(error => {
+                this.log('warning', 'Report copy failed', error);
+                // Selected, so the guest can copy it themselves
+                field.select();
+                this.showStatus(this.t('diagnostics.copyFailed'), 'error');
+            });
+    }
+
+    shareDiagnosticsReport() {
+        const field = this.root.getElementById('diagnosticsReport');
+        return navigator.share({ title: this.t('diagnostics.title'), text: field.value }).catch(error => {
+            if (error.name === 'AbortError') return;
+            this.log('warning', 'Report sharing failed', error);
+            this.showStatus(this.t('share.failed'), 'warning');
+        });
+    }
+
+    setupPerformanceOptimizations() {
+        // Intersection Observer for lazy loading
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        }
+
+        // Reduce motion support, kept current if the guest changes the setting
+        this.listen(this.motionQuery, 'change', () => this.updateMotion());
+
+        // Slow or metered connections get smaller images, lighter music and no particles
+        if (this.network.tier === 'low') {
+            this.disableAnimations();
+        }
+        if ('connection' in navigator) {
+            this.listen(navigator.connection, 'change', () => this.updateNetwork());
+        }
+    }
+
+    // Images already shown stay; the next ones, and the next track, follow
+    // the new tier. Particles stopped for a slow connection stay stopped.
+    updateNetwork() {
+        const previous = this.network.tier;
+        this.network = AdaptiveMedia.markNetwork(this.host || document.documentElement);
+        if (this.network.tier === previous) return;
+
+        this.log('info', `Network tier changed from ${previous} to ${this.network.tier}`);
+        if (this.network.tier === 'low') {
+            this.disableAnimations();
+        }
+        const illustration = this.root.querySelector('.couple-illustration');
+        if (illustration && !illustration.hidden && !illustration.complete) {
+            this.fillIllustration(illustration);
+        }
+    }
+
+    setupIntersectionObserver() {
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('in-view');
+                }
+            });
+        }, {
+            threshold: 0.1,
+            rootMargin: '50px'
+        });
+
+        // Observe elements for animation
+        this.root.querySelectorAll('.couple-illustration, .btn').forEach(el => {
+            this.observer.observe(el);
+        });
+    }
+
+    setupMusic() {
+        const music = this.config.music || {};
+        if (typeof MusicPlayer === 'undefined' || !music.tracks || !music.tracks.length) {
+            this.handleMusicUnavailable();
+            return;
+        }
+
+        const { assets } = this.config;
+        this.player = new MusicPlayer({
+            tracks: music.tracks,
+            crossfade: music.crossfadeSeconds,
+            volume: music.volume,
+            preferences: this.preferences,
+            log: this.logger,
+            album: this.getCoupleTitle(),
+            artwork: assets.shareImage ? [{ src: this.resolveSiteUrl(assets.shareImage) }] : [],
+            // Chosen when a track loads, so a changed connection counts from the next track
+            pickSource: (sources, canPlay) => AdaptiveMedia.pickAudioSource(sources, this.network.tier, canPlay),
+            onChange: state => this.handleMusicState(state)
+        });
+
+        const musicNextBtn = this.root.getElementById('musicNextBtn');
+        if (musicNextBtn) musicNextBtn.hidden = this.player.tracks.length < 2;
+
+        const musicVolume = this.root.getElementById('musicVolume');
+        if (musicVolume) {
+            musicVolume.value = Math.round(this.player.volume * 100);
+            musicVolume.hidden = false;
+        }
+    }
+
+    // Autoplay on the first interaction, unless the guest paused the music
+    // on an earlier visit, the interaction was with the player itself or
+    // the connection is slow or metered (then music waits for the play button)
+    initMusic(e) {
+        if (this.isInitialized) return;
+
+        this.isInitialized = true;
+        if (e && e.target instanceof Element && e.target.closest('#musicPlayer')) return;
+
+        this.ready.then(() => {
+            if (this.isDestroyed || !this.player || !this.player.autoplay || this.player.isPlaying || !this.isOnline) return;
+            if (this.network.tier === 'low') return;
+
+            this.player.play().then(() => {
+                this.announceToScreenReader(this.t('music.started'));
+            }).catch(error => {
+                this.log('info', 'Autoplay prevented', error);
+            });
+        });
+    }
+
+    toggleMusic() {
+        if (!this.player) return;
+
+        const wasPlaying = this.player.isPlaying;
+        this.player.toggle().then(() => {
+            this.announceToScreenReader(this.t(wasPlaying ? 'music.paused' : 'music.resumed'));
+        }).catch(e => {
+            this.log('error', 'Music play failed', e);
+            this.showStatus(this.t('music.playFailed'), 'error', {
+                action: { label: this.t('music.retry'), handler: () => this.toggleMusic() }
+            });
+            this.announceToScreenReader(this.t('music.playFailedShort'));
+        });
+    }
+
+    handleMusicState({ status, track }) {
+        this.emit('music-change', { status, track });
+        if (status === 'unavailable') {
+            this.handleMusicUnavailable();
+            return;
+        }
+
+        this.updateMusicButton(status === 'playing' ? 'music.playing' : 'music.play');
+        if (status === 'loading' || !track || !track.title) {
+            this.updateMusicStatus(status === 'loading' ? 'music.loading' : 'music.ready');
+        } else if (this.musicBtn) {
+            this.musicBtn.title = this.t('music.status', { status: track.title });
+        }
+    }
+
+    // Labels are stored as translation keys so a language switch can redraw them
+    updateMusicButton(key) {
+        this.musicLabelKey = key;
+        if (this.musicBtn) {
+            this.musicBtn.textContent = this.t(key);
+        }
+    }
+
+    updateMusicStatus(statusKey) {
+        if (this.musicBtn) {
+            this.musicBtn.title = this.t('music.status', { status: this.t(statusKey) });
+        }
+    }
+
+    // Only reached when no track in the playlist can be played
+    handleMusicUnavailable() {
+        if (this.player) {
+            this.showStatus(this.t('music.fileUnavailable'), 'warning');
+        }
+        if (this.musicBtn) {
+            this.musicBtn.disabled = true;
+            this.updateMusicButton('music.unavailable');
+        }
+        ['musicNextBtn', 'musicVolume'].forEach(id => {
+            const element = this.root.getElementById(id);
+            if (element) element.hidden = true;
+        });
+    }
+
+    // Listed for guests in the shortcuts dialog ("?")
+    handleKeyboardShortcuts(e) {
+        if (e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+
+        // The keydown reaches an embedded invitation's listener retargeted to its element
+        const target = e.composedPath()[0];
+        const typing = target instanceof Element && target.matches('input, textarea, select, [contenteditable]');
+        const shortcut = WeddingInvitation.SHORTCUTS.find(entry => entry.action && (entry.alt
+            // Alt changes e.key on macOS (Alt + M is µ), so the physical key counts too
+            ? e.altKey && (e.key.toLowerCase() === entry.key || e.code === entry.code)
+            : !e.altKey && !typing && e.key === entry.key));
+        if (!shortcut) return;
+
+        e.preventDefault();
+        this[shortcut.action]();
+    }
+
+    // The particle engine watches reduced motion and tab visibility itself;
+    // a slow connection turns the effect off altogether
+    startParticles() {
+        if (this.animationsDisabled || !this.particleCanvas || typeof ParticleEngine === 'undefined') return;
+
+        this.ready.then(config => {
+            if (this.isDestroyed) return;
+            const effects = (config && config.effects) || {};
+            // ?effect=confetti previews another effect without editing wedding.json
+            const effect = this.params.get('effect') || effects.active;
+            if (effect === 'none' || this.animationsDisabled) return;
+
+            this.particles = new ParticleEngine(this.particleCanvas, {
+                effect,
+                motion: this.preferences.get('motion'),
+                maxParticles: effects.maxParticles,
+                palettes: Object.assign({}, this.theme && this.theme.particles, effects.palettes)
+            });
+            this.particles.start();
+        });
+    }
+
+    disableAnimations() {
+        this.animationsDisabled = true;
+        if (this.particles) {
+            this.particles.stop();
+        }
+    }
+
+    // Show or hide the panel a disclosure button controls (aria-controls)
+    togglePanel(button) {
+        const panel = this.root.getElementById(button.getAttribute('aria-controls'));
+        if (!panel) return;
+
+        panel.hidden = !panel.hidden;
+        button.setAttribute('aria-expanded', String(!panel.hidden));
+        if (!panel.hidden) {
+            const firstControl = panel.querySelector('input, button, a[href]');
+            if (firstControl) firstControl.focus();
+        }
+    }
+
+    // Notification actions open the invitation at #eventDetails, #rsvp or
+    // #calendarOptions; a panel behind a disclosure button is opened first
+    showSection(id) {
+        const section = id && this.config ? this.root.getElementById(id) : null;
+        if (!section) return;
+
+        const toggle = Array.from(this.root.querySelectorAll('[aria-controls]'))
+            .find(button => button.getAttribute('aria-controls') === id);
+        if (section.hidden && toggle && !toggle.hidden) {
+            this.togglePanel(toggle);
+        } else if (!section.hidden) {
+            section.setAttribute('tabindex', '-1');
+            section.focus({ preventScroll: true });
+        }
+        if (!section.hidden) {
+            section.scrollIntoView({ behavior: this.respectsReducedMotion ? 'auto' : 'smooth', block: 'start' });
+        }
+    }
+
+    getCardDetails(guestName) {
+        const { couple, text } = this.config;
+        const events = this.getActiveEvents();
+        const venues = events.map(weddingEvent => this.getEventVenue(weddingEvent));
+        const sharedVenue = venues.every(venue => venue.name === venues[0].name) ? venues[0] : null;
+
+        return {
+            bismillah: text.bismillah,
+            header: text.invitationHeader,
+            title: text.ceremonyTitle,
+            subtitle: text.ceremonySubtitle,
+            unitingText: text.unitingText,
+            groom: couple.groom,
+            bride: couple.bride,
+            blessing: text.blessing,
+            events: events.map((weddingEvent, index) => Object.assign(
+                {
+                    name: weddingEvent.name,
+                    hijriDate: this.formatHijriDate(weddingEvent.start),
+                    venueName: sharedVenue ? '' : venues[index].name
+                },
+                this.formatEventDateTime(weddingEvent.start)
+            )),
+            venueName: sharedVenue ? sharedVenue.name : '',
+            address: sharedVenue ? this.formatAddress(sharedVenue.address) : '',
+            greeting: guestName ? this.t('card.greeting', { name: guestName }) : '',
+            direction: this.i18n.dir
+        };
+    }
+
+    downloadCard(format = 'pdf', button = null) {
+        if (!this.config || typeof CardExporter === 'undefined') {
+            this.showStatus(this.t('download.notReady'), 'warning');
+            return Promise.resolve();
+        }
+
+        const label = button ? button.textContent : '';
+        if (button) {
+            button.classList.add('loading');
+            button.textContent = this.t('download.preparing');
+            button.disabled = true;
+        }
+
+        const nameInput = this.root.getElementById('card-guest-name');
+        const guestName = nameInput ? nameInput.value.trim() : '';
+        // Cards are printed, so they always take the theme's light palette.
+        // A built site precaches a smaller copy of the background for offline
+        const { background } = this.config.assets;
+        const media = (this.config.media || {})[(background || '').replace(/^\//, '')];
+        const exporter = new CardExporter(Object.assign(
+            { background, fallback: media && media.card },
+            this.theme && {
+                colors: this.theme.light,
+                fonts: { primary: this.theme.fonts.body, script: this.theme.fonts.script, arabic: this.theme.fonts.arabic }
+            }
+        ));
+
+        return exporter.render(this.getCardDetails(guestName), format === 'png' ? 2 : 1)
+            .then(canvas => format === 'png'
+                ? exporter.toPng(canvas)
+                : exporter.toPdf(canvas, `${this.getCoupleTitle()} - Wedding Invitation`))
+            .then(blob => {
+                this.saveBlob(blob, this.getDownloadFilename(format, guestName), 'card');
+                this.showStatus(this.t('download.started'), 'success');
+                this.announceToScreenReader(this.t('download.started'));
+            })
+            .catch(error => {
+                this.log('error', 'Download failed', error);
+                this.showStatus(this.t('download.failed'), 'error', {
+                    action: { label: this.t('download.retry'), handler: () => this.downloadCard(format, button) }
+                });
+                this.announceToScreenReader(this.t('download.failedShort'));
+            })
+            .finally(() => {
+                if (button) {
+                    button.classList.remove('loading');
+                    button.textContent = label;
+                    button.disabled = false;
+                }
+            });
+    }
+
+    getInvitationUrl() {
+        const url = new URL(this.resolveSiteUrl(''));
+        if (this.guest) {
+            url.searchParams.set('g', this.guest.token);
+        }
+        return url.href;
+    }
+
+    getShareMessage() {
+        const [firstEvent] = this.getActiveEvents();
+        const { date } = this.formatEventDateTime(firstEvent.start);
+        return this.t('share.message', { couple: this.getCoupleTitle(), date });
+    }
+
+    // Messaging apps open with the message and link filled in; the guest
+    // only picks who to send it to
+    getShareLinks(message, url) {
+        const text = encodeURIComponent(`${message}\n${url}`);
+        const subject = encodeURIComponent(this.t('share.subject', { couple: this.getCoupleTitle() }));
+        return [
+            { app: 'whatsapp', href: `https://wa.me/?text=${text}` },
+            { app: 'telegram', href: `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(message)}` },
+            // "?&" keeps the body working on both Android and iOS
+            { app: 'sms', href: `sms:?&body=${text}` },
+            { app: 'email', href: `mailto:?subject=${subject}&body=${encodeURIComponent(`${message}\n\n${url}`)}` }
+        ];
+    }
+
+    // A guest who opened a personal link shares and shows that link, so the
+    // QR code at the door points at their household's invitation
+    renderShareOptions() {
+        const list = this.root.getElementById('shareLinks');
+        if (!list) return;
+
+        const url = this.getInvitationUrl();
+        const message = this.getShareMessage();
+        this.setText('sharePersonal', this.guest ? this.t('share.personal', { name: this.guest.name }) : '');
+        this.root.getElementById('nativeShareBtn').hidden = typeof navigator.share !== 'function';
+
+        list.replaceChildren(...this.getShareLinks(message, url).map(({ app, href }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.className = 'calendar-link';
+            link.href = href;
+            if (/^https?:/.test(href)) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            link.textContent = this.t(`share.${app}`);
+            link.setAttribute('aria-label', this.t('share.viaLabel', { app: link.textContent }));
+            item.appendChild(link);
+            return item;
+        }));
+
+        const figure = this.root.getElementById('shareQrFigure');
+        const downloadQrBtn = this.root.getElementById('downloadQrBtn');
+        this.shareQr = typeof QrCode !== 'undefined' ? new QrCode(url) : null;
+        figure.hidden = downloadQrBtn.hidden = !this.shareQr;
+        if (!this.shareQr) return;
+
+        const image = this.root.getElementById('shareQr');
+        image.alt = this.guest
+            ? this.t('share.qrPersonalAlt', { name: this.guest.name })
+            : this.t('share.qrAlt', { couple: this.getCoupleTitle() });
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.shareQr.toSvg())}`;
+    }
+
+    shareInvitation() {
+        if (!this.config || typeof navigator.share !== 'function') return Promise.resolve();
+
+        return navigator.share({
+            title: this.t('share.subject', { couple: this.getCoupleTitle() }),
+            text: this.getShareMessage(),
+            url: this.getInvitationUrl()
+        }).catch(error => {
+            // Closing the share sheet is not a failure
+            if (error.name === 'AbortError') return;
+            this.log('error', 'Sharing failed', error);
+            this.showStatus(this.t('share.failed'), 'warning');
+        });
     }
 
-    setupEventListeners() {
-        // Music control
-        if (this.music && this.musicBtn) {
-            this.musicBtn.addEventListener('click', this.toggleMusic.bind(this));
-            
-            // Audio event listeners
-            this.music.addEventListener('loadstart', () => this.updateMusicStatus('Loading...'));
-            this.music.addEventListener('canplay', () => this.updateMusicStatus('Ready'));
-            this.music.addEventListener('error', this.handleMusicError.bind(this));
-            this.music.addEventListener('ended', () => this.updateMusicStatus('🎵 Play Music'));
-        }
+    copyLink() {
+        if (!this.config) return Promise.resolve();
 
-        // Network status
-        window.addEventListener('online', () => {
-            this.isOnline = true;
-            this.showStatus('Back online', 'success');
+        return this.copyText(this.getInvitationUrl())
+            .then(() => {
+                this.showStatus(this.t('share.copied'), 'success');
+                this.announceToScreenReader(this.t('share.copied'));
+            })
+            .catch(error => {
+                this.log('error', 'Link copy failed', error);
+                this.showStatus(this.t('share.copyFailed'), 'error');
+            });
+    }
+
+    // Large enough to print crisply on a card or a sign at the entrance
+    downloadQrCode() {
+        if (!this.shareQr) return Promise.resolve();
+
+        return this.shareQr.toPng(24)
+            .then(blob => {
+                this.saveBlob(blob, this.getDownloadFilename('png', this.guest ? this.guest.name : '', 'QR-Code'), 'qr-code');
+                this.showStatus(this.t('download.started'), 'success');
+                this.announceToScreenReader(this.t('download.started'));
+            })
+            .catch(error => {
+                this.log('error', 'QR code download failed', error);
+                this.showStatus(this.t('download.failed'), 'error', {
+                    action: { label: this.t('download.retry'), handler: () => this.downloadQrCode() }
+                });
+            });
+    }
+
+    getCalendarEvents() {
+        const { site } = this.config;
+
+        return this.getActiveEvents().map(weddingEvent => {
+            const venue = this.getEventVenue(weddingEvent);
+            return {
+                id: weddingEvent.id,
+                title: `${weddingEvent.name} - ${this.getCoupleTitle()}`,
+                start: weddingEvent.start,
+                end: weddingEvent.end,
+                timeZone: venue.timeZone,
+                location: [venue.name, this.formatAddress(venue.address)].filter(Boolean).join(', '),
+                description: [weddingEvent.dressCode ? this.t('event.dressCode', { dressCode: weddingEvent.dressCode }) : '', weddingEvent.notes || site.description]
+                    .filter(Boolean)
+                    .join('\n'),
+                url: this.getInvitationUrl()
+            };
         });
+    }
 
-        window.addEventListener('offline', () => {
-            this.isOnline = false;
-            this.showStatus('You are offline', 'warning');
+    getCalendarExport() {
+        const calendar = this.config.calendar || {};
+        return new CalendarExport({
+            domain: new URL(this.resolveSiteUrl('')).hostname,
+            reminderMinutes: calendar.reminderMinutes,
+            reminderText: title => this.t('calendar.reminder', { event: title })
         });
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
+    renderCalendarOptions() {
+        const list = this.root.getElementById('calendarList');
+        if (!list || typeof CalendarExport === 'undefined') return;
 
-        // Initialize music on first user interaction
-        document.addEventListener('click', this.initMusic.bind(this), { once: true });
-        document.addEventListener('touchstart', this.initMusic.bind(this), { once: true });
-    }
+        const exporter = this.getCalendarExport();
+        const calendarEvents = this.getCalendarEvents();
 
-    setupAccessibility() {
-        // Add ARIA live region for announcements
-        const liveRegion = document.createElement('div');
-        liveRegion.id = 'live-region';
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.className = 'sr-only';
-        document.body.appendChild(liveRegion);
-
-        // Enhanced button accessibility
-        if (this.musicBtn) {
-            this.musicBtn.setAttribute('aria-describedby', 'music-description');
-            const description = document.createElement('div');
-            description.id = 'music-description';
-            description.className = 'sr-only';
-            description.textContent = 'Toggle background music for the wedding invitation';
-            document.body.appendChild(description);
+        const createLink = (text, href, label) => {
+            const link = document.createElement('a');
+            link.className = 'calendar-link';
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = text;
+            link.setAttribute('aria-label', label);
+            return link;
+        };
+        const createIcsButton = (text, eventId, label) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'calendar-link';
+            button.dataset.calendarEvent = eventId;
+            button.textContent = text;
+            button.setAttribute('aria-label', label);
+            return button;
+        };
+
+        const items = calendarEvents.map(calendarEvent => {
+            const weddingEvent = this.config.events.find(entry => entry.id === calendarEvent.id);
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'calendar-event-name';
+            name.textContent = weddingEvent.name;
+
+            const vars = { event: weddingEvent.name };
+            item.append(
+                name,
+                createIcsButton(this.t('calendar.ics'), calendarEvent.id, this.t('calendar.icsLabel', vars)),
+                createLink(this.t('calendar.google'), exporter.googleUrl(calendarEvent), this.t('calendar.googleLabel', vars)),
+                createLink(this.t('calendar.outlook'), exporter.outlookUrl(calendarEvent), this.t('calendar.outlookLabel', vars))
+            );
+            return item;
+        });
+
+        if (calendarEvents.length > 1) {
+            const item = document.createElement('li');
+            item.appendChild(createIcsButton(this.t('calendar.all'), 'all', this.t('calendar.allLabel')));
+            items.push(item);
         }
 
-        // Add focus management for dynamic content
-        this.setupFocusManagement();
+        list.replaceChildren(...items);
+    }
+
+    downloadCalendar(eventId) {
+        if (!this.config || typeof CalendarExport === 'undefined') return;
+
+        const calendarEvents = this.getCalendarEvents()
+            .filter(calendarEvent => eventId === 'all' || calendarEvent.id === eventId);
+        if (!calendarEvents.length) return;
+
+        const { groom, bride } = this.config.couple;
+        const name = ['Wedding', groom, bride, calendarEvents.length === 1 ? calendarEvents[0].id : 'All-Events']
+            .join('-')
+            .replace(/[\s/\\:*?"<>|]+/g, '-');
+
+        this.saveBlob(this.getCalendarExport().toBlob(calendarEvents), `${name}.ics`, 'calendar');
+        this.showStatus(this.t('calendar.downloaded'), 'success');
+        this.announceToScreenReader(this.t('calendar.downloaded'));
+    }
+
+    // kind: card, qr-code or calendar, for the download event
+    saveBlob(blob, filename, kind) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        this.container.appendChild(link);
+        link.click();
+        this.container.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.emit('download', { kind, filename });
+    }
+
+    setupRsvp() {
+        const rsvp = this.config.rsvp;
+        const section = this.root.getElementById('rsvp');
+        if (!section || !this.rsvpForm || !rsvp || !rsvp.endpoint) return;
+
+        const guestsInput = this.rsvpForm.elements.guests;
+        const maxGuests = (this.guest && this.guest.seats) || rsvp.maxGuests;
+        if (guestsInput && maxGuests) {
+            guestsInput.max = maxGuests;
+        }
+        section.hidden = false;
+        this.prefillGuestDetails();
+        this.updateRsvpFields();
+        this.flushRsvpQueue();
     }
 
-    setupFocusManagement() {
-        // Ensure focus goes to first interactive element
-        const firstFocusable = document.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-        if (firstFocusable) {
-            firstFocusable.setAttribute('tabindex', '0');
+    // Personal links know who is replying; fill that in for them
+    prefillGuestDetails() {
+        if (!this.guest) return;
+
+        const { name, guests } = this.rsvpForm.elements;
+        if (name && !name.value) {
+            name.value = this.guest.name;
+        }
+        if (guests && this.guest.seats) {
+            guests.value = this.guest.seats;
         }
 
-        // Trap focus in modals (if any added later)
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                this.trapFocus(e);
-            }
-        });
+        const cardName = this.root.getElementById('card-guest-name');
+        if (cardName && !cardName.value) {
+            cardName.value = this.guest.name;
+        }
     }
 
-    trapFocus(e) {
-        const focusableElements = document.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+    updateRsvpFields() {
+        const { attending, guests } = this.rsvpForm.elements;
+        if (!guests) return;
 
-        if (e.shiftKey && document.activeElement === firstElement) {
-            e.preventDefault();
-            lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
-            e.preventDefault();
-            firstElement.focus();
+        const declined = attending.value === 'no';
+        guests.disabled = declined;
+        guests.required = !declined;
+    }
+
+    collectRsvp(form) {
+        const data = new FormData(form);
+        const attending = data.get('attending') === 'yes';
+
+        return {
+            id: window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+            name: String(data.get('name') || '').trim(),
+            attending,
+            guests: attending ? Number(data.get('guests')) || 1 : 0,
+            dietary: String(data.get('dietary') || '').trim(),
+            message: String(data.get('message') || '').trim(),
+            guestToken: this.guest ? this.guest.token : null,
+            submittedAt: new Date().toISOString()
+        };
+    }
+
+    submitRsvp(e) {
+        e.preventDefault();
+        const form = e.currentTarget;
+        if (!this.config || !this.config.rsvp) return;
+        if (!form.checkValidity()) {
+            form.reportValidity();
+            return;
         }
+
+        const endpoint = this.config.rsvp.endpoint;
+        const reply = this.collectRsvp(form);
+        const button = form.querySelector('[type="submit"]');
+        button.classList.add('loading');
+        button.disabled = true;
+
+        // Only fall back to the outbox when the network is the problem;
+        // a rejected reply needs the guest's attention instead
+        const delivery = this.isOnline
+            ? RsvpQueue.send(endpoint, reply)
+                .then(() => 'sent')
+                .catch(error => {
+                    if (error.permanent) throw error;
+                    return this.queueRsvp(endpoint, reply);
+                })
+            : this.queueRsvp(endpoint, reply);
+
+        delivery
+            .then(result => {
+                this.emit('rsvp', { reply, result });
+                form.reset();
+                this.prefillGuestDetails();
+                this.updateRsvpFields();
+                if (result === 'sent') {
+                    this.showStatus(this.t('rsvp.sent'), 'success');
+                    this.announceToScreenReader(this.t('rsvp.sentShort'));
+                } else {
+                    this.showStatus(this.t('rsvp.queued'), 'warning');
+                    this.announceToScreenReader(this.t('rsvp.queuedShort'));
+                }
+            })
+            .catch(error => {
+                this.log('error', 'RSVP failed', error);
+                this.showStatus(this.t('rsvp.failed'), 'error');
+                this.announceToScreenReader(this.t('rsvp.failedShort'));
+            })
+            .finally(() => {
+                button.classList.remove('loading');
+                button.disabled = false;
+            });
     }
 
-    setupErrorHandling() {
-        // Global error handler
-        window.addEventListener('error', (e) => {
-            console.error('Global error:', e.error);
-            this.showStatus('Something went wrong. Please refresh the page.', 'error');
-        });
+    queueRsvp(endpoint, reply) {
+        if (!this.rsvpQueue) {
+            return Promise.reject(new Error('Offline storage is not available'));
+        }
 
-        // Unhandled promise rejections
-        window.addEventListener('unhandledrejection', (e) => {
-            console.error('Unhandled promise rejection:', e.reason);
-            this.showStatus('A network error occurred.', 'error');
+        return this.rsvpQueue.add(endpoint, reply).then(() => {
+            this.requestBackgroundSync();
+            return 'queued';
         });
     }
 
-    setupPerformanceOptimizations() {
-        // Intersection Observer for lazy loading
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
-        }
+    // Only the invitation's own page has its service worker; an embedded
+    // invitation runs on someone else's site
+    hasServiceWorker() {
+        return !this.host && 'serviceWorker' in navigator;
+    }
 
-        // Reduce motion support
-        this.respectsReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        
-        // Connection aware loading
-        if ('connection' in navigator) {
-            this.connectionType = navigator.connection.effectiveType;
-            if (this.connectionType === 'slow-2g' || this.connectionType === '2g') {
-                this.disableAnimations();
-            }
+    requestBackgroundSync(tag = 'background-sync') {
+        if (!this.hasServiceWorker()) return Promise.resolve();
+
+        return navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.sync) {
+                    return registration.sync.register(tag);
+                }
+            })
+            .catch(error => {
+                this.log('warning', 'Background sync registration failed', error);
+            });
+    }
+
+    // Browsers without background sync replay the outbox from the page
+    flushRsvpQueue() {
+        if (!this.rsvpQueue || !this.isOnline) return Promise.resolve(0);
+
+        return this.rsvpQueue.flush()
+            .then(sent => {
+                if (sent > 0) {
+                    this.showStatus(this.t('rsvp.synced'), 'success');
+                }
+                return sent;
+            })
+            .catch(error => {
+                this.log('info', 'RSVP replay deferred', error);
+                return 0;
+            });
+    }
+
+    setupGuestbook() {
+        const guestbook = this.config.guestbook;
+        const section = this.root.getElementById('guestbook');
+        if (!section || !this.guestbookForm || !guestbook || !guestbook.endpoint) return;
+
+        const { name, message } = this.guestbookForm.elements;
+        if (guestbook.maxLength) {
+            message.maxLength = guestbook.maxLength;
         }
+        if (this.guest && !name.value) {
+            name.value = this.guest.name;
+        }
+        section.hidden = false;
+        this.loadGuestbook();
     }
 
-    setupIntersectionObserver() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('in-view');
+    loadGuestbook() {
+        return fetch(this.config.guestbook.endpoint, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Guestbook request failed with status ${response.status}`);
                 }
+                return response.json();
+            })
+            .then(body => this.renderGuestbook(body.entries || []))
+            .catch(error => {
+                this.log('warning', 'Guestbook wall unavailable', error);
             });
-        }, {
-            threshold: 0.1,
-            rootMargin: '50px'
-        });
+    }
 
-        // Observe elements for animation
-        document.querySelectorAll('.couple-illustration, .btn').forEach(el => {
-            observer.observe(el);
+    // Newest first; dir="auto" lets each message follow its own script
+    renderGuestbook(entries) {
+        const wall = this.root.getElementById('guestbookWall');
+        if (!wall) return;
+
+        wall.replaceChildren(...entries.slice().reverse().map(entry => {
+            const item = document.createElement('li');
+            item.className = 'guestbook-entry';
+            if (entry.language) item.lang = entry.language;
+
+            const message = document.createElement('p');
+            message.className = 'guestbook-message';
+            message.dir = 'auto';
+            message.textContent = entry.message;
+
+            const name = document.createElement('p');
+            name.className = 'guestbook-name';
+            name.dir = 'auto';
+            name.textContent = `— ${entry.name}`;
+
+            item.append(message, name);
+            return item;
+        }));
+        this.root.getElementById('guestbookEmpty').hidden = entries.length > 0;
+    }
+
+    // Day-of news from the hosts. announcements.stream in wedding.json is
+    // followed when there is one; announcements.endpoint (the server's feed,
+    // or a JSON file on a static host) is polled otherwise
+    setupAnnouncements() {
+        const announcements = this.config.announcements;
+        if (!announcements || !announcements.endpoint || typeof AnnouncementFeed === 'undefined') return;
+
+        this.announcements = new AnnouncementFeed({
+            endpoint: announcements.endpoint,
+            stream: announcements.stream,
+            pollSeconds: announcements.pollSeconds,
+            onUpdate: (list, added) => this.handleAnnouncements(added),
+            onStreamed: list => this.cacheAnnouncements(list),
+            onError: error => this.log('warning', 'Announcements', error)
         });
+        this.announcements.start();
     }
 
-    loadAssets() {
-        // Preload critical assets
-        this.preloadAssets([
-            'assets/background.png',
-            'assets/wedding-music.mp3',
-            'assets/couple-illustration.png'
-        ]);
+    // Only the newest is read out, so a guest returning to several doesn't
+    // hear them all at once; the banner and list show the rest
+    handleAnnouncements(added) {
+        this.renderAnnouncements();
+
+        const unseen = added.filter(announcement => !this.announcements.isSeen(announcement.id));
+        if (!unseen.length) return;
+        const latest = unseen[unseen.length - 1];
+        this.announceToScreenReader(this.t('announcements.spoken', {
+            message: [latest.title, latest.message].filter(Boolean).join('. ')
+        }));
     }
 
-    preloadAssets(urls) {
-        urls.forEach(url => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.href = url;
-            if (url.endsWith('.mp3')) {
-                link.as = 'audio';
-            } else if (url.endsWith('.png') || url.endsWith('.jpg') || url.endsWith('.jpeg')) {
-                link.as = 'image';
-            }
-            document.head.appendChild(link);
+    // Lists from the stream don't pass through the service worker, so it is
+    // given a copy to answer the feed with when the guest is offline
+    cacheAnnouncements(announcements) {
+        if (!this.hasServiceWorker() || !navigator.serviceWorker.controller) return;
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'CACHE_ANNOUNCEMENTS',
+            url: new URL(this.config.announcements.endpoint, window.location.href).href,
+            announcements
         });
     }
 
-    initMusic() {
-        if (this.isInitialized) return;
-        
-        this.isInitialized = true;
-        
-        if (this.music && this.isOnline) {
-            this.music.play().then(() => {
-                this.isPlaying = true;
-                this.updateMusicButton('🎵 Music Playing');
-                this.announceToScreenReader('Background music started');
-            }).catch(e => {
-                console.log('Autoplay prevented:', e);
-                this.updateMusicButton('🎵 Play Music');
-            });
+    renderAnnouncements() {
+        if (!this.announcements || !this.announcements.announcements) return;
+
+        const announcements = this.announcements.announcements;
+        const section = this.root.getElementById('announcements');
+        const list = this.root.getElementById('announcementList');
+        if (section && list) {
+            list.replaceChildren(...announcements.slice().reverse().map(announcement => this.createAnnouncementItem(announcement)));
+            section.hidden = announcements.length === 0;
         }
+        this.renderAnnouncementBanner();
     }
 
-    toggleMusic() {
-        if (!this.music) return;
+    // dir="auto" lets each announcement follow its own script
+    createAnnouncementItem(announcement) {
+        const item = document.createElement('li');
+        item.className = 'announcement-item';
 
-        if (this.isPlaying) {
-            this.music.pause();
-            this.isPlaying = false;
-            this.updateMusicButton('🎵 Play Music');
-            this.announceToScreenReader('Music paused');
-        } else {
-            this.music.play().then(() => {
-                this.isPlaying = true;
-                this.updateMusicButton('🎵 Music Playing');
-                this.announceToScreenReader('Music playing');
-            }).catch(e => {
-                console.error('Music play failed:', e);
-                this.showStatus('Unable to play music. Please check your connection.', 'error');
-                this.announceToScreenReader('Unable to play music');
-            });
+        if (!this.announcements.isSeen(announcement.id)) {
+            item.classList.add('announcement-unseen');
+            const badge = document.createElement('span');
+            badge.className = 'announcement-badge';
+            badge.textContent = this.t('announcements.new');
+            item.appendChild(badge);
+        }
+        if (announcement.title) {
+            const title = document.createElement('p');
+            title.className = 'announcement-title';
+            title.dir = 'auto';
+            title.textContent = announcement.title;
+            item.appendChild(title);
         }
+
+        const message = document.createElement('p');
+        message.className = 'announcement-message';
+        message.dir = 'auto';
+        message.textContent = announcement.message;
+
+        const time = document.createElement('time');
+        time.className = 'announcement-time';
+        this.fillAnnouncementTime(time, announcement.createdAt);
+
+        item.append(message, time);
+        return item;
     }
 
-    updateMusicButton(text) {
-        if (this.musicBtn) {
-            this.musicBtn.textContent = text;
+    // In the guest's own time zone: it says when the news was posted
+    fillAnnouncementTime(time, createdAt) {
+        const date = new Date(createdAt);
+        time.hidden = Number.isNaN(date.getTime());
+        if (time.hidden) return;
+
+        time.dateTime = date.toISOString();
+        time.textContent = date.toLocaleString(this.i18n.locale, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    }
+
+    // The newest announcement the guest hasn't seen, until they dismiss it
+    renderAnnouncementBanner() {
+        const banner = this.root.getElementById('announcementBanner');
+        if (!banner) return;
+
+        const unseen = this.announcements.unseen;
+        const latest = unseen[unseen.length - 1];
+        banner.hidden = !latest;
+        if (!latest) return;
+
+        banner.dataset.announcement = latest.id;
+        const title = this.root.getElementById('announcementBannerTitle');
+        title.textContent = latest.title || '';
+        title.hidden = !latest.title;
+        this.root.getElementById('announcementBannerMessage').textContent = latest.message;
+        this.fillAnnouncementTime(this.root.getElementById('announcementBannerTime'), latest.createdAt);
+        this.root.getElementById('announcementHistoryBtn').textContent = unseen.length > 1
+            ? this.t('announcements.more', { count: unseen.length - 1 })
+            : this.t('announcements.all');
+    }
+
+    dismissAnnouncement() {
+        const banner = this.root.getElementById('announcementBanner');
+        if (!this.announcements || !banner.dataset.announcement) return;
+
+        this.announcements.markSeen([banner.dataset.announcement]);
+        this.renderAnnouncements();
+        // The next unseen one takes its place; focus stays on the banner for it
+        if (!banner.hidden) this.root.getElementById('announcementSeenBtn').focus();
+    }
+
+    // Opening the list counts as seeing everything in it; the "New" marks
+    // stay until the list is next drawn, so the guest can tell which they are
+    openAnnouncements() {
+        if (!this.announcements) return;
+
+        this.renderAnnouncements();
+        this.announcements.markSeen(this.announcements.unseen.map(announcement => announcement.id));
+        this.renderAnnouncementBanner();
+        this.showSection('announcements');
+    }
+
+    // A random id that lets the server count posts per device
+    getDeviceId() {
+        try {
+            let id = localStorage.getItem('wedding-device');
+            if (!id) {
+                const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+                id = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+                localStorage.setItem('wedding-device', id);
+            }
+            return id;
+        } catch (error) {
+            return null;
         }
     }
 
-    updateMusicStatus(status) {
-        if (this.musicBtn) {
-            this.musicBtn.title = `Music: ${status}`;
+    submitGuestbook(e) {
+        e.preventDefault();
+        const form = e.currentTarget;
+        if (!this.config || !this.config.guestbook) return;
+        if (!form.checkValidity()) {
+            form.reportValidity();
+            return;
         }
+
+        const data = new FormData(form);
+        const button = form.querySelector('[type="submit"]');
+        button.classList.add('loading');
+        button.disabled = true;
+
+        fetch(this.config.guestbook.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: String(data.get('name') || '').trim(),
+                message: String(data.get('message') || '').trim(),
+                language: this.i18n.language,
+                guestToken: this.guest ? this.guest.token : null,
+                deviceId: this.getDeviceId()
+            })
+        })
+            .then(response => {
+                if (!response.ok) {
+                    const error = new Error(`Guestbook endpoint responded with status ${response.status}`);
+                    error.rateLimited = response.status === 429;
+                    throw error;
+                }
+                form.elements.message.value = '';
+                this.showStatus(this.t('guestbook.sent'), 'success');
+                this.announceToScreenReader(this.t('guestbook.sentShort'));
+            })
+            .catch(error => {
+                this.log('error', 'Guestbook post failed', error);
+                let key = this.isOnline ? 'guestbook.failed' : 'guestbook.offline';
+                if (error.rateLimited) key = 'guestbook.tooMany';
+                this.showStatus(this.t(key), 'error');
+                this.announceToScreenReader(this.t(key));
+            })
+            .finally(() => {
+                button.classList.remove('loading');
+                button.disabled = false;
+            });
     }
 
-    handleMusicError(e) {
-        console.error('Music error:', e);
-        this.showStatus('Music file not available', 'warning');
-        if (this.musicBtn) {
-            this.musicBtn.disabled = true;
-            this.musicBtn.textContent = '🎵 Music Unavailable';
+    // Photo sharing opens once the celebrations start (see applyPhase)
+    setupPhotos() {
+        const photos = this.config.photos;
+        if (!this.root.getElementById('photos') || !this.photoQueue || !photos || !photos.endpoint) return;
+        if (typeof createImageBitmap === 'undefined') return;
+
+        this.photosAvailable = true;
+        // Photos left over from an earlier visit carry on where they stopped
+        this.photoQueue.getAll()
+            .then(entries => {
+                entries.forEach(entry => this.updatePhoto(PhotoQueue.describe(entry, 'waiting')));
+                return this.flushPhotos();
+            })
+            .catch(error => this.log('warning', 'Photo outbox unavailable', error));
+    }
+
+    addPhotos(files) {
+        const photos = this.config && this.config.photos;
+        if (!photos || !files.length) return Promise.resolve();
+
+        const maxFiles = photos.maxFiles || 20;
+        if (files.length > maxFiles) {
+            this.showStatus(this.t('photos.tooMany', { count: maxFiles }), 'warning');
         }
+
+        // One at a time: decoding several full-size photos at once can run
+        // a phone out of memory
+        return files.slice(0, maxFiles).reduce((chain, file) => chain.then(() => {
+            const id = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            const name = `${file.name.replace(/\.[^.]+$/, '') || 'photo'}.jpg`;
+            this.updatePhoto({ id, name, size: file.size, uploaded: 0, status: 'preparing' });
+
+            return PhotoQueue.compress(file, photos)
+                .then(blob => this.photoQueue.add(photos.endpoint, {
+                    id,
+                    name,
+                    blob,
+                    uploader: this.guest ? this.guest.name : null,
+                    guestToken: this.guest ? this.guest.token : null
+                }, photos.chunkSize))
+                .then(entry => this.updatePhoto(PhotoQueue.describe(entry, 'waiting')))
+                .catch(error => {
+                    this.log('error', 'Photo could not be prepared', error);
+                    this.updatePhoto({ id, name, size: file.size, uploaded: 0, status: 'unsupported' });
+                });
+        }), Promise.resolve()).then(() => this.flushPhotos());
     }
 
-    handleKeyboardShortcuts(e) {
-        // Alt + M for music toggle
-        if (e.altKey && e.key === 'm') {
-            e.preventDefault();
-            this.toggleMusic();
+    // Uploads run one flush at a time; photos added meanwhile wait for the
+    // next one. Photos still waiting when the network drops are handed to
+    // background sync.
+    flushPhotos() {
+        if (!this.photoQueue || !this.photosAvailable) return Promise.resolve(0);
+        if (this.photoFlush) {
+            this.photoFlushAgain = true;
+            return this.photoFlush;
         }
-        
-        // Alt + D for download
-        if (e.altKey && e.key === 'd') {
-            e.preventDefault();
-            this.downloadCard();
+        if (!this.isOnline) {
+            return this.requestBackgroundSync('photo-sync').then(() => 0);
         }
+
+        this.photoFlush = this.photoQueue.flush(progress => this.updatePhoto(progress))
+            .then(sent => {
+                if (sent > 0) {
+                    this.announceToScreenReader(this.t('photos.sent', { count: sent }));
+                }
+                return sent;
+            })
+            .catch(error => {
+                this.log('info', 'Photo upload deferred', error);
+                this.photoUploads.forEach(progress => {
+                    if (progress.status === 'uploading') this.updatePhoto(Object.assign({}, progress, { status: 'waiting' }));
+                });
+                this.requestBackgroundSync('photo-sync');
+                return 0;
+            })
+            .finally(() => {
+                this.photoFlush = null;
+                if (this.photoFlushAgain) {
+                    this.photoFlushAgain = false;
+                    this.flushPhotos();
+                }
+            });
+        return this.photoFlush;
     }
 
-    startFlowersAnimation() {
-        if (this.respectsReducedMotion || !this.flowersContainer) return;
+    updatePhoto(progress) {
+        this.photoUploads.set(progress.id, progress);
+        this.renderPhotoItem(progress);
+    }
 
-        // Clear existing interval
-        if (this.flowersInterval) {
-            clearInterval(this.flowersInterval);
-        }
+    renderPhotoList() {
+        this.photoUploads.forEach(progress => this.renderPhotoItem(progress));
+    }
+
+    renderPhotoItem(progress) {
+        const list = this.root.getElementById('photoList');
+        if (!list) return;
 
-        this.flowersInterval = setInterval(() => {
-            this.createFlower();
-        }, 300);
+        let item = list.querySelector(`[data-id="${progress.id}"]`);
+        if (!item) {
+            item = document.createElement('li');
+            item.className = 'photo-item';
+            item.dataset.id = progress.id;
 
-        // Create initial batch of flowers
-        for (let i = 0; i < 15; i++) {
-            setTimeout(() => this.createFlower(), i * 200);
+            const name = document.createElement('span');
+            name.className = 'photo-name';
+            name.dir = 'auto';
+            const bar = document.createElement('progress');
+            bar.max = 100;
+            const status = document.createElement('span');
+            status.className = 'photo-status';
+            item.append(name, bar, status);
+            list.appendChild(item);
         }
+
+        const percent = progress.size ? Math.floor(progress.uploaded / progress.size * 100) : 0;
+        const [name, bar, status] = item.children;
+        name.textContent = progress.name;
+        bar.value = progress.status === 'done' ? 100 : percent;
+        bar.setAttribute('aria-label', progress.name);
+        status.textContent = this.t(`photos.status.${progress.status}`, { percent });
+        item.dataset.status = progress.status;
     }
 
-    createFlower() {
-        if (!this.flowersContainer || this.respectsReducedMotion) return;
+    // "Remind me" needs Web Push and a VAPID public key in wedding.json
+    setupReminders() {
+        const push = this.config.push;
+        this.remindersAvailable = Boolean(
+            this.root.getElementById('remindBtn') && push && push.publicKey && push.endpoint
+            && this.hasServiceWorker() && 'PushManager' in window && 'Notification' in window
+        );
+        if (!this.remindersAvailable) return Promise.resolve(null);
 
-        const flower = document.createElement('div');
-        flower.className = 'flower-petal';
-        flower.setAttribute('aria-hidden', 'true');
-        
-        // Random positioning and styling
-        flower.style.left = Math.random() * 100 + '%';
-        flower.style.animationDuration = (Math.random() * 3 + 3) + 's';
-        flower.style.animationDelay = Math.random() * 2 + 's';
-        flower.style.width = (Math.random() * 8 + 10) + 'px';
-        flower.style.height = (Math.random() * 8 + 10) + 'px';
-        
-        // Vary red shades
-        const redShades = ['#dc143c', '#ff0000', '#cc0000', '#b22222', '#8b0000'];
-        flower.style.background = `radial-gradient(circle, ${redShades[Math.floor(Math.random() * redShades.length)]}, #ff4444)`;
-        
-        this.flowersContainer.appendChild(flower);
-        
-        // Remove flower after animation
-        setTimeout(() => {
-            if (flower.parentNode) {
-                flower.remove();
-            }
-        }, 8000);
+        return navigator.serviceWorker.ready
+            .then(registration => registration.pushManager.getSubscription())
+            .then(subscription => {
+                this.updateReminderButton(subscription);
+                return subscription;
+            })
+            .catch(error => {
+                this.log('warning', 'Push subscription check failed', error);
+                return null;
+            });
     }
 
-    disableAnimations() {
-        this.respectsReducedMotion = true;
-        if (this.flowersInterval) {
-            clearInterval(this.flowersInterval);
-        }
+    updateReminderButton(subscription) {
+        this.pushSubscription = subscription;
+        const button = this.root.getElementById('remindBtn');
+        if (!button) return;
+
+        // Kept in data-i18n so a language switch relabels it
+        button.dataset.i18n = subscription ? 'reminders.disable' : 'reminders.enable';
+        button.textContent = this.t(button.dataset.i18n);
     }
 
-    downloadCard() {
-        const button = event.target;
-        button.classList.add('loading');
-        button.textContent = 'Preparing...';
-        button.disabled = true;
+    toggleReminders() {
+        const button = this.root.getElementById('remindBtn');
+        if (!this.remindersAvailable || button.disabled) return Promise.resolve();
 
-        try {
-            // Create a temporary link element
-            const link = document.createElement('a');
-            link.href = 'assets/invitation-card.pdf';
-            link.download = 'Wedding-Invitation-Mohammed-Umme.pdf';
-            link.style.display = 'none';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            this.announceToScreenReader('Download started');
-            
-            setTimeout(() => {
-                button.classList.remove('loading');
-                button.textContent = 'Download Card';
-                button.disabled = false;
-                this.showStatus('Download started', 'success');
-            }, 1000);
-            
-        } catch (error) {
-            console.error('Download failed:', error);
-            button.classList.remove('loading');
-            button.textContent = 'Download Card';
+        button.disabled = true;
+        const change = this.pushSubscription ? this.disableReminders() : this.enableReminders();
+        return change.finally(() => {
             button.disabled = false;
-            this.showStatus('Download failed. Please try again.', 'error');
-            this.announceToScreenReader('Download failed');
-        }
+        });
     }
 
-    showStatus(message, type = 'info') {
-        // Remove existing status messages
-        const existingStatus = document.querySelectorAll('.status-message');
-        existingStatus.forEach(status => status.remove());
+    // Permission is only ever asked for from the button
+    enableReminders() {
+        return Notification.requestPermission()
+            .then(permission => {
+                if (permission !== 'granted') {
+                    this.showStatus(this.t('reminders.blocked'), 'warning');
+                    return;
+                }
 
-        // Create new status message
-        const statusDiv = document.createElement('div');
-        statusDiv.className = `status-message status-${type}`;
-        statusDiv.textContent = message;
-        statusDiv.setAttribute('role', 'alert');
-        statusDiv.setAttribute('aria-live', 'assertive');
-        
-        // Style the message
-        Object.assign(statusDiv.style, {
-            position: 'fixed',
-            top: '60px',
-            right: '10px',
-            padding: '10px 15px',
-            borderRadius: '4px',
-            color: 'white',
-            fontSize: '14px',
-            zIndex: '9999',
-            maxWidth: '300px',
-            wordWrap: 'break-word',
-            boxShadow: '0 4px 15px rgba(0,0,0,0.2)',
-            transition: 'all 0.3s ease'
-        });
-
-        // Set background color based on type
-        switch (type) {
-            case 'success':
-                statusDiv.style.backgroundColor = '#4CAF50';
-                break;
-            case 'error':
-                statusDiv.style.backgroundColor = '#f44336';
-                break;
-            case 'warning':
-                statusDiv.style.backgroundColor = '#ff9800';
-                break;
-            default:
-                statusDiv.style.backgroundColor = '#2196F3';
-        }
-
-        document.body.appendChild(statusDiv);
-
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (statusDiv.parentNode) {
-                statusDiv.style.opacity = '0';
-                statusDiv.style.transform = 'translateX(100%)';
-                setTimeout(() => statusDiv.remove(), 300);
+                return navigator.serviceWorker.ready
+                    .then(registration => registration.pushManager.subscribe({
+                        userVisibleOnly: true,
+                        applicationServerKey: this.decodeBase64Url(this.config.push.publicKey)
+                    }))
+                    .then(subscription => this.saveSubscription(subscription).then(() => {
+                        this.updateReminderButton(subscription);
+                        this.showStatus(this.t('reminders.enabled'), 'success');
+                        this.announceToScreenReader(this.t('reminders.enabled'));
+                    }));
+            })
+            .catch(error => {
+                this.log('error', 'Reminder opt-in failed', error);
+                this.showStatus(this.t('reminders.failed'), 'error');
+            });
+    }
+
+    // Unsubscribing in the browser is what stops the notifications; if the
+    // server can't be told now, the sender drops the subscription once the
+    // push service reports it gone
+    disableReminders() {
+        const subscription = this.pushSubscription;
+
+        return this.postPush('unsubscribe', { endpoint: subscription.endpoint })
+            .catch(error => this.log('warning', 'Push unsubscribe not recorded', error))
+            .then(() => subscription.unsubscribe())
+            .then(() => {
+                this.updateReminderButton(null);
+                this.showStatus(this.t('reminders.disabled'), 'info');
+                this.announceToScreenReader(this.t('reminders.disabled'));
+            })
+            .catch(error => {
+                this.log('error', 'Reminder opt-out failed', error);
+                this.showStatus(this.t('status.error'), 'error');
+            });
+    }
+
+    // Stored with the guest's link token and language, so reminders cover
+    // the events they are invited to, in the language they read
+    saveSubscription(subscription) {
+        return this.postPush('subscribe', {
+            subscription: subscription.toJSON(),
+            guestToken: this.guest ? this.guest.token : null,
+            language: this.i18n.language
+        });
+    }
+
+    postPush(action, body) {
+        return fetch(`${this.config.push.endpoint}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Push ${action} failed with status ${response.status}`);
             }
-        }, 5000);
+            return response.json();
+        });
+    }
+
+    // applicationServerKey takes the raw bytes of the base64url key
+    decodeBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, character => character.charCodeAt(0));
+    }
+
+    // A new service worker waits until the guest chooses to reload, so files
+    // are never swapped underneath a page that is already open
+    watchServiceWorker(registration) {
+        const promptIfWaiting = () => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+        };
+
+        promptIfWaiting();
+        this.listen(registration, 'updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            this.log('info', 'Service worker update found');
+            this.listen(worker, 'statechange', () => {
+                this.log('info', 'Service worker state', worker.state);
+                if (worker.state === 'installed') promptIfWaiting();
+            });
+        });
+
+        // The first install also changes controller (clients.claim), so only
+        // reload when the guest asked for the update
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            this.log('info', 'Service worker took control');
+            if (!this.updateRequested) return;
+            this.updateRequested = false;
+            window.location.reload();
+        });
+    }
+
+    // Stays until the guest reloads or dismisses it
+    showUpdatePrompt(worker) {
+        if (this.waitingWorker === worker) return;
+
+        this.waitingWorker = worker;
+        this.showStatus(this.t('update.available'), 'info', {
+            id: 'update',
+            duration: 0,
+            action: { label: this.t('update.reload'), handler: () => this.applyUpdate() }
+        });
+        this.announceToScreenReader(this.t('update.available'));
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.updateRequested = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    getDownloadFilename(extension, guestName = '', kind = 'Invitation') {
+        const names = this.config
+            ? [this.config.couple.groom, this.config.couple.bride]
+            : [];
+        const parts = ['Wedding', kind, ...names];
+        if (guestName) {
+            parts.push('for', guestName);
+        }
+        return parts.join('-').replace(/[\s/\\:*?"<>|]+/g, '-') + '.' + extension;
+    }
+
+    // type: info, success, warning or error; options as for ToastCentre.show
+    // (id, duration, action). Messages also go into the diagnostics log.
+    showStatus(message, type = 'info', options = {}) {
+        this.diagnostics.record(type === 'success' ? 'info' : type, `Shown: ${message}`);
+        return this.toasts.show(message, Object.assign({ type }, options));
     }
 
     announceToScreenReader(message) {
-        const liveRegion = document.getElementById('live-region');
+        const liveRegion = this.root.getElementById('live-region');
         if (liveRegion) {
             liveRegion.textContent = message;
             // Clear after announcement
@@ -411,34 +2530,70 @@ class WeddingInvitation {
     // Public method to get current status
     getStatus() {
         return {
-            musicPlaying: this.isPlaying,
+            musicPlaying: !!(this.player && this.player.isPlaying),
             isOnline: this.isOnline,
-            flowersActive: !!this.flowersInterval,
-            reducedMotion: this.respectsReducedMotion
+            flowersActive: !!(this.particles && this.particles.isRunning),
+            phase: this.phase,
+            reducedMotion: this.respectsReducedMotion,
+            announcements: this.announcements ? this.announcements.mode : 'off'
         };
     }
 
-    // Cleanup method
+    // Set once destroy() has run, even if loading is still under way
+    get isDestroyed() {
+        return this.listeners.signal.aborted;
+    }
+
+    // Stops everything the invitation started; an embedded one is
+    // destroyed when its element leaves the page
     destroy() {
-        if (this.flowersInterval) {
-            clearInterval(this.flowersInterval);
+        if (this.particles) {
+            this.particles.destroy();
+            this.particles = null;
+        }
+        if (this.phaseTimer) {
+            clearInterval(this.phaseTimer);
+            this.phaseTimer = null;
+        }
+        if (this.player) {
+            this.player.destroy();
+            this.player = null;
         }
-        if (this.music) {
-            this.music.pause();
+        if (this.announcements) {
+            this.announcements.stop();
+            this.announcements = null;
         }
-        document.removeEventListener('click', this.initMusic);
-        document.removeEventListener('touchstart', this.initMusic);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        Object.keys(this.dialogs).forEach(name => this.dialogs[name].destroy());
+        this.toasts.dismissAll();
+        this.listeners.abort();
     }
 }
 
-// Initialize when DOM is loaded
+// Keyboard shortcuts: keys as shown to guests, the key (or physical key,
+// with Alt) that triggers them and the method they call
+WeddingInvitation.SHORTCUTS = [
+    { keys: ['Alt', 'M'], alt: true, key: 'm', code: 'KeyM', action: 'toggleMusic', label: 'shortcuts.music' },
+    { keys: ['Alt', 'D'], alt: true, key: 'd', code: 'KeyD', action: 'downloadCard', label: 'shortcuts.download' },
+    { keys: ['Alt', 'P'], alt: true, key: 'p', code: 'KeyP', action: 'openPreferences', label: 'shortcuts.preferences' },
+    { keys: ['?'], key: '?', action: 'openShortcuts', label: 'shortcuts.help' },
+    { keys: ['Esc'], label: 'shortcuts.close' }
+];
+
+// Initialize when DOM is loaded. Pages that only embed <wedding-invitation>
+// load this file for the class and have no invitation card of their own.
 document.addEventListener('DOMContentLoaded', () => {
+    if (!document.querySelector('.invitation-card')) return;
+
     window.weddingInvitation = new WeddingInvitation();
     
-    // Start flowers animation after a short delay
+    // Start the falling petals after a short delay
     setTimeout(() => {
         if (window.weddingInvitation) {
-            window.weddingInvitation.startFlowersAnimation();
+            window.weddingInvitation.startParticles();
         }
     }, 1000);
 });
@@ -446,12 +2601,15 @@ document.addEventListener('DOMContentLoaded', () => {
 // Service Worker registration for offline capability
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
+        if (!window.weddingInvitation) return;
+
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
-                console.log('SW registered: ', registration);
+                window.weddingInvitation.log('info', 'Service worker registered', registration.scope);
+                window.weddingInvitation.watchServiceWorker(registration);
             })
             .catch(registrationError => {
-                console.log('SW registration failed: ', registrationError);
+                window.weddingInvitation.log('warning', 'Service worker registration failed', registrationError);
             });
     });
 }
@@ -0,0 +1,250 @@
+// Colour and font themes
+// A preset gives the light and dark palettes, the Latin/script/Arabic font
+// pairing and the particle colours; wedding.json picks one and may override
+// any of it. The theme is written as a stylesheet of custom properties, so
+// the dark palette follows prefers-color-scheme without any script, and
+// print always gets the light one.
+
+class Theme {
+    // options: wedding.json's theme block
+    // { preset, colorScheme: auto|light|dark, light: {}, dark: {}, fonts: {}, particles: {} }
+    constructor(options = {}) {
+        const preset = Theme.PRESETS[options.preset] || Theme.PRESETS[Theme.DEFAULT_PRESET];
+        this.name = Theme.PRESETS[options.preset] ? options.preset : Theme.DEFAULT_PRESET;
+        this.colorScheme = ['light', 'dark'].includes(options.colorScheme) ? options.colorScheme : 'auto';
+        this.light = Object.assign({}, preset.light, options.light);
+        this.dark = Object.assign({}, preset.dark, options.dark);
+        this.fonts = Object.assign({}, preset.fonts, options.fonts);
+        this.particles = Object.assign({}, preset.particles, options.particles);
+    }
+
+    static declarations(colors, scheme) {
+        const lines = [`color-scheme: ${scheme};`];
+        Object.keys(Theme.PROPERTIES).forEach(key => {
+            if (colors[key]) lines.push(`${Theme.PROPERTIES[key]}: ${colors[key]};`);
+        });
+        ['primary', 'surface'].forEach(key => {
+            const rgb = Theme.hexToRgb(colors[key]);
+            if (rgb) lines.push(`--${key}-rgb: ${rgb.join(', ')};`);
+        });
+        return lines;
+    }
+
+    // selector is :host when the theme styles a <wedding-invitation>
+    toCss(selector = ':root') {
+        const block = (scope, lines) => `${scope} {\n${lines.map(line => `    ${line}`).join('\n')}\n}`;
+        const fonts = Object.keys(Theme.FONT_PROPERTIES)
+            .filter(key => this.fonts[key])
+            .map(key => `${Theme.FONT_PROPERTIES[key]}: ${this.fonts[key]};`);
+        const scheme = this.colorScheme === 'auto' ? 'light' : this.colorScheme;
+        const rules = [block(selector, fonts.concat(Theme.declarations(this[scheme], scheme)))];
+
+        if (this.colorScheme === 'auto') {
+            rules.push(`@media (prefers-color-scheme: dark) {\n${block(selector, Theme.declarations(this.dark, 'dark'))
+                .replace(/^/gm, '    ')}\n}`);
+        }
+        if (scheme === 'dark' || this.colorScheme === 'auto') {
+            rules.push(`@media print {\n${block(selector, Theme.declarations(this.light, 'light'))
+                .replace(/^/gm, '    ')}\n}`);
+        }
+        return rules.join('\n\n') + '\n';
+    }
+
+    // Replaces the previous theme's stylesheet and browser colour. root is
+    // the document, or the shadow root of an embedded invitation, whose
+    // theme then stays inside it and leaves the page's colours alone.
+    apply(root = document) {
+        const doc = root.ownerDocument || root;
+        const embedded = root !== doc;
+        let style = root.getElementById('theme-style');
+        if (!style) {
+            style = doc.createElement('style');
+            style.id = 'theme-style';
+            (embedded ? root : doc.head).appendChild(style);
+        }
+        style.textContent = this.toCss(embedded ? ':host' : ':root');
+        const element = embedded ? root.host : doc.documentElement;
+        element.dataset.theme = this.name;
+        element.dataset.colorScheme = this.colorScheme;
+
+        if (this.fonts.stylesheet) {
+            let link = doc.getElementById('theme-fonts');
+            if (!link) {
+                link = doc.createElement('link');
+                link.id = 'theme-fonts';
+                link.rel = 'stylesheet';
+                doc.head.appendChild(link);
+            }
+            if (link.getAttribute('href') !== this.fonts.stylesheet) link.href = this.fonts.stylesheet;
+        }
+
+        // Fonts load page-wide either way; the browser colour is the page's own
+        if (embedded) return;
+
+        // index.html has one theme-color per scheme; a fixed scheme uses its colour for both
+        doc.querySelectorAll('meta[name="theme-color"]').forEach(meta => {
+            const dark = /dark/.test(meta.getAttribute('media') || '');
+            const colors = this.colorScheme === 'auto' ? (dark ? this.dark : this.light) : this[this.colorScheme];
+            meta.setAttribute('content', colors.themeColor);
+        });
+    }
+
+    static hexToRgb(hex) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || ''));
+        if (!match) return null;
+        const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+        return [0, 2, 4].map(start => parseInt(digits.slice(start, start + 2), 16));
+    }
+}
+
+Theme.DEFAULT_PRESET = 'emerald';
+
+// Palette keys and the custom properties css/styles.css reads
+Theme.PROPERTIES = {
+    primary: '--primary-color',
+    primaryDark: '--primary-dark',
+    secondary: '--secondary-color',
+    text: '--text-color',
+    mutedText: '--light-text',
+    strongText: '--strong-text',
+    background: '--bg-color',
+    surface: '--surface-color',
+    onPrimary: '--on-primary',
+    error: '--error-color',
+    overlay: '--card-overlay'
+};
+
+Theme.FONT_PROPERTIES = {
+    body: '--font-primary',
+    script: '--font-script',
+    arabic: '--font-arabic'
+};
+
+// The emerald values are repeated at the top of css/styles.css so the page
+// looks right before the config loads
+Theme.PRESETS = {
+    emerald: {
+        fonts: {
+            body: '\'Georgia\', serif',
+            script: '\'Brush Script MT\', cursive',
+            arabic: '\'Amiri\', \'Noto Naskh Arabic\', \'Traditional Arabic\', serif'
+        },
+        light: {
+            primary: '#226655',
+            primaryDark: '#1a4d40',
+            secondary: '#c9a961',
+            text: '#333333',
+            mutedText: '#555555',
+            strongText: '#1a1a1a',
+            background: '#f5f5f5',
+            surface: '#ffffff',
+            onPrimary: '#ffffff',
+            error: '#aa3333',
+            overlay: 'transparent',
+            panel: '#efe1db',
+            themeColor: '#226655'
+        },
+        dark: {
+            primary: '#6cc4a8',
+            primaryDark: '#8fd6bf',
+            secondary: '#d9bd7a',
+            text: '#e6e2d8',
+            mutedText: '#b9b3a6',
+            strongText: '#f6f2ea',
+            background: '#0e1916',
+            surface: '#1a2823',
+            onPrimary: '#0e1916',
+            error: '#f08a8a',
+            overlay: 'rgba(14, 25, 22, 0.84)',
+            themeColor: '#0e1916'
+        },
+        particles: {
+            petals: ['#dc143c', '#ff0000', '#cc0000', '#b22222', '#8b0000']
+        }
+    },
+    maroon: {
+        fonts: {
+            body: '\'Palatino Linotype\', \'Book Antiqua\', Palatino, serif',
+            script: '\'Edwardian Script ITC\', \'Brush Script MT\', cursive',
+            arabic: '\'Aref Ruqaa\', \'Amiri\', \'Traditional Arabic\', serif'
+        },
+        light: {
+            primary: '#7a1f2b',
+            primaryDark: '#5c1520',
+            secondary: '#b8914a',
+            text: '#3a2a2a',
+            mutedText: '#6b5555',
+            strongText: '#2a1a1a',
+            background: '#f8f3e9',
+            surface: '#fffdf7',
+            onPrimary: '#fffdf7',
+            error: '#a8322e',
+            overlay: 'transparent',
+            panel: '#f4ead8',
+            themeColor: '#7a1f2b'
+        },
+        dark: {
+            primary: '#e0a3ab',
+            primaryDark: '#f0c1c7',
+            secondary: '#d8b972',
+            text: '#efe6dc',
+            mutedText: '#c4b5a8',
+            strongText: '#fbf5ee',
+            background: '#1c1012',
+            surface: '#2a1a1d',
+            onPrimary: '#1c1012',
+            error: '#f19a94',
+            overlay: 'rgba(28, 16, 18, 0.84)',
+            themeColor: '#1c1012'
+        },
+        particles: {
+            petals: ['#7a1f2b', '#a52a3a', '#f8f3e9', '#d8b972'],
+            confetti: ['#b8914a', '#d8b972', '#7a1f2b', '#f8f3e9']
+        }
+    },
+    pastel: {
+        fonts: {
+            body: '\'Optima\', \'Candara\', \'Segoe UI\', sans-serif',
+            script: '\'Lucida Handwriting\', \'Brush Script MT\', cursive',
+            arabic: '\'Noto Naskh Arabic\', \'Amiri\', serif'
+        },
+        light: {
+            primary: '#7a5f99',
+            primaryDark: '#5f4780',
+            secondary: '#cf7f97',
+            text: '#4a4458',
+            mutedText: '#6e6780',
+            strongText: '#2f2a3a',
+            background: '#fbf7fb',
+            surface: '#ffffff',
+            onPrimary: '#ffffff',
+            error: '#b03a4e',
+            overlay: 'transparent',
+            panel: '#f6eef5',
+            themeColor: '#7a5f99'
+        },
+        dark: {
+            primary: '#c9b3e6',
+            primaryDark: '#dccbf0',
+            secondary: '#f0b8c8',
+            text: '#ece6f2',
+            mutedText: '#bfb6cc',
+            strongText: '#faf7fd',
+            background: '#1b1822',
+            surface: '#272231',
+            onPrimary: '#1b1822',
+            error: '#f3a0ae',
+            overlay: 'rgba(27, 24, 34, 0.84)',
+            themeColor: '#1b1822'
+        },
+        particles: {
+            petals: ['#f4c2d7', '#d9c4ec', '#fde2e4', '#c9e4de'],
+            confetti: ['#f4c2d7', '#d9c4ec', '#c9e4de', '#fff1c1']
+        }
+    }
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Theme;
+}
@@ -0,0 +1,147 @@
+// Toast notifications
+// Short messages stacked in one region of the page. A few show at once and
+// the rest wait their turn; each can be dismissed, can carry one action
+// ("Retry download", "Reload") and closes itself after a while, pausing
+// while the guest points at it or has focus in it. css/styles.css styles
+// them by type: info, success, warning or error.
+
+class ToastCentre {
+    constructor(region, options = {}) {
+        this.region = region;
+        this.max = options.max || 3;
+        this.duration = options.duration == null ? 5000 : options.duration;
+        // A function, so the label follows the current language
+        this.dismissLabel = options.dismissLabel || (() => 'Dismiss');
+        this.visible = [];
+        this.waiting = [];
+    }
+
+    // options:
+    //   type      info, success, warning or error (default: info)
+    //   id        a toast with the same id is replaced rather than stacked
+    //   duration  milliseconds before it closes; 0 keeps it until dismissed.
+    //             Toasts with an action stay twice as long by default
+    //   action    { label, handler }; the toast closes when it is used
+    show(message, options = {}) {
+        const toast = {
+            message,
+            type: options.type || 'info',
+            id: options.id || null,
+            action: options.action || null,
+            duration: options.duration != null
+                ? options.duration
+                : (options.action ? this.duration * 2 : this.duration),
+            element: null,
+            timer: null,
+            remaining: 0,
+            started: 0
+        };
+
+        if (toast.id) {
+            this.visible.concat(this.waiting)
+                .filter(other => other.id === toast.id)
+                .forEach(other => this.dismiss(other, true));
+        }
+        if (this.visible.length < this.max) {
+            this.display(toast);
+        } else {
+            this.waiting.push(toast);
+        }
+        return toast;
+    }
+
+    display(toast) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${toast.type}`;
+        // Errors and warnings interrupt; the rest wait for a pause in speech
+        element.setAttribute('role', ['error', 'warning'].includes(toast.type) ? 'alert' : 'status');
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        element.appendChild(message);
+
+        if (toast.action) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast-action';
+            action.textContent = toast.action.label;
+            action.addEventListener('click', () => {
+                this.dismiss(toast);
+                toast.action.handler();
+            });
+            element.appendChild(action);
+        }
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'toast-dismiss';
+        dismiss.setAttribute('aria-label', this.dismissLabel());
+        dismiss.textContent = '×';
+        dismiss.addEventListener('click', () => this.dismiss(toast));
+        element.appendChild(dismiss);
+
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast));
+        element.addEventListener('mouseleave', () => this.startTimer(toast));
+        element.addEventListener('focusin', () => this.pauseTimer(toast));
+        element.addEventListener('focusout', e => {
+            if (!element.contains(e.relatedTarget)) this.startTimer(toast);
+        });
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.push(toast);
+        this.region.appendChild(element);
+        this.startTimer(toast);
+    }
+
+    startTimer(toast) {
+        if (!toast.duration || toast.timer || !this.visible.includes(toast)) return;
+
+        toast.started = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), Math.max(toast.remaining, 1000));
+    }
+
+    pauseTimer(toast) {
+        if (!toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.started;
+    }
+
+    // immediate skips the fade, for a toast that is being replaced
+    dismiss(toast, immediate = false) {
+        const waitingIndex = this.waiting.indexOf(toast);
+        if (waitingIndex !== -1) {
+            this.waiting.splice(waitingIndex, 1);
+            return;
+        }
+
+        const index = this.visible.indexOf(toast);
+        if (index === -1) return;
+
+        this.pauseTimer(toast);
+        this.visible.splice(index, 1);
+        if (immediate) {
+            toast.element.remove();
+        } else {
+            toast.element.classList.add('toast-leaving');
+            setTimeout(() => toast.element.remove(), 300);
+        }
+
+        if (this.waiting.length) {
+            this.display(this.waiting.shift());
+        }
+    }
+
+    dismissAll() {
+        this.waiting = [];
+        this.visible.slice().forEach(toast => this.dismiss(toast, true));
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToastCentre;
+}
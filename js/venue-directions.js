@@ -0,0 +1,65 @@
+// Directions to the venue
+// Deep links for the common map apps and the straight-line distance from
+// the guest. Coordinates give every app the exact spot; without them the
+// apps search for the address instead
+
+class VenueDirections {
+    // venue: { name, address: "one line", coordinates: { latitude, longitude }, mapUrl }
+    static getLinks(venue) {
+        const { name = '', address = '', coordinates, mapUrl } = venue;
+        const query = [name, address].filter(Boolean).join(', ');
+        const point = VenueDirections.hasCoordinates(coordinates)
+            ? `${coordinates.latitude},${coordinates.longitude}`
+            : null;
+        const links = [];
+
+        // The host's own map link beats searching for the address
+        const google = point || !mapUrl
+            ? `https://www.google.com/maps/dir/?${new URLSearchParams({ api: '1', destination: point || query })}`
+            : mapUrl;
+        if (point || query || mapUrl) links.push({ app: 'google', href: google });
+        if (!point && !query) return links;
+
+        links.push(
+            {
+                app: 'apple',
+                href: `https://maps.apple.com/?${new URLSearchParams(point ? { daddr: point, q: name || query } : { daddr: query })}`
+            },
+            {
+                app: 'waze',
+                href: `https://waze.com/ul?${new URLSearchParams(point ? { ll: point, navigate: 'yes' } : { q: query, navigate: 'yes' })}`
+            },
+            {
+                // RFC 5870; Android offers every installed map app for it
+                app: 'geo',
+                href: point
+                    ? `geo:${point}?q=${point}(${encodeURIComponent(name)})`
+                    : `geo:0,0?q=${encodeURIComponent(query)}`
+            }
+        );
+        return links;
+    }
+
+    static hasCoordinates(coordinates) {
+        return Boolean(coordinates)
+            && Number.isFinite(Number(coordinates.latitude))
+            && Number.isFinite(Number(coordinates.longitude));
+    }
+
+    // Great-circle distance in metres (haversine)
+    static getDistance(from, to) {
+        const radians = degrees => Number(degrees) * Math.PI / 180;
+        const latitudeDelta = radians(to.latitude - from.latitude);
+        const longitudeDelta = radians(to.longitude - from.longitude);
+        const a = Math.sin(latitudeDelta / 2) ** 2
+            + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+        return 2 * VenueDirections.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+}
+
+VenueDirections.EARTH_RADIUS = 6371008.8;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VenueDirections;
+}
@@ -0,0 +1,264 @@
+// <wedding-invitation> custom element
+// Embeds the invitation in another page without an iframe. The markup comes
+// from the invitation's own index.html and lives in a shadow root, so the
+// page's styles and the invitation's don't mix, and several invitations can
+// share a page. The page loads the invitation's scripts, then:
+//
+//   <wedding-invitation src="https://wedding.example.com/wedding.json"
+//       guest="a1b2c3" language="ur"></wedding-invitation>
+//
+// Attributes:
+//   src       wedding.json (default: wedding.json); the invitation's files
+//             (index.html, css/, locales/, assets/) are found beside it
+//   base      where those files are when the config property is used instead
+//   guest     a guest's token, as ?g= on the invitation's page
+//   language  as ?lang=; changing it switches the language
+//   phase     as ?phase=, to preview the invitation before or after the day
+//   effect    as ?effect=, the falling particles
+//
+// element.config = {...} passes wedding.json as an object instead of src.
+// Events, all bubbling out of the shadow root:
+//   rsvp          detail: { reply, result } where result is "sent" or "queued"
+//   download      detail: { kind, filename } where kind is card, qr-code or calendar
+//   music-change  detail: { status, track }
+//   load-error    detail: { error } when the config or markup can't be
+//                 loaded; preventDefault() keeps it out of the console
+
+class WeddingInvitationElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'base', 'guest', 'language', 'phase', 'effect'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.invitation = null;
+        this.configValue = null;
+        // Bumped on every render and teardown so a load that finishes after
+        // the element was removed or changed doesn't start an invitation
+        this.generation = 0;
+    }
+
+    get config() {
+        return this.configValue;
+    }
+
+    set config(value) {
+        this.configValue = value || null;
+        if (this.isConnected) this.render();
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    disconnectedCallback() {
+        this.teardown();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.isConnected || oldValue === newValue) return;
+
+        if (name === 'language' && this.invitation && this.invitation.i18n && newValue) {
+            this.invitation.setLanguage(newValue);
+            return;
+        }
+        this.render();
+    }
+
+    // wedding.json's own location, or the base attribute with the config property
+    get configUrl() {
+        return new URL(this.getAttribute('src') || 'wedding.json', document.baseURI).href;
+    }
+
+    get baseUrl() {
+        if (this.configValue) {
+            return new URL(this.getAttribute('base') || './', document.baseURI).href;
+        }
+        return new URL('./', this.configUrl).href;
+    }
+
+    // The same parameters the invitation's own page reads from its address
+    getParams() {
+        const params = new URLSearchParams();
+        const names = { guest: 'g', language: 'lang', phase: 'phase', effect: 'effect' };
+        Object.keys(names).forEach(attribute => {
+            const value = this.getAttribute(attribute);
+            if (value) params.set(names[attribute], value);
+        });
+        return params;
+    }
+
+    render() {
+        this.teardown();
+        const generation = this.generation;
+        const base = this.baseUrl;
+
+        Promise.all([this.loadConfig(), WeddingInvitationElement.loadMarkup(base)])
+            .then(([config, markup]) => {
+                if (generation !== this.generation) return;
+
+                // A built site (config.media) has the background's sizes in media.css
+                ['styles.css'].concat(config.media ? 'media.css' : []).forEach(file => {
+                    const stylesheet = document.createElement('link');
+                    stylesheet.rel = 'stylesheet';
+                    stylesheet.href = `${base}css/${file}`;
+                    this.shadowRoot.appendChild(stylesheet);
+                });
+                this.shadowRoot.appendChild(markup.cloneNode(true));
+
+                this.invitation = new WeddingInvitation({
+                    root: this.shadowRoot,
+                    host: this,
+                    config: WeddingInvitationElement.resolveUrls(config, base),
+                    params: this.getParams()
+                });
+                return this.invitation.ready.then(() => {
+                    if (generation === this.generation) this.invitation.startParticles();
+                });
+            })
+            .catch(error => {
+                if (generation !== this.generation) return;
+                // Before an invitation (and its diagnostics log) exists, so the
+                // page is told; the console only hears of it if the page doesn't
+                // take it with preventDefault()
+                const event = new CustomEvent('load-error', { detail: { error }, bubbles: true, cancelable: true });
+                if (this.dispatchEvent(event)) console.error('Wedding invitation failed to load:', error);
+                this.showError();
+            });
+    }
+
+    loadConfig() {
+        if (this.configValue) return Promise.resolve(this.configValue);
+
+        return fetch(this.configUrl).then(response => {
+            if (!response.ok) {
+                throw new Error(`Config request failed with status ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    // Stops the invitation and everything it started
+    teardown() {
+        this.generation += 1;
+        if (this.invitation) {
+            this.invitation.destroy();
+            this.invitation = null;
+        }
+        this.shadowRoot.replaceChildren();
+    }
+
+    // In English at first, then in the element's language if its
+    // translations can still be fetched (the config may be what failed,
+    // so they are looked for in locales/ beside it)
+    showError() {
+        const message = document.createElement('p');
+        message.className = 'error-message';
+        message.setAttribute('role', 'alert');
+        message.textContent = WeddingInvitationElement.LOAD_ERROR;
+        this.shadowRoot.replaceChildren(message);
+
+        const generation = this.generation;
+        const language = (this.getAttribute('language') || document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+        const i18n = new I18n({ path: `${this.baseUrl}locales/`, languages: [language] });
+        i18n.loadBundle(language)
+            .then(() => {
+                const text = i18n.t('status.loadFailed');
+                if (generation !== this.generation || text === 'status.loadFailed') return;
+                message.textContent = text;
+                message.lang = i18n.language;
+                message.dir = i18n.dir;
+            })
+            .catch(() => {
+                // Unreachable too; the English message stays
+            });
+    }
+
+    // The invitation's page without its scripts and the parts that only make
+    // sense for a whole page; fetched once per base for every element
+    static loadMarkup(base) {
+        if (!WeddingInvitationElement.markup.has(base)) {
+            const request = fetch(`${base}index.html`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Markup request failed with status ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(html => {
+                    const page = new DOMParser().parseFromString(html, 'text/html');
+                    page.body.querySelectorAll(WeddingInvitationElement.PAGE_ONLY).forEach(node => node.remove());
+                    const fragment = document.createDocumentFragment();
+                    Array.from(page.body.childNodes).forEach(node => fragment.appendChild(document.importNode(node, true)));
+                    return fragment;
+                });
+            // A failed request is tried again by the next element
+            request.catch(() => WeddingInvitationElement.markup.delete(base));
+            WeddingInvitationElement.markup.set(base, request);
+        }
+        return WeddingInvitationElement.markup.get(base);
+    }
+
+    // Paths in wedding.json are relative to the invitation's site; inside
+    // another page they would resolve against that page instead
+    static resolveUrls(config, base) {
+        const resolve = value => {
+            if (typeof value === 'string') return new URL(value, base).href;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                // A path can differ per language, as { "en": ..., "ur": ... }
+                return Object.keys(value).reduce((resolved, key) => {
+                    resolved[key] = resolve(value[key]);
+                    return resolved;
+                }, {});
+            }
+            return value;
+        };
+        const resolved = JSON.parse(JSON.stringify(config));
+        const resolveKey = (object, key) => {
+            if (object && object[key] != null) object[key] = resolve(object[key]);
+        };
+
+        Object.keys(resolved.assets || {}).forEach(key => resolveKey(resolved.assets, key));
+        resolveKey(resolved.venue, 'mapImage');
+        (resolved.events || []).forEach(weddingEvent => resolveKey(weddingEvent.venue, 'mapImage'));
+        ((resolved.music && resolved.music.tracks) || []).forEach(track => {
+            resolveKey(track, 'src');
+            (track.sources || []).forEach(source => resolveKey(source, 'src'));
+        });
+        ['rsvp', 'guestbook', 'photos', 'push', 'announcements'].forEach(key => resolveKey(resolved[key], 'endpoint'));
+        resolveKey(resolved.announcements, 'stream');
+        resolveKey(resolved.guests, 'path');
+        // Keyed by the image's path, so the keys are resolved with the paths
+        if (resolved.media) {
+            resolved.media = Object.keys(resolved.media).reduce((media, key) => {
+                const entry = resolved.media[key];
+                (entry.variants || []).forEach(variant => resolveKey(variant, 'src'));
+                resolveKey(entry, 'card');
+                media[resolve(key)] = entry;
+                return media;
+            }, {});
+        }
+        resolved.i18n = Object.assign({}, resolved.i18n);
+        resolved.i18n.path = resolve(resolved.i18n.path || 'locales/');
+        return resolved;
+    }
+}
+
+// Fetched markup, by base URL
+WeddingInvitationElement.markup = new Map();
+
+// Left out of the shadow root
+WeddingInvitationElement.PAGE_ONLY = 'script, noscript, .skip-to-content';
+
+// Shown until the translated message arrives, or instead of it
+WeddingInvitationElement.LOAD_ERROR = 'The wedding invitation could not be loaded.';
+
+if (typeof customElements !== 'undefined' && !customElements.get('wedding-invitation')) {
+    customElements.define('wedding-invitation', WeddingInvitationElement);
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeddingInvitationElement;
+}
@@ -0,0 +1,115 @@
+// Announcements for the local reference server
+// Day-of news from the hosts ("the nikah moves to 7:30", "use the east
+// gate"). The list is kept in announcements.json and sent to every open
+// invitation over Server-Sent Events when it changes; invitations that
+// can't keep a stream open poll GET /api/announcements instead. Both send
+// the whole list, oldest first, as { announcements: [...] }.
+
+const crypto = require('crypto');
+const path = require('path');
+const { HttpError, cleanText } = require('./http-helpers');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 500;
+// Comment lines keep proxies from closing a quiet stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long a browser waits before reconnecting a dropped stream
+const RETRY_MS = 10 * 1000;
+
+function validateAnnouncement(body) {
+    const title = cleanText(body.title, MAX_TITLE_LENGTH + 1);
+    const message = cleanText(body.message, MAX_MESSAGE_LENGTH + 1);
+
+    if (!message) throw new HttpError(400, 'Message is required');
+    if (title.length > MAX_TITLE_LENGTH) {
+        throw new HttpError(400, `Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new HttpError(400, `Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    return { title: title || null, message };
+}
+
+function createAnnouncement(fields) {
+    return {
+        id: crypto.randomBytes(9).toString('base64url'),
+        title: fields.title,
+        message: fields.message,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// The JSON file is also the feed's format, so the same file can be served
+// as it is from a static host (see tools/announce.js --file)
+class AnnouncementStore {
+    constructor(dataDir, fileName = 'announcements.json') {
+        this.filePath = path.join(dataDir, fileName);
+    }
+
+    list() {
+        return readJsonFile(this.filePath, { announcements: [] }).announcements;
+    }
+
+    add(fields) {
+        const announcements = this.list();
+        const announcement = createAnnouncement(fields);
+        announcements.push(announcement);
+        writeJsonFile(this.filePath, { announcements });
+        return announcement;
+    }
+
+    remove(id) {
+        const announcements = this.list();
+        const remaining = announcements.filter(announcement => announcement.id !== id);
+        if (remaining.length === announcements.length) return false;
+
+        writeJsonFile(this.filePath, { announcements: remaining });
+        return true;
+    }
+}
+
+// The open event streams; each gets the list when it connects and again
+// whenever it changes
+class AnnouncementStream {
+    constructor() {
+        this.clients = new Set();
+    }
+
+    open(req, res, announcements) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            // Stops nginx and similar proxies from holding events back
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        this.send(res, announcements);
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        heartbeat.unref();
+        const client = { res, heartbeat };
+        this.clients.add(client);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+        });
+    }
+
+    send(res, announcements) {
+        res.write(`event: announcements\ndata: ${JSON.stringify({ announcements })}\n\n`);
+    }
+
+    broadcast(announcements) {
+        this.clients.forEach(client => this.send(client.res, announcements));
+        return this.clients.size;
+    }
+}
+
+module.exports = {
+    AnnouncementStore,
+    AnnouncementStream,
+    createAnnouncement,
+    validateAnnouncement
+};
@@ -0,0 +1,206 @@
+// RSVP summary for the hosts' dashboard
+// Built from what the invitation itself uses: the events in wedding.json,
+// the guest files behind personal links (guests/<token>.json) and the
+// replies this server received. A household's latest reply counts; earlier
+// ones are kept as its history so changes of mind stand out.
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../js/i18n');
+const { writeCsv } = require('../tools/csv');
+
+function loadGuests(guestDir) {
+    let files;
+    try {
+        files = fs.readdirSync(guestDir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return files.sort().map(file => {
+        const guest = JSON.parse(fs.readFileSync(path.join(guestDir, file), 'utf8'));
+        return Object.assign({ token: file.slice(0, -5) }, guest);
+    });
+}
+
+function normalizeDietary(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function describeReply(reply) {
+    return reply.attending ? `attending (${reply.guests})` : 'declined';
+}
+
+// config: wedding.json; guests: from loadGuests; replies: RsvpStore.list()
+function buildDashboard({ config, guests, replies, now = Date.now() }) {
+    const i18n = new I18n(config.i18n);
+    const allEventIds = config.events.map(weddingEvent => weddingEvent.id);
+    const deadline = config.rsvp && config.rsvp.deadline ? Date.parse(config.rsvp.deadline) : null;
+    const sorted = replies.slice().sort((a, b) => Date.parse(a.receivedAt) - Date.parse(b.receivedAt));
+
+    const repliesByToken = new Map();
+    sorted.forEach(reply => {
+        if (!reply.guestToken) return;
+        if (!repliesByToken.has(reply.guestToken)) repliesByToken.set(reply.guestToken, []);
+        repliesByToken.get(reply.guestToken).push(reply);
+    });
+
+    const createHousehold = (guest, history) => {
+        const reply = history[history.length - 1] || null;
+        const invited = (guest.events || []).filter(id => allEventIds.includes(id));
+        return {
+            token: guest.token || null,
+            name: guest.name || (reply && reply.name),
+            listed: Boolean(guest.token),
+            seats: guest.seats || null,
+            events: invited.length ? invited : allEventIds,
+            status: reply ? (reply.attending ? 'attending' : 'declined') : 'pending',
+            guests: reply && reply.attending ? reply.guests : 0,
+            dietary: reply && reply.attending ? reply.dietary || '' : '',
+            message: reply ? reply.message : '',
+            repliedAt: reply ? reply.receivedAt : null,
+            late: Boolean(reply && deadline && Date.parse(reply.receivedAt) > deadline),
+            history
+        };
+    };
+
+    const listedTokens = new Set(guests.map(guest => guest.token));
+    const households = guests.map(guest => createHousehold(guest, repliesByToken.get(guest.token) || []));
+    // Replies from the shared link, or from a link whose guest file is gone
+    const unlisted = [];
+    repliesByToken.forEach((history, token) => {
+        if (!listedTokens.has(token)) unlisted.push(createHousehold({ token: null, events: [] }, history));
+    });
+    sorted.filter(reply => !reply.guestToken).forEach(reply => {
+        unlisted.push(createHousehold({ token: null, events: [] }, [reply]));
+    });
+    const everyone = households.concat(unlisted);
+
+    const events = config.events.map(weddingEvent => {
+        const invited = everyone.filter(household => household.events.includes(weddingEvent.id));
+        const count = status => invited.filter(household => household.status === status).length;
+        return {
+            id: weddingEvent.id,
+            name: i18n.localize(weddingEvent.name),
+            start: weddingEvent.start,
+            status: weddingEvent.status || 'scheduled',
+            households: invited.filter(household => household.listed).length,
+            seats: invited.reduce((sum, household) => sum + (household.seats || 0), 0),
+            attending: count('attending'),
+            declined: count('declined'),
+            pending: count('pending'),
+            guests: invited.reduce((sum, household) => sum + household.guests, 0)
+        };
+    });
+
+    const dietary = new Map();
+    everyone.filter(household => household.status === 'attending' && normalizeDietary(household.dietary))
+        .forEach(household => {
+            const key = normalizeDietary(household.dietary);
+            const entry = dietary.get(key) || { label: household.dietary.trim(), households: 0, guests: 0 };
+            entry.households++;
+            entry.guests += household.guests;
+            dietary.set(key, entry);
+        });
+
+    const changes = everyone
+        .filter(household => household.history.length > 1)
+        .map(household => {
+            const [previous, current] = household.history.slice(-2);
+            return {
+                name: household.name,
+                token: household.token,
+                from: describeReply(previous),
+                to: describeReply(current),
+                at: current.receivedAt,
+                late: household.late
+            };
+        })
+        .sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+
+    return {
+        generatedAt: new Date(now).toISOString(),
+        deadline: config.rsvp && config.rsvp.deadline ? config.rsvp.deadline : null,
+        totals: {
+            households: households.length,
+            seats: households.reduce((sum, household) => sum + (household.seats || 0), 0),
+            attending: everyone.filter(household => household.status === 'attending').length,
+            declined: everyone.filter(household => household.status === 'declined').length,
+            pending: households.filter(household => household.status === 'pending').length,
+            guests: everyone.reduce((sum, household) => sum + household.guests, 0),
+            unlisted: unlisted.length
+        },
+        events,
+        dietary: Array.from(dietary.values()).sort((a, b) => b.guests - a.guests),
+        changes,
+        households: everyone.map(household => {
+            const summary = Object.assign({}, household, { replies: household.history.length });
+            delete summary.history;
+            return summary;
+        })
+    };
+}
+
+// Headcount per event and dietary requirement, for the caterer
+function catererCsv(dashboard) {
+    const rows = [];
+    dashboard.events.forEach(weddingEvent => {
+        const attending = dashboard.households.filter(household => (
+            household.status === 'attending' && household.events.includes(weddingEvent.id)
+        ));
+        const requirements = new Map();
+        attending.forEach(household => {
+            const key = normalizeDietary(household.dietary);
+            const entry = requirements.get(key) || { label: household.dietary.trim() || 'No requirements', households: 0, guests: 0 };
+            entry.households++;
+            entry.guests += household.guests;
+            requirements.set(key, entry);
+        });
+
+        rows.push({ event: weddingEvent.name, start: weddingEvent.start, dietary: 'All guests', households: attending.length, guests: weddingEvent.guests });
+        requirements.forEach(entry => {
+            rows.push({ event: weddingEvent.name, start: weddingEvent.start, dietary: entry.label, households: entry.households, guests: entry.guests });
+        });
+    });
+    return writeCsv(['event', 'start', 'dietary', 'households', 'guests'], rows);
+}
+
+// Every attending household with its party size, for the seating plan
+function seatingCsv(dashboard) {
+    const names = new Map(dashboard.events.map(weddingEvent => [weddingEvent.id, weddingEvent.name]));
+    const rows = dashboard.households
+        .filter(household => household.status === 'attending')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(household => ({
+            household: household.name,
+            guests: household.guests,
+            seats: household.seats || '',
+            events: household.events.map(id => names.get(id)).join('; '),
+            dietary: household.dietary,
+            token: household.token || ''
+        }));
+    return writeCsv(['household', 'guests', 'seats', 'events', 'dietary', 'token'], rows);
+}
+
+// Invited households that haven't replied, with the link to send again
+function pendingCsv(dashboard, config) {
+    const baseUrl = config.site && config.site.url ? config.site.url.replace(/\/?$/, '/') : '';
+    const rows = dashboard.households
+        .filter(household => household.status === 'pending')
+        .map(household => ({
+            household: household.name,
+            seats: household.seats,
+            token: household.token,
+            link: baseUrl ? `${baseUrl}?g=${household.token}` : ''
+        }));
+    return writeCsv(['household', 'seats', 'token', 'link'], rows);
+}
+
+module.exports = {
+    buildDashboard,
+    catererCsv,
+    loadGuests,
+    pendingCsv,
+    seatingCsv
+};
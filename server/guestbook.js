@@ -0,0 +1,157 @@
+// Guestbook of wishes and duas for the local reference server
+// Posts wait in a moderation queue and only reach the public wall once a
+// host approves them. Where they are kept is up to the storage backend;
+// FileGuestbookStorage is the reference one. Another backend (a database,
+// a cloud table) only needs the same three methods, all returning promises:
+//   list()               every entry, oldest first
+//   add(entry)           store a new entry
+//   update(id, changes)  merge changes into an entry; resolves with it, or null
+
+const crypto = require('crypto');
+const path = require('path');
+const { HttpError, TOKEN_PATTERN, cleanText } = require('./http-helpers');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 500;
+const DEVICE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function validateEntry(body) {
+    const name = cleanText(body.name, MAX_NAME_LENGTH);
+    const message = cleanText(body.message, MAX_MESSAGE_LENGTH + 1);
+    const guestToken = String(body.guestToken || '');
+    const language = String(body.language || '').toLowerCase();
+    const deviceId = String(body.deviceId || '');
+
+    if (!name) throw new HttpError(400, 'Name is required');
+    if (!message) throw new HttpError(400, 'Message is required');
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new HttpError(400, `Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    return {
+        name,
+        message,
+        guestToken: TOKEN_PATTERN.test(guestToken) ? guestToken : null,
+        language: /^[a-z]{2,3}$/.test(language) ? language : null,
+        deviceId: DEVICE_PATTERN.test(deviceId) ? deviceId : null
+    };
+}
+
+class FileGuestbookStorage {
+    constructor(dataDir) {
+        this.filePath = path.join(dataDir, 'guestbook.json');
+    }
+
+    list() {
+        return Promise.resolve(readJsonFile(this.filePath, []));
+    }
+
+    add(entry) {
+        return this.list().then(entries => {
+            entries.push(entry);
+            writeJsonFile(this.filePath, entries);
+            return entry;
+        });
+    }
+
+    update(id, changes) {
+        return this.list().then(entries => {
+            const entry = entries.find(candidate => candidate.id === id);
+            if (!entry) return null;
+
+            Object.assign(entry, changes);
+            writeJsonFile(this.filePath, entries);
+            return entry;
+        });
+    }
+}
+
+// Hashes ids and addresses before they are stored
+function hashSource(value) {
+    return crypto.createHash('sha256').update(value).digest('base64url').slice(0, 22);
+}
+
+class Guestbook {
+    // limit: how many posts one device may make within windowMinutes;
+    // addressLimit: how many one network address may, higher since guests
+    // on the venue's wifi or one household share an address
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.limit = options.limit || 3;
+        this.addressLimit = options.addressLimit || 20;
+        this.windowMinutes = options.windowMinutes || 60;
+    }
+
+    // Posts are counted by device and by address; the device id is the
+    // guest's own choice, so a new one each time still meets the address
+    // limit. Only hashes are stored, never the id or the address itself.
+    // Guests without a device id (storage blocked) count as their address.
+    post(entry, address) {
+        const origin = hashSource(`address:${address || ''}`);
+        const source = entry.deviceId ? hashSource(entry.deviceId) : origin;
+        const since = Date.now() - this.windowMinutes * 60 * 1000;
+
+        return this.storage.list().then(entries => {
+            const recent = entries.filter(existing => Date.parse(existing.createdAt) > since);
+            if (recent.filter(existing => existing.source === source).length >= this.limit) {
+                throw new HttpError(429, `Only ${this.limit} messages per ${this.windowMinutes} minutes, please`);
+            }
+            if (recent.filter(existing => existing.origin === origin).length >= this.addressLimit) {
+                throw new HttpError(429, 'Too many messages from this network just now; please try again later');
+            }
+
+            return this.storage.add({
+                id: crypto.randomBytes(9).toString('base64url'),
+                name: entry.name,
+                message: entry.message,
+                language: entry.language,
+                guestToken: entry.guestToken,
+                status: 'pending',
+                source,
+                origin,
+                createdAt: new Date().toISOString(),
+                moderatedAt: null
+            });
+        });
+    }
+
+    // What the public wall shows
+    approved() {
+        return this.storage.list().then(entries => entries
+            .filter(entry => entry.status === 'approved')
+            .map(({ id, name, message, language, createdAt }) => ({ id, name, message, language, createdAt })));
+    }
+
+    all() {
+        return this.storage.list();
+    }
+
+    moderate(id, status) {
+        if (!STATUSES.includes(status)) {
+            throw new HttpError(400, `Status must be one of ${STATUSES.join(', ')}`);
+        }
+
+        return this.storage.update(String(id || ''), { status, moderatedAt: new Date().toISOString() })
+            .then(entry => {
+                if (!entry) throw new HttpError(404, 'No such message');
+                return entry;
+            });
+    }
+
+    // Approved messages, oldest first, for printing into a keepsake book
+    export() {
+        return this.approved().then(entries => ({
+            exportedAt: new Date().toISOString(),
+            count: entries.length,
+            entries: entries.map(({ name, message, language, createdAt }) => ({ name, message, language, createdAt }))
+        }));
+    }
+}
+
+module.exports = {
+    FileGuestbookStorage,
+    Guestbook,
+    validateEntry
+};
@@ -0,0 +1,44 @@
+// Password check for the hosts' pages on the local reference server
+// Uses HTTP Basic authentication, so the browser asks for the password once
+// and sends it with every later request, the page's own fetches included.
+// Any user name is accepted; only the password is checked.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-helpers');
+
+const REALM = 'Wedding hosts';
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function readPassword(authorization) {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(authorization || '');
+    if (!match) return null;
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator === -1 ? null : credentials.slice(separator + 1);
+}
+
+// Returns a check for route handlers; it throws unless the request carries
+// the password. Without a configured password the hosts' pages stay closed.
+function createHostGuard(password) {
+    const expected = password ? digest(password) : null;
+
+    return (req, res) => {
+        if (!expected) {
+            throw new HttpError(503, 'Set HOST_PASSWORD to use the host pages');
+        }
+
+        const given = readPassword(req.headers.authorization);
+        if (given === null || !crypto.timingSafeEqual(digest(given), expected)) {
+            res.setHeader('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+            throw new HttpError(401, 'Host password required');
+        }
+    };
+}
+
+module.exports = {
+    createHostGuard
+};
@@ -0,0 +1,158 @@
+// RSVP dashboard for the hosts
+// Like the other host pages, it relies on the browser sending the host password.
+
+const STATUS_LABELS = {
+    attending: 'Attending',
+    declined: 'Declined',
+    pending: 'Not replied'
+};
+const STATUS_ORDER = ['pending', 'attending', 'declined'];
+
+let summary = null;
+
+function setStatus(text) {
+    document.getElementById('status').textContent = text;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+// cells: text or { text, number, flags }
+function createRow(cells, status) {
+    const row = document.createElement('tr');
+    if (status) row.dataset.status = status;
+
+    cells.forEach(cell => {
+        const { text, number, flags = [] } = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+        const td = document.createElement('td');
+        td.dir = 'auto';
+        if (number) td.className = 'number';
+        td.textContent = text == null ? '' : text;
+        flags.forEach(flag => {
+            const badge = document.createElement('span');
+            badge.className = 'flag';
+            badge.textContent = flag;
+            td.appendChild(badge);
+        });
+        row.appendChild(td);
+    });
+    return row;
+}
+
+function fillTable(id, rows, columns) {
+    const body = document.getElementById(id);
+    if (rows.length) {
+        body.replaceChildren(...rows);
+        return;
+    }
+    const empty = document.createElement('td');
+    empty.className = 'empty';
+    empty.colSpan = columns;
+    empty.textContent = 'Nothing yet.';
+    const row = document.createElement('tr');
+    row.appendChild(empty);
+    body.replaceChildren(row);
+}
+
+function renderTotals(totals) {
+    const items = [
+        ['Households invited', totals.households],
+        ['Seats offered', totals.seats],
+        ['Guests coming', totals.guests],
+        ['Attending', totals.attending],
+        ['Declined', totals.declined],
+        ['Not replied', totals.pending]
+    ];
+    if (totals.unlisted) items.push(['Replies without a personal link', totals.unlisted]);
+
+    document.getElementById('totals').replaceChildren(...items.map(([label, value]) => {
+        const item = document.createElement('div');
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        item.append(term, detail);
+        return item;
+    }));
+}
+
+function renderHouseholds() {
+    const filter = document.querySelector('input[name="filter"]:checked').value;
+    const names = new Map(summary.events.map(weddingEvent => [weddingEvent.id, weddingEvent.name]));
+    const households = summary.households
+        .filter(household => filter === 'all' || household.status === filter)
+        .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+            || String(a.name).localeCompare(String(b.name)));
+
+    fillTable('households', households.map(household => {
+        const flags = [];
+        if (!household.listed) flags.push('no personal link');
+        if (household.seats && household.guests > household.seats) flags.push('more than offered');
+        if (household.replies > 1) flags.push('changed');
+        if (household.late) flags.push('late');
+
+        return createRow([
+            { text: household.name, flags },
+            STATUS_LABELS[household.status],
+            { text: household.guests || '', number: true },
+            { text: household.seats || '', number: true },
+            household.events.map(id => names.get(id)).join(', '),
+            household.dietary,
+            household.message,
+            formatDate(household.repliedAt)
+        ], household.status);
+    }), 8);
+}
+
+function render() {
+    renderTotals(summary.totals);
+
+    fillTable('events', summary.events.map(weddingEvent => createRow([
+        { text: weddingEvent.name, flags: weddingEvent.status === 'scheduled' ? [] : [weddingEvent.status] },
+        { text: weddingEvent.households, number: true },
+        { text: weddingEvent.seats, number: true },
+        { text: weddingEvent.attending, number: true },
+        { text: weddingEvent.declined, number: true },
+        { text: weddingEvent.pending, number: true },
+        { text: weddingEvent.guests, number: true }
+    ])), 7);
+
+    fillTable('dietary', summary.dietary.map(entry => createRow([
+        entry.label,
+        { text: entry.households, number: true },
+        { text: entry.guests, number: true }
+    ])), 3);
+
+    fillTable('changes', summary.changes.map(change => createRow([
+        change.name,
+        change.from,
+        change.to,
+        { text: formatDate(change.at), flags: change.late ? ['after the deadline'] : [] }
+    ])), 4);
+
+    renderHouseholds();
+}
+
+function load() {
+    return fetch('/api/host/dashboard')
+        .then(response => response.json().then(body => {
+            if (!response.ok) throw new Error(body.error || `Request failed with status ${response.status}`);
+            return body;
+        }))
+        .then(body => {
+            summary = body;
+            render();
+            setStatus(`Updated ${formatDate(body.generatedAt)}${body.deadline ? `; replies were due by ${formatDate(body.deadline)}` : ''}.`);
+        })
+        .catch(error => setStatus(`The dashboard could not be loaded: ${error.message}`));
+}
+
+document.querySelectorAll('input[name="filter"]').forEach(input => {
+    input.addEventListener('change', () => {
+        if (summary) renderHouseholds();
+    });
+});
+// Replies keep arriving; catch up when the hosts come back to the page
+window.addEventListener('focus', load);
+load();
@@ -0,0 +1,99 @@
+// Guestbook moderation page for the hosts
+// The browser already holds the host password for this origin, so the API
+// calls below are authenticated without handling it here.
+
+const ACTIONS = {
+    pending: [['approved', 'Approve'], ['rejected', 'Hide']],
+    approved: [['rejected', 'Hide']],
+    rejected: [['approved', 'Approve']]
+};
+
+function setStatus(text) {
+    document.getElementById('status').textContent = text;
+}
+
+function request(url, options) {
+    return fetch(url, options).then(response => response.json().then(body => {
+        if (!response.ok) throw new Error(body.error || `Request failed with status ${response.status}`);
+        return body;
+    }));
+}
+
+function createItem(entry) {
+    const item = document.createElement('li');
+
+    const message = document.createElement('p');
+    message.className = 'message';
+    message.dir = 'auto';
+    message.textContent = entry.message;
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.dir = 'auto';
+    meta.textContent = [
+        entry.name,
+        new Date(entry.createdAt).toLocaleString(),
+        entry.language,
+        entry.guestToken && `link ${entry.guestToken}`
+    ].filter(Boolean).join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    ACTIONS[entry.status].forEach(([status, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = status === 'approved' ? 'approve' : '';
+        button.textContent = label;
+        button.addEventListener('click', () => moderate(entry, status, button));
+        actions.appendChild(button);
+    });
+
+    item.append(message, meta, actions);
+    return item;
+}
+
+function render(entries) {
+    Object.keys(ACTIONS).forEach(status => {
+        const matching = entries.filter(entry => entry.status === status);
+        // The queue is worked through oldest first; the rest read newest first
+        if (status !== 'pending') matching.reverse();
+
+        const list = document.getElementById(status);
+        if (matching.length) {
+            list.replaceChildren(...matching.map(createItem));
+        } else {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'Nothing here.';
+            list.replaceChildren(empty);
+        }
+        document.querySelector(`[data-count="${status}"]`).textContent = matching.length;
+    });
+}
+
+function load() {
+    return request('/api/host/guestbook')
+        .then(body => render(body.entries))
+        .catch(error => setStatus(`Messages could not be loaded: ${error.message}`));
+}
+
+function moderate(entry, status, button) {
+    button.disabled = true;
+    request('/api/host/guestbook/moderate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: entry.id, status })
+    })
+        .then(() => {
+            setStatus(`${status === 'approved' ? 'Approved' : 'Hid'} the message from ${entry.name}.`);
+            return load();
+        })
+        .catch(error => {
+            button.disabled = false;
+            setStatus(`The message could not be updated: ${error.message}`);
+        });
+}
+
+// New posts arrive while the page is open; catch up when the hosts come back to it
+window.addEventListener('focus', load);
+load();
@@ -0,0 +1,55 @@
+// Gallery of the photos guests have uploaded, newest first
+// Like the guestbook page, it relies on the browser sending the host password.
+
+function setStatus(text) {
+    document.getElementById('status').textContent = text;
+}
+
+function createItem(photo) {
+    const item = document.createElement('li');
+    const figure = document.createElement('figure');
+
+    const link = document.createElement('a');
+    link.href = photo.url;
+    link.target = '_blank';
+    const image = document.createElement('img');
+    image.src = photo.url;
+    image.alt = photo.name;
+    image.loading = 'lazy';
+    link.appendChild(image);
+
+    const caption = document.createElement('figcaption');
+    caption.dir = 'auto';
+    caption.textContent = [
+        photo.uploader || 'A guest',
+        new Date(photo.completedAt).toLocaleString(),
+        `${Math.round(photo.size / 1024)} KB`
+    ].join(' · ') + ' · ';
+    const download = document.createElement('a');
+    download.href = photo.url;
+    download.download = photo.name;
+    download.textContent = 'Download';
+    caption.appendChild(download);
+
+    figure.append(link, caption);
+    item.appendChild(figure);
+    return item;
+}
+
+function load() {
+    return fetch('/api/host/photos')
+        .then(response => response.json().then(body => {
+            if (!response.ok) throw new Error(body.error || `Request failed with status ${response.status}`);
+            return body.photos;
+        }))
+        .then(photos => {
+            document.getElementById('gallery').replaceChildren(...photos.map(createItem));
+            document.getElementById('count').textContent = photos.length;
+            setStatus(photos.length ? '' : 'No photos yet.');
+        })
+        .catch(error => setStatus(`Photos could not be loaded: ${error.message}`));
+}
+
+// Uploads keep arriving after the event; catch up when the hosts come back
+window.addEventListener('focus', load);
+load();
@@ -0,0 +1,149 @@
+// Small helpers shared by the local reference server's routes
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY_BYTES = 64 * 1024;
+// A guest's token from their personal link (tools/guest-links.js)
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{4,64}$/;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.pdf': 'application/pdf',
+    '.csv': 'text/csv; charset=utf-8',
+    '.ics': 'text/calendar; charset=utf-8'
+};
+
+// headers go out with the error reply
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+// A request field as trimmed text of at most maxLength characters
+function cleanText(value, maxLength) {
+    return String(value == null ? '' : value).trim().slice(0, maxLength);
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    }, headers));
+    res.end(payload);
+}
+
+function readBody(req, limit = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                // Destroying the request would reset the connection before
+                // the 413 is sent; the rest is read and dropped instead,
+                // and the connection closed once the reply has gone
+                if (chunks) {
+                    chunks = null;
+                    reject(new HttpError(413, 'Request body too large', { Connection: 'close' }));
+                }
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks) resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+// Every route expects an object, so null, numbers and arrays are refused
+// here rather than failing in the route
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+    return readBody(req, limit).then(body => {
+        let value;
+        try {
+            value = JSON.parse(body.toString('utf8') || '{}');
+        } catch (error) {
+            throw new HttpError(400, 'Request body is not valid JSON');
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new HttpError(400, 'Invalid JSON body');
+        }
+        return value;
+    });
+}
+
+// A malformed escape such as %E0%A4%A is the client's mistake, not the server's
+function decodePath(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (error) {
+        if (error instanceof URIError) throw new HttpError(400, 'Malformed address');
+        throw error;
+    }
+}
+
+// Serve a file from root, refusing anything that resolves outside it
+function serveStatic(req, res, root) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const relative = decodePath(pathname).replace(/\/$/, '/index.html');
+    const filePath = path.join(root, path.normalize(relative));
+
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+    sendFile(req, res, filePath);
+}
+
+function sendFile(req, res, filePath, headers = {}) {
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        res.writeHead(200, Object.assign({
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        }, headers));
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+module.exports = {
+    HttpError,
+    MIME_TYPES,
+    TOKEN_PATTERN,
+    cleanText,
+    decodePath,
+    sendJson,
+    readBody,
+    readJsonBody,
+    sendFile,
+    serveStatic
+};
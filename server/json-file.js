@@ -0,0 +1,26 @@
+// JSON file persistence for the local reference server
+// Writes go through a temp file and rename so a crash never leaves half a file
+
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
@@ -0,0 +1,149 @@
+// Guest photo uploads for the local reference server
+// Photos arrive in chunks. Each upload keeps a count of the bytes received
+// so far, which is where a guest's browser resumes after a network drop;
+// a chunk for any other offset is refused with the count (409).
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, TOKEN_PATTERN, cleanText } = require('./http-helpers');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const MAX_PHOTO_BYTES = 20 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 1024 * 1024;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+// What each type's file must start with; a renamed file of another kind is refused
+const SIGNATURES = {
+    'image/jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+};
+
+function validateUpload(body) {
+    const id = String(body.id || '');
+    const type = String(body.type || '');
+    const size = Number(body.size);
+    const guestToken = String(body.guestToken || '');
+
+    if (!ID_PATTERN.test(id)) throw new HttpError(400, 'Upload id is not valid');
+    if (!TYPES[type]) throw new HttpError(415, `Photos must be ${Object.keys(TYPES).join(', ')}`);
+    if (!Number.isInteger(size) || size < 1) throw new HttpError(400, 'Size must be a positive whole number');
+    if (size > MAX_PHOTO_BYTES) {
+        throw new HttpError(413, `Photos must be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`);
+    }
+
+    return {
+        id,
+        // Only ever shown to the hosts; the stored file is named by id
+        name: path.basename(cleanText(body.name, 200)) || 'photo',
+        type,
+        size,
+        uploader: cleanText(body.uploader, 100) || null,
+        guestToken: TOKEN_PATTERN.test(guestToken) ? guestToken : null
+    };
+}
+
+class PhotoStore {
+    constructor(dataDir) {
+        this.filePath = path.join(dataDir, 'photos.json');
+        this.photoDir = path.join(dataDir, 'photos');
+    }
+
+    list() {
+        return readJsonFile(this.filePath, []);
+    }
+
+    save(uploads) {
+        writeJsonFile(this.filePath, uploads);
+    }
+
+    get(id) {
+        return this.list().find(upload => upload.id === id) || null;
+    }
+
+    partPath(upload) {
+        return path.join(this.photoDir, `${upload.id}.part`);
+    }
+
+    filePathFor(upload) {
+        return path.join(this.photoDir, upload.id + TYPES[upload.type]);
+    }
+
+    // Starting an upload that already exists reports how much has arrived,
+    // which is how a browser finds out where to resume
+    start(upload) {
+        const uploads = this.list();
+        const existing = uploads.find(entry => entry.id === upload.id);
+        if (existing) {
+            if (existing.size !== upload.size || existing.type !== upload.type) {
+                throw new HttpError(422, 'Upload id is already used for another photo');
+            }
+            return { upload: existing, created: false };
+        }
+
+        const entry = Object.assign({}, upload, {
+            received: 0,
+            startedAt: new Date().toISOString(),
+            completedAt: null
+        });
+        fs.mkdirSync(this.photoDir, { recursive: true });
+        fs.writeFileSync(this.partPath(entry), Buffer.alloc(0));
+        uploads.push(entry);
+        this.save(uploads);
+        return { upload: entry, created: true };
+    }
+
+    // Returns { upload, accepted }; a chunk for the wrong offset is not
+    // written and the upload's count tells the sender where to carry on
+    append(id, offset, chunk) {
+        const uploads = this.list();
+        const upload = uploads.find(entry => entry.id === id);
+        if (!upload) throw new HttpError(404, 'Unknown upload');
+        if (upload.completedAt || offset !== upload.received) {
+            return { upload, accepted: false };
+        }
+        if (upload.received + chunk.length > upload.size) {
+            throw new HttpError(400, 'Chunk goes past the end of the photo');
+        }
+
+        // Drops anything written after the last saved count (a crash mid-write)
+        fs.truncateSync(this.partPath(upload), upload.received);
+        fs.appendFileSync(this.partPath(upload), chunk);
+        upload.received += chunk.length;
+        if (upload.received === upload.size && !this.complete(upload)) {
+            // Not what it claimed to be; nothing of it is kept
+            fs.unlinkSync(this.partPath(upload));
+            this.save(uploads.filter(entry => entry !== upload));
+            throw new HttpError(422, `Photo is not a valid ${upload.type} file`);
+        }
+        this.save(uploads);
+        return { upload, accepted: true };
+    }
+
+    complete(upload) {
+        const partPath = this.partPath(upload);
+        const header = Buffer.alloc(12);
+        const fd = fs.openSync(partPath, 'r');
+        fs.readSync(fd, header, 0, header.length, 0);
+        fs.closeSync(fd);
+        if (!SIGNATURES[upload.type](header)) return false;
+
+        fs.renameSync(partPath, this.filePathFor(upload));
+        upload.completedAt = new Date().toISOString();
+        return true;
+    }
+
+    completed() {
+        return this.list().filter(upload => upload.completedAt);
+    }
+}
+
+module.exports = {
+    MAX_CHUNK_BYTES,
+    PhotoStore,
+    validateUpload
+};
@@ -0,0 +1,115 @@
+// Push subscriptions for reminder notifications on the local reference server
+
+const path = require('path');
+const { HttpError, TOKEN_PATTERN } = require('./http-helpers');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Push services are always https; plain http is only accepted from a
+// stand-in running on this machine (tools/push-service.js)
+function validateEndpoint(value) {
+    let url;
+    try {
+        url = new URL(String(value || ''));
+    } catch (error) {
+        throw new HttpError(400, 'Subscription endpoint must be a URL');
+    }
+
+    const isLocal = url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname);
+    if (url.protocol !== 'https:' && !isLocal) {
+        throw new HttpError(400, 'Subscription endpoint must use https');
+    }
+    return url.href;
+}
+
+function decodeKey(value, length, name) {
+    const key = Buffer.from(String(value || ''), 'base64url');
+    if (key.length !== length) {
+        throw new HttpError(400, `Subscription ${name} key is not valid`);
+    }
+    return key.toString('base64url');
+}
+
+function validateSubscription(body) {
+    const subscription = body.subscription || {};
+    const keys = subscription.keys || {};
+    const guestToken = String(body.guestToken || '');
+    const language = String(body.language || '').toLowerCase();
+
+    return {
+        endpoint: validateEndpoint(subscription.endpoint),
+        keys: {
+            p256dh: decodeKey(keys.p256dh, 65, 'p256dh'),
+            auth: decodeKey(keys.auth, 16, 'auth')
+        },
+        guestToken: TOKEN_PATTERN.test(guestToken) ? guestToken : null,
+        language: /^[a-z]{2,3}$/.test(language) ? language : null
+    };
+}
+
+class PushStore {
+    constructor(dataDir) {
+        this.filePath = path.join(dataDir, 'push-subscriptions.json');
+    }
+
+    list() {
+        return readJsonFile(this.filePath, []);
+    }
+
+    save(subscriptions) {
+        writeJsonFile(this.filePath, subscriptions);
+    }
+
+    // Subscribing again from the same browser updates the entry. A browser
+    // that renewed its subscription names the old endpoint, so the guest and
+    // the reminders already sent carry over to the new one
+    add(subscription, previousEndpoint) {
+        const subscriptions = this.list();
+        const index = subscriptions.findIndex(entry => (
+            entry.endpoint === subscription.endpoint || (previousEndpoint && entry.endpoint === previousEndpoint)
+        ));
+        const existing = index === -1 ? null : subscriptions[index];
+        const now = new Date().toISOString();
+
+        const entry = Object.assign({}, subscription, {
+            guestToken: subscription.guestToken || (existing && existing.guestToken) || null,
+            language: subscription.language || (existing && existing.language) || null,
+            sent: existing ? existing.sent : [],
+            subscribedAt: existing ? existing.subscribedAt : now,
+            updatedAt: now
+        });
+        if (existing) {
+            subscriptions[index] = entry;
+        } else {
+            subscriptions.push(entry);
+        }
+        this.save(subscriptions);
+        return { entry, created: !existing };
+    }
+
+    remove(endpoint) {
+        const subscriptions = this.list();
+        const remaining = subscriptions.filter(entry => entry.endpoint !== endpoint);
+        if (remaining.length === subscriptions.length) return false;
+
+        this.save(remaining);
+        return true;
+    }
+
+    // Remember a reminder went out so later runs of the sender skip it
+    markSent(endpoint, key) {
+        const subscriptions = this.list();
+        const entry = subscriptions.find(candidate => candidate.endpoint === endpoint);
+        if (!entry || entry.sent.includes(key)) return;
+
+        entry.sent.push(key);
+        this.save(subscriptions);
+    }
+}
+
+module.exports = {
+    PushStore,
+    validateEndpoint,
+    validateSubscription
+};
@@ -0,0 +1,61 @@
+// RSVP storage and validation for the local reference server
+
+const path = require('path');
+const { HttpError, cleanText } = require('./http-helpers');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const MAX_GUESTS = 20;
+
+function validateReply(body) {
+    const id = cleanText(body.id, 100);
+    const name = cleanText(body.name, 100);
+    const guests = Number(body.guests);
+
+    if (!id) throw new HttpError(400, 'Reply id is required');
+    if (!name) throw new HttpError(400, 'Name is required');
+    if (typeof body.attending !== 'boolean') throw new HttpError(400, 'Attending must be true or false');
+    if (!Number.isInteger(guests) || guests < 0 || guests > MAX_GUESTS) {
+        throw new HttpError(400, `Guests must be a whole number between 0 and ${MAX_GUESTS}`);
+    }
+
+    return {
+        id,
+        name,
+        attending: body.attending,
+        guests: body.attending ? Math.max(guests, 1) : 0,
+        dietary: cleanText(body.dietary, 200),
+        message: cleanText(body.message, 1000),
+        guestToken: cleanText(body.guestToken, 64) || null,
+        submittedAt: cleanText(body.submittedAt, 40) || null
+    };
+}
+
+class RsvpStore {
+    constructor(dataDir) {
+        this.filePath = path.join(dataDir, 'rsvps.json');
+    }
+
+    list() {
+        return readJsonFile(this.filePath, []);
+    }
+
+    // Replies replayed from an offline queue can arrive more than once,
+    // so a known id is acknowledged without being stored again
+    add(reply) {
+        const replies = this.list();
+        const existing = replies.find(entry => entry.id === reply.id);
+        if (existing) {
+            return { reply: existing, created: false };
+        }
+
+        const stored = Object.assign({}, reply, { receivedAt: new Date().toISOString() });
+        replies.push(stored);
+        writeJsonFile(this.filePath, replies);
+        return { reply: stored, created: true };
+    }
+}
+
+module.exports = {
+    RsvpStore,
+    validateReply
+};
@@ -0,0 +1,274 @@
+// Local reference server for the wedding invitation
+// Serves the site, receives RSVP replies and guests' photos, keeps reminder
+// subscriptions and the guestbook, and streams the hosts' announcements, so
+// the offline queue, background sync, push and live update paths can be
+// tested without a hosted backend.
+//
+// Usage: node server/server.js
+//   PORT           port to listen on (default 8080)
+//   DATA_DIR       where received data is stored (default server/data)
+//   HOST_PASSWORD  password for the hosts' pages: the RSVP dashboard at /host,
+//                  /host/guestbook and /host/photos, and for posting
+//                  announcements (tools/announce.js)
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { HttpError, MIME_TYPES, decodePath, sendJson, readBody, readJsonBody, sendFile, serveStatic } = require('./http-helpers');
+const { RsvpStore, validateReply } = require('./rsvp');
+const { PushStore, validateEndpoint, validateSubscription } = require('./push');
+const { FileGuestbookStorage, Guestbook, validateEntry } = require('./guestbook');
+const { MAX_CHUNK_BYTES, PhotoStore, validateUpload } = require('./photos');
+const { AnnouncementStore, AnnouncementStream, validateAnnouncement } = require('./announcements');
+const { createHostGuard } = require('./host-auth');
+const { buildDashboard, catererCsv, loadGuests, pendingCsv, seatingCsv } = require('./dashboard');
+const { buildManifest, renderManifest } = require('../tools/precache-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const HOST_PAGES = path.join(__dirname, 'host');
+// The site is served from the repository root, which also holds the
+// server, its data and the hosts' tools
+const PRIVATE_PATHS = ['/server/', '/tools/', '/.git/'];
+
+function isPrivate(pathname) {
+    const normalized = path.posix.normalize(decodePath(pathname));
+    return PRIVATE_PATHS.some(prefix => normalized.startsWith(prefix));
+}
+
+// Where guest files live under the site root, e.g. /guests/
+function guestPath(config) {
+    return `/${((config.guests && config.guests.path) || 'guests').replace(/^\/|\/?$/g, '')}/`;
+}
+
+function createServer(options = {}) {
+    const root = options.root || ROOT;
+    // A built site leaves the guests' files out, so they can come from the sources
+    const guestRoot = options.guestRoot || root;
+    const dataDir = options.dataDir || path.join(__dirname, 'data');
+    const rsvps = new RsvpStore(dataDir);
+    const pushSubscriptions = new PushStore(dataDir);
+    const guestbook = new Guestbook(options.guestbookStorage || new FileGuestbookStorage(dataDir), options.guestbook);
+    const photos = new PhotoStore(dataDir);
+    const announcements = new AnnouncementStore(dataDir);
+    const announcementStream = new AnnouncementStream();
+    const requireHost = createHostGuard(options.hostPassword);
+
+    // Host routes check the password before doing anything else
+    const host = handler => (req, res) => {
+        requireHost(req, res);
+        return handler(req, res);
+    };
+    const hostPage = file => host((req, res) => sendFile(req, res, path.join(HOST_PAGES, file), {
+        'Cache-Control': 'no-store'
+    }));
+
+    // Read on every request, so replies and newly generated guest links
+    // show up without a restart
+    const readConfig = () => JSON.parse(fs.readFileSync(path.join(root, 'wedding.json'), 'utf8'));
+    const dashboard = () => {
+        const config = readConfig();
+        const guestDir = path.join(guestRoot, guestPath(config));
+        return { config, summary: buildDashboard({ config, guests: loadGuests(guestDir), replies: rsvps.list() }) };
+    };
+    const csvExport = (name, build) => host((req, res) => {
+        const { config, summary } = dashboard();
+        // The byte order mark makes spreadsheet apps read the names as UTF-8
+        const body = '\ufeff' + build(summary, config);
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES['.csv'],
+            'Content-Length': Buffer.byteLength(body),
+            'Content-Disposition': `attachment; filename="${name}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    });
+
+    const routes = {
+        'POST /api/rsvp': (req, res) => readJsonBody(req).then(body => {
+            const { reply, created } = rsvps.add(validateReply(body));
+            console.log(`RSVP ${created ? 'received' : 'repeated'}: ${reply.name} (${reply.attending ? reply.guests + ' attending' : 'declined'})`);
+            sendJson(res, created ? 201 : 200, { ok: true, id: reply.id });
+        }),
+
+        // Reminder opt-in; tools/push-send.js delivers to what is stored here
+        'POST /api/push/subscribe': (req, res) => readJsonBody(req).then(body => {
+            const previousEndpoint = body.previousEndpoint ? validateEndpoint(body.previousEndpoint) : null;
+            const { entry, created } = pushSubscriptions.add(validateSubscription(body), previousEndpoint);
+            console.log(`Reminders ${created ? 'enabled' : 'updated'}: ${entry.guestToken || 'guest without a link'} (${new URL(entry.endpoint).host})`);
+            sendJson(res, created ? 201 : 200, { ok: true });
+        }),
+
+        'POST /api/push/unsubscribe': (req, res) => readJsonBody(req).then(body => {
+            const removed = pushSubscriptions.remove(validateEndpoint(body.endpoint));
+            if (removed) console.log('Reminders disabled for one subscription');
+            sendJson(res, 200, { ok: true, removed });
+        }),
+
+        // Wishes wait for a host's approval before they reach this list
+        'GET /api/guestbook': (req, res) => guestbook.approved().then(entries => {
+            sendJson(res, 200, { entries });
+        }),
+
+        'POST /api/guestbook': (req, res) => readJsonBody(req).then(body => (
+            guestbook.post(validateEntry(body), req.socket.remoteAddress)
+        )).then(entry => {
+            console.log(`Guestbook message from ${entry.name} waiting for approval`);
+            sendJson(res, 201, { ok: true, id: entry.id, status: entry.status });
+        }),
+
+        // Day-of news from the hosts: the whole list, once or as a stream
+        // that sends it again whenever it changes
+        'GET /api/announcements': (req, res) => sendJson(res, 200, { announcements: announcements.list() }),
+
+        'GET /api/announcements/stream': (req, res) => announcementStream.open(req, res, announcements.list()),
+
+        'POST /api/host/announcements': host((req, res) => readJsonBody(req).then(body => {
+            const announcement = announcements.add(validateAnnouncement(body));
+            const listeners = announcementStream.broadcast(announcements.list());
+            console.log(`Announcement posted, ${listeners} invitation(s) listening: ${announcement.message}`);
+            sendJson(res, 201, { ok: true, announcement });
+        })),
+
+        'POST /api/host/announcements/remove': host((req, res) => readJsonBody(req).then(body => {
+            if (!announcements.remove(String(body.id || ''))) {
+                throw new HttpError(404, 'No such announcement');
+            }
+            announcementStream.broadcast(announcements.list());
+            console.log(`Announcement ${body.id} removed`);
+            sendJson(res, 200, { ok: true });
+        })),
+
+        'GET /host': hostPage('dashboard.html'),
+        'GET /host/dashboard.js': hostPage('dashboard.js'),
+        'GET /host/host.css': hostPage('host.css'),
+        'GET /api/host/dashboard': host((req, res) => sendJson(res, 200, dashboard().summary)),
+        'GET /api/host/caterer.csv': csvExport('caterer.csv', catererCsv),
+        'GET /api/host/seating.csv': csvExport('seating.csv', seatingCsv),
+        'GET /api/host/pending.csv': csvExport('pending.csv', pendingCsv),
+
+        'GET /host/guestbook': hostPage('guestbook.html'),
+        'GET /host/guestbook.js': hostPage('guestbook.js'),
+
+        'GET /api/host/guestbook': host((req, res) => guestbook.all().then(entries => {
+            sendJson(res, 200, { entries });
+        })),
+
+        'POST /api/host/guestbook/moderate': host((req, res) => readJsonBody(req)
+            .then(body => guestbook.moderate(body.id, body.status))
+            .then(entry => {
+                console.log(`Guestbook message from ${entry.name} ${entry.status}`);
+                sendJson(res, 200, { ok: true, id: entry.id, status: entry.status });
+            })),
+
+        // Approved messages as a file, for the keepsake book
+        'GET /api/host/guestbook/export': host((req, res) => guestbook.export().then(book => {
+            res.setHeader('Content-Disposition', 'attachment; filename="guestbook.json"');
+            sendJson(res, 200, book);
+        })),
+
+        // Photo uploads: start (or look up) an upload, then send chunks at
+        // the offset it reports until the photo is complete
+        'POST /api/photos/uploads': (req, res) => readJsonBody(req).then(body => {
+            const { upload, created } = photos.start(validateUpload(body));
+            sendJson(res, created ? 201 : 200, { id: upload.id, received: upload.received, complete: Boolean(upload.completedAt) });
+        }),
+
+        'PUT /api/photos/chunk': (req, res) => {
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            const offset = Number(query.get('offset'));
+            if (!Number.isInteger(offset) || offset < 0) {
+                throw new HttpError(400, 'Offset must be a whole number');
+            }
+
+            return readBody(req, MAX_CHUNK_BYTES).then(chunk => {
+                const { upload, accepted } = photos.append(String(query.get('id') || ''), offset, chunk);
+                if (upload.completedAt && accepted) {
+                    console.log(`Photo received: ${upload.name} from ${upload.uploader || 'a guest'} (${Math.round(upload.size / 1024)} KB)`);
+                }
+                sendJson(res, accepted ? 200 : 409, { id: upload.id, received: upload.received, complete: Boolean(upload.completedAt) });
+            });
+        },
+
+        'GET /host/photos': hostPage('photos.html'),
+        'GET /host/photos.js': hostPage('photos.js'),
+
+        'GET /api/host/photos': host((req, res) => {
+            const received = photos.completed().map(({ id, name, type, size, uploader, guestToken, completedAt }) => ({
+                id, name, type, size, uploader, guestToken, completedAt,
+                url: `/api/host/photos/file?id=${encodeURIComponent(id)}`
+            }));
+            sendJson(res, 200, { photos: received.reverse() });
+        }),
+
+        'GET /api/host/photos/file': host((req, res) => {
+            const upload = photos.get(new URL(req.url, 'http://localhost').searchParams.get('id'));
+            if (!upload || !upload.completedAt) {
+                throw new HttpError(404, 'No such photo');
+            }
+            sendFile(req, res, photos.filePathFor(upload), { 'Cache-Control': 'private, max-age=86400' });
+        }),
+
+        // Built fresh on every request, so editing a file while the server
+        // runs is enough for the service worker to pick it up
+        'GET /precache-manifest.js': (req, res) => {
+            const body = renderManifest(buildManifest(root));
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES['.js'],
+                'Content-Length': Buffer.byteLength(body),
+                'Cache-Control': 'no-cache'
+            });
+            res.end(body);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        // The endpoint may be configured on another origin than the site
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = routes[`${req.method} ${pathname}`];
+
+        Promise.resolve()
+            .then(() => {
+                if (route) return route(req, res);
+                if (req.method !== 'GET' && req.method !== 'HEAD') {
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                if (isPrivate(pathname)) {
+                    throw new HttpError(404, 'Not found');
+                }
+                if (guestRoot !== root && pathname.startsWith(guestPath(readConfig()))) {
+                    return serveStatic(req, res, guestRoot);
+                }
+                return serveStatic(req, res, root);
+            })
+            .catch(error => {
+                if (!(error instanceof HttpError)) {
+                    console.error('Server error:', error);
+                }
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' }, error.headers);
+            });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+    createServer({
+        dataDir: process.env.DATA_DIR,
+        hostPassword: process.env.HOST_PASSWORD
+    }).listen(port, () => {
+        console.log(`Wedding invitation server running at http://localhost:${port}/`);
+    });
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,226 @@
+// Web Push delivery with only Node's crypto
+// Messages are encrypted for the subscriber's browser (aes128gcm, RFC 8291)
+// and signed with the sender's VAPID key (RFC 8292), which is what every
+// browser vendor's push service expects from an application server.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const RECORD_SIZE = 4096;
+// Push services accept 4096 bytes: 86 of header, 16 of auth tag and one
+// padding delimiter leave this much for the message itself
+const MAX_PAYLOAD_BYTES = 3993;
+const DEFAULT_TTL = 24 * 60 * 60;
+const TOKEN_LIFETIME = 12 * 60 * 60;
+
+class PushError extends Error {
+    constructor(message, statusCode, body) {
+        super(message);
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+
+    // The browser dropped the subscription; it will never work again
+    get expired() {
+        return this.statusCode === 404 || this.statusCode === 410;
+    }
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(String(value), 'base64url');
+}
+
+function encodeJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// { publicKey, privateKey } as base64url: the uncompressed P-256 point
+// (the applicationServerKey the page subscribes with) and the secret scalar
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const privateKey = ecdh.getPrivateKey();
+
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]).toString('base64url')
+    };
+}
+
+function toJwk(publicKey, privateKey) {
+    const point = fromBase64Url(publicKey);
+    if (point.length !== 65 || point[0] !== 4) {
+        throw new Error('VAPID public key must be an uncompressed P-256 point');
+    }
+
+    const jwk = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: point.subarray(1, 33).toString('base64url'),
+        y: point.subarray(33).toString('base64url')
+    };
+    if (privateKey) jwk.d = privateKey;
+    return jwk;
+}
+
+// Authorization header value for one push service (the JWT audience is its origin)
+function createVapidAuthorization(endpoint, vapid, expiration = Math.floor(Date.now() / 1000) + TOKEN_LIFETIME) {
+    if (!vapid || !vapid.subject) {
+        throw new Error('VAPID keys need a subject (mailto: or https: contact)');
+    }
+
+    const header = encodeJson({ typ: 'JWT', alg: 'ES256' });
+    const claims = encodeJson({ aud: new URL(endpoint).origin, exp: expiration, sub: vapid.subject });
+    const unsigned = `${header}.${claims}`;
+    const key = crypto.createPrivateKey({ key: toJwk(vapid.publicKey, vapid.privateKey), format: 'jwk' });
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+// The push service's side of the check; returns the verified claims
+function verifyVapidAuthorization(authorization, audience, now = Date.now()) {
+    const match = /^vapid\s+t=([\w-]+\.[\w-]+\.[\w-]+),\s*k=([\w-]+)$/.exec(authorization || '');
+    if (!match) {
+        throw new Error('Authorization is not a VAPID header');
+    }
+
+    const [, token, publicKey] = match;
+    const [header, claims, signature] = token.split('.');
+    const key = crypto.createPublicKey({ key: toJwk(publicKey), format: 'jwk' });
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`),
+        { key, dsaEncoding: 'ieee-p1363' }, fromBase64Url(signature));
+    if (!valid) {
+        throw new Error('VAPID signature does not match the key');
+    }
+
+    const payload = JSON.parse(fromBase64Url(claims).toString('utf8'));
+    const seconds = now / 1000;
+    if (payload.aud !== audience) {
+        throw new Error(`VAPID audience ${payload.aud} is not ${audience}`);
+    }
+    if (!(payload.exp > seconds) || payload.exp > seconds + 24 * 60 * 60) {
+        throw new Error('VAPID token is expired or valid for more than 24 hours');
+    }
+    return Object.assign({ publicKey }, payload);
+}
+
+// Content encryption key and nonce shared by the sender's one-off key pair
+// and the browser's subscription key, mixed with the subscription's secret
+function deriveKeys(sharedSecret, authSecret, receiverKey, senderKey, salt) {
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+    const ikm = crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32);
+
+    return {
+        key: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16)),
+        nonce: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12))
+    };
+}
+
+function encryptPayload(subscription, payload) {
+    const plaintext = Buffer.from(payload);
+    if (plaintext.length > MAX_PAYLOAD_BYTES) {
+        throw new Error(`Push payload is ${plaintext.length} bytes; the limit is ${MAX_PAYLOAD_BYTES}`);
+    }
+
+    const receiverKey = fromBase64Url(subscription.keys.p256dh);
+    const sender = crypto.createECDH('prime256v1');
+    const senderKey = sender.generateKeys();
+    const salt = crypto.randomBytes(16);
+    const { key, nonce } = deriveKeys(
+        sender.computeSecret(receiverKey), fromBase64Url(subscription.keys.auth), receiverKey, senderKey, salt
+    );
+
+    // One record, closed with the 0x02 last-record delimiter
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(senderKey.length, 20);
+    return Buffer.concat([header, senderKey, ciphertext]);
+}
+
+// What the browser does on arrival; receiver is { privateKey, auth } in base64url
+function decryptPayload(body, receiver) {
+    if (body.length < 21 + 65 + 17) {
+        throw new Error('Push body is too short for an aes128gcm record');
+    }
+
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const senderKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(fromBase64Url(receiver.privateKey));
+    const { key, nonce } = deriveKeys(
+        ecdh.computeSecret(senderKey), fromBase64Url(receiver.auth), ecdh.getPublicKey(), senderKey, salt
+    );
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) end--;
+    if (padded[end] !== 2) {
+        throw new Error('Push body is not a single final record');
+    }
+    return padded.subarray(0, end);
+}
+
+// Resolves with the push service's answer; rejects with a PushError when
+// it refuses the message
+function sendNotification(subscription, payload, options = {}) {
+    const body = payload == null
+        ? Buffer.alloc(0)
+        : encryptPayload(subscription, typeof payload === 'string' ? payload : JSON.stringify(payload));
+    const headers = {
+        TTL: String(Math.max(0, Math.round(options.ttl == null ? DEFAULT_TTL : options.ttl))),
+        Urgency: options.urgency || 'normal',
+        Authorization: createVapidAuthorization(subscription.endpoint, options.vapid),
+        'Content-Length': body.length
+    };
+    if (body.length) {
+        headers['Content-Type'] = 'application/octet-stream';
+        headers['Content-Encoding'] = 'aes128gcm';
+    }
+    if (options.topic) {
+        headers.Topic = options.topic;
+    }
+
+    const url = new URL(subscription.endpoint);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(url, { method: 'POST', headers, timeout: options.timeout || 30000 }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve({ statusCode: res.statusCode, body: text });
+                } else {
+                    reject(new PushError(`Push service answered ${res.statusCode}${text ? ': ' + text.slice(0, 200) : ''}`, res.statusCode, text));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('Push service did not answer')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+module.exports = {
+    MAX_PAYLOAD_BYTES,
+    PushError,
+    decryptPayload,
+    encryptPayload,
+    generateVapidKeys,
+    createVapidAuthorization,
+    verifyVapidAuthorization,
+    sendNotification
+};
@@ -1,204 +1,368 @@
 // Service Worker for Wedding Invitation Website
 // Provides offline capability and performance optimization
 
-const CACHE_NAME = 'wedding-invitation-v1.0.0';
-const urlsToCache = [
-    '/',
-    '/index.html',
-    '/css/styles.css',
-    '/js/script.js',
-    '/assets/background.png',
-    '/assets/wedding-music.mp3',
-    '/assets/invitation-card.pdf',
-    '/manifest.json',
-    'https://i.pinimg.com/originals/f6/27/91/f62791c3d0e3e2c3a0b3e0e3e3d8e3c3.png',
-    'https://maps.app.goo.gl/ctKUnnbbKhS6xQcz7'
-];
-
-// Install event - cache resources
+importScripts('/js/rsvp-queue.js', '/js/photo-queue.js');
+// Defines self.__PRECACHE_MANIFEST; generated by tools/precache-manifest.js
+// (the local server builds it on the fly). A tree served as it is, before
+// the manifest was generated, still installs, with nothing precached.
+try {
+    importScripts('/precache-manifest.js');
+} catch (error) {
+    self.__PRECACHE_MANIFEST = null;
+}
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', entries: [] };
+const PRECACHE = 'wedding-precache-v2';
+const RUNTIME_CACHE = 'wedding-runtime-v2';
+const MEDIA_CACHE = 'wedding-media-v1';
+const CACHE_NAMES = [PRECACHE, RUNTIME_CACHE, MEDIA_CACHE];
+
+// Precached copies are stored under their revision, so a new manifest only
+// downloads the files that actually changed
+const precacheKeys = new Map(MANIFEST.entries.map(entry => [
+    new URL(entry.url, self.location.origin).href,
+    new URL(`${entry.url}?__rev=${entry.revision}`, self.location.origin).href
+]));
+
+// Served stale-while-revalidate: the page itself, its config, translations
+// and guest files
+const SHELL_PATTERN = /^\/(index\.html)?$/;
+const REVALIDATE_PATTERNS = [SHELL_PATTERN, /^\/wedding\.json$/, /^\/locales\/[\w-]+\.json$/, /^\/guests\/[\w-]+\.json$/];
+const MEDIA_PATTERN = /\.(mp3|ogg|m4a|wav)$/i;
+// The announcements feed (the reference server's, or a file on a static
+// host) is network first, with the last copy kept for offline visits. The
+// page also sends the lists it gets over the stream (CACHE_ANNOUNCEMENTS).
+const ANNOUNCEMENTS_PATTERN = /^\/(api\/announcements|announcements\.json)$/;
+
+// Install event - download everything in the manifest
 self.addEventListener('install', event => {
-    console.log('Service Worker: Installing...');
-    
+    // A failed download fails the install, so the previous version keeps
+    // serving instead of a half-filled cache. The new worker then waits
+    // until the page asks it to take over (SKIP_WAITING).
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Service Worker: Caching files');
-                return cache.addAll(urlsToCache.map(url => {
-                    return new Request(url, { mode: 'no-cors' });
-                }));
-            })
-            .catch(error => {
-                console.log('Service Worker: Cache failed', error);
-                // Continue installation even if some resources fail
-                return Promise.resolve();
-            })
+        caches.open(PRECACHE).then(cache => Promise.all(
+            Array.from(precacheKeys, ([url, key]) => cache.match(key).then(cached => {
+                if (cached) return null;
+                return fetch(url, { cache: 'reload' }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Precaching ${url} failed with status ${response.status}`);
+                    }
+                    return cache.put(key, response);
+                });
+            }))
+        ))
     );
-    
-    // Force the waiting service worker to become the active service worker
-    self.skipWaiting();
 });
 
-// Activate event - clean up old caches
+// Activate event - drop old caches and precache entries no longer listed
 self.addEventListener('activate', event => {
-    console.log('Service Worker: Activating...');
-    
+    const currentKeys = new Set(precacheKeys.values());
+
     event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
-                        console.log('Service Worker: Deleting old cache', cacheName);
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
+        caches.keys()
+            .then(cacheNames => Promise.all(cacheNames
+                .filter(cacheName => !CACHE_NAMES.includes(cacheName))
+                .map(cacheName => caches.delete(cacheName))))
+            .then(() => caches.open(PRECACHE))
+            .then(cache => cache.keys().then(requests => Promise.all(requests
+                .filter(request => !currentKeys.has(request.url))
+                .map(request => cache.delete(request)))))
+            .then(() => self.clients.claim())
     );
-    
-    // Ensure the new service worker takes control immediately
-    event.waitUntil(self.clients.claim());
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - pick a strategy by route
 self.addEventListener('fetch', event => {
-    // Skip non-GET requests
-    if (event.request.method !== 'GET') {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Replies, uploads and other APIs (the announcement stream too) always
+    // go to the network; other origins (maps, fonts, images) are left to the browser
+    if (request.method !== 'GET' || url.origin !== self.location.origin
+        || (url.pathname.startsWith('/api/') && !ANNOUNCEMENTS_PATTERN.test(url.pathname))) {
         return;
     }
 
-    // Skip external API calls (like Google Maps)
-    if (event.request.url.includes('maps.app.goo.gl')) {
-        return;
+    if (request.mode === 'navigate' && SHELL_PATTERN.test(url.pathname)) {
+        // Every invitation link (?g=, ?lang=) is the same page
+        event.respondWith(staleWhileRevalidate(event, new URL('/index.html', url).href));
+    } else if (ANNOUNCEMENTS_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(event));
+    } else if (REVALIDATE_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event, url.href));
+    } else if (MEDIA_PATTERN.test(url.pathname) || request.destination === 'audio') {
+        event.respondWith(serveMedia(event));
+    } else if (precacheKeys.has(url.origin + url.pathname)) {
+        event.respondWith(cacheFirst(request, url.origin + url.pathname));
+    } else {
+        event.respondWith(networkFirst(event));
+    }
+});
+
+function matchPrecache(url) {
+    const key = precacheKeys.get(url);
+    return key ? caches.open(PRECACHE).then(cache => cache.match(key)) : Promise.resolve(undefined);
+}
+
+function putRuntime(event, key, response) {
+    if (response.ok && response.status === 200) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => cache.put(key, copy)));
     }
+    return response;
+}
+
+// Precached files never change under the same revision
+function cacheFirst(request, url) {
+    return matchPrecache(url).then(cached => cached || fetch(request));
+}
+
+// Answer from the cache straight away and refresh it for next time; the
+// install-time copy covers a first offline visit
+function staleWhileRevalidate(event, key) {
+    const network = fetch(event.request).then(response => putRuntime(event, key, response));
+
+    return caches.open(RUNTIME_CACHE)
+        .then(cache => cache.match(key))
+        .then(cached => cached || matchPrecache(key))
+        .then(cached => {
+            if (cached) {
+                event.waitUntil(network.catch(() => null));
+                return cached;
+            }
+            return network;
+        });
+}
+
+function networkFirst(event) {
+    const request = event.request;
+    return fetch(request)
+        .then(response => putRuntime(event, request.url, response))
+        .catch(error => caches.match(request.url).then(cached => {
+            if (cached) return cached;
+            throw error;
+        }));
+}
+
+// Audio players ask for byte ranges to seek. A track's first request
+// downloads the whole file once: the player streams that response while a
+// clone of it is cached, and other ranges asked for meanwhile wait for the
+// copy. Later plays are answered from the copy with 206 responses.
+const mediaDownloads = new Map();
+
+function serveMedia(event) {
+    const request = event.request;
+    const url = request.url;
+    const fromCache = () => caches.open(MEDIA_CACHE).then(cache => cache.match(url));
 
-    event.respondWith(
-        caches.match(event.request)
+    return fromCache().then(cached => {
+        if (cached) return rangeResponse(request, cached);
+
+        // A seek into a track that isn't saved yet only needs its range, now,
+        // even while the whole file is still on its way
+        const range = request.headers.get('range');
+        if (range && !/^bytes=0-$/.test(range.trim())) return fetch(request);
+
+        // The whole file waits for the copy rather than coming down twice
+        const downloading = mediaDownloads.get(url);
+        if (downloading) {
+            return downloading
+                .then(saved => saved ? fromCache() : null)
+                .then(copy => copy ? rangeResponse(request, copy) : fetch(request));
+        }
+
+        const network = fetch(url);
+        const download = network
             .then(response => {
-                // Return cached version or fetch from network
-                if (response) {
-                    console.log('Service Worker: Serving from cache', event.request.url);
-                    return response;
-                }
-
-                // Clone the request because it's a stream
-                const fetchRequest = event.request.clone();
-
-                return fetch(fetchRequest)
-                    .then(response => {
-                        // Check if valid response
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
-
-                        // Clone the response because it's a stream
-                        const responseToCache = response.clone();
-
-                        // Only cache same-origin requests
-                        if (event.request.url.startsWith(self.location.origin)) {
-                            caches.open(CACHE_NAME)
-                                .then(cache => {
-                                    cache.put(event.request, responseToCache);
-                                });
-                        }
-
-                        return response;
-                    })
-                    .catch(error => {
-                        console.log('Service Worker: Fetch failed, serving offline fallback', error);
-                        
-                        // Serve offline fallback for HTML pages
-                        if (event.request.headers.get('accept').includes('text/html')) {
-                            return caches.match('/index.html');
-                        }
-                        
-                        // For other resources, just return the error
-                        throw error;
-                    });
+                if (response.status !== 200) return false;
+                const copy = response.clone();
+                return caches.open(MEDIA_CACHE).then(cache => cache.put(url, copy)).then(() => true);
             })
-    );
-});
+            .catch(error => report('warning', `Caching ${url} failed`, error).then(() => false));
+        mediaDownloads.set(url, download);
+        event.waitUntil(download.then(() => mediaDownloads.delete(url)));
+        return network;
+    });
+}
+
+function rangeResponse(request, response) {
+    const range = request.headers.get('range');
+    if (!range) return response;
+
+    return response.arrayBuffer().then(buffer => {
+        const size = buffer.byteLength;
+        const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+        let start;
+        let end;
+
+        if (match && match[1] !== '') {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        } else if (match && match[2] !== '') {
+            // "bytes=-500" asks for the last 500 bytes
+            start = Math.max(0, size - Number(match[2]));
+            end = size - 1;
+        }
+
+        if (start === undefined || start >= size || start > end) {
+            return new Response(null, {
+                status: 416,
+                statusText: 'Range Not Satisfiable',
+                headers: { 'Content-Range': `bytes */${size}` }
+            });
+        }
 
-// Background sync for form submissions (if needed later)
+        return new Response(buffer.slice(start, end + 1), {
+            status: 206,
+            statusText: 'Partial Content',
+            headers: {
+                'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end}/${size}`,
+                'Content-Length': String(end - start + 1),
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    });
+}
+
+// Background sync for queued RSVP replies and guests' photos
 self.addEventListener('sync', event => {
     if (event.tag === 'background-sync') {
-        console.log('Service Worker: Background sync triggered');
         event.waitUntil(doBackgroundSync());
     }
+    if (event.tag === 'photo-sync') {
+        event.waitUntil(doPhotoSync());
+    }
 });
 
 function doBackgroundSync() {
-    // Handle background sync operations
-    return Promise.resolve();
+    // Replay RSVP replies saved while offline; a rejection tells the
+    // browser to retry the sync later
+    return new RsvpQueue({ log: report }).flush()
+        .then(count => self.clients.matchAll({ type: 'window' }).then(windowClients => {
+            windowClients.forEach(client => client.postMessage({ type: 'RSVP_SYNCED', count }));
+        }));
+}
+
+// Carry on uploading photos where the page left off. Open pages are told
+// how each one is getting on; a rejection has the browser retry later.
+function doPhotoSync() {
+    const notify = progress => self.clients.matchAll({ type: 'window' }).then(windowClients => {
+        windowClients.forEach(client => client.postMessage({ type: 'PHOTO_PROGRESS', progress }));
+    });
+
+    return new PhotoQueue({ log: report }).flush(notify);
 }
 
-// Push notification handler (for future use)
+// Reminders and announcements from tools/push-send.js. The payload is JSON:
+// { title, body, tag, lang, dir, url, actions: [{ action, title, url }] }
 self.addEventListener('push', event => {
-    console.log('Service Worker: Push received');
-    
-    const options = {
-        body: event.data ? event.data.text() : 'New update available!',
-        icon: '/icons/icon-192x192.png',
-        badge: '/icons/badge-72x72.png',
-        vibrate: [100, 50, 100],
-        data: {
-            dateOfArrival: Date.now(),
-            primaryKey: 1
-        },
-        actions: [
-            {
-                action: 'explore',
-                title: 'View Invitation',
-                icon: '/icons/checkmark.png'
-            },
-            {
-                action: 'close',
-                title: 'Close',
-                icon: '/icons/xmark.png'
-            }
-        ]
-    };
+    const message = readPushMessage(event);
+    const actions = message.actions || [];
 
     event.waitUntil(
-        self.registration.showNotification('Wedding Invitation', options)
+        self.registration.showNotification(message.title || 'Wedding Invitation', {
+            body: message.body || '',
+            tag: message.tag,
+            renotify: Boolean(message.tag),
+            lang: message.lang,
+            dir: message.dir || 'auto',
+            icon: message.icon,
+            vibrate: [100, 50, 100],
+            data: {
+                url: message.url || '/',
+                actions: actions.reduce((urls, action) => {
+                    urls[action.action] = action.url;
+                    return urls;
+                }, {})
+            },
+            actions: actions.map(({ action, title }) => ({ action, title }))
+        })
     );
 });
 
-// Notification click handler
+function readPushMessage(event) {
+    if (!event.data) return {};
+    try {
+        return event.data.json();
+    } catch (error) {
+        return { body: event.data.text() };
+    }
+}
+
+// Each action deep-links to a section of the invitation (or the map app);
+// an invitation that is already open is reused instead of opening another
 self.addEventListener('notificationclick', event => {
-    console.log('Service Worker: Notification click received');
-    
     event.notification.close();
 
-    if (event.action === 'explore') {
-        event.waitUntil(
-            clients.openWindow('/')
-        );
-    } else if (event.action === 'close') {
-        // Just close the notification
-        event.notification.close();
-    } else {
-        // Default action
-        event.waitUntil(
-            clients.openWindow('/')
-        );
+    const data = event.notification.data || {};
+    const target = new URL((event.action && data.actions && data.actions[event.action]) || data.url || '/', self.location.origin);
+    event.waitUntil(openWindow(target));
+});
+
+function openWindow(target) {
+    if (target.origin !== self.location.origin) {
+        return self.clients.openWindow(target.href);
     }
+
+    return self.clients.matchAll({ type: 'window' }).then(windowClients => {
+        const samePage = windowClients.find(client => {
+            const url = new URL(client.url);
+            return url.pathname === target.pathname && url.search === target.search;
+        });
+        if (!samePage) {
+            return self.clients.openWindow(target.href);
+        }
+        // Only the hash differs, so navigating just scrolls to the section
+        return samePage.focus().then(client => client.navigate(target.href));
+    });
+}
+
+// Browsers occasionally renew a subscription; pass the new one to the
+// server so the guest keeps getting reminders
+self.addEventListener('pushsubscriptionchange', event => {
+    const previous = event.oldSubscription;
+    if (!previous) return;
+    const renewed = event.newSubscription
+        ? Promise.resolve(event.newSubscription)
+        : self.registration.pushManager.subscribe(previous.options);
+
+    event.waitUntil(
+        renewed
+            .then(subscription => fetch('/wedding.json')
+                .then(response => response.json())
+                .then(config => fetch(`${config.push.endpoint}/subscribe`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ subscription: subscription.toJSON(), previousEndpoint: previous.endpoint })
+                })))
+            .catch(error => report('error', 'Push subscription renewal failed', error))
+    );
 });
 
 // Message handler for communication with main thread
 self.addEventListener('message', event => {
-    console.log('Service Worker: Message received', event.data);
-    
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
     }
     
     if (event.data && event.data.type === 'GET_VERSION') {
-        event.ports[0].postMessage({ version: CACHE_NAME });
+        event.ports[0].postMessage({ version: MANIFEST.version });
     }
     
+    if (event.data && event.data.type === 'CACHE_ANNOUNCEMENTS') {
+        const url = new URL(event.data.url);
+        if (url.origin === self.location.origin && ANNOUNCEMENTS_PATTERN.test(url.pathname)) {
+            const body = JSON.stringify({ announcements: event.data.announcements || [] });
+            event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => cache.put(url.href, new Response(body, {
+                headers: { 'Content-Type': 'application/json; charset=utf-8' }
+            }))));
+        }
+    }
+
     if (event.data && event.data.type === 'CACHE_URLS') {
         event.waitUntil(
-            caches.open(CACHE_NAME)
+            caches.open(RUNTIME_CACHE)
                 .then(cache => {
                     return cache.addAll(event.data.urls);
                 })
@@ -208,11 +372,21 @@ self.addEventListener('message', event => {
 
 // Error handler
 self.addEventListener('error', event => {
-    console.error('Service Worker: Global error', event.error);
+    report('error', 'Global error', event.error);
 });
 
 self.addEventListener('unhandledrejection', event => {
-    console.error('Service Worker: Unhandled promise rejection', event.reason);
+    report('error', 'Unhandled promise rejection', event.reason);
 });
 
-console.log('Service Worker: Script loaded');
+// Nobody watches the worker's console, so what went wrong is sent to the
+// open pages for their diagnostics log (SW_LOG) instead
+function report(level, message, error) {
+    const detail = error && typeof error.message === 'string'
+        ? { name: error.name, message: error.message, stack: error.stack }
+        : (error === undefined ? undefined : String(error));
+
+    return self.clients.matchAll({ type: 'window' }).then(windowClients => {
+        windowClients.forEach(client => client.postMessage({ type: 'SW_LOG', level, message, detail }));
+    });
+}
@@ -0,0 +1,70 @@
+// CalendarExport: the .ics file guests add to their calendars
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// calendar-export.js is a browser script that finds EventTime as a global
+global.EventTime = require('../js/event-time');
+const CalendarExport = require('../js/calendar-export');
+
+const walima = {
+    id: 'walima',
+    title: 'Walima',
+    start: '2024-12-28T19:00:00',
+    end: '2024-12-28T23:00:00',
+    timeZone: 'Asia/Karachi',
+    location: 'Marquee, Main Boulevard',
+    url: 'https://example.com/'
+};
+
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '');
+}
+
+test('writes zoned times in UTC', () => {
+    const ics = new CalendarExport().toIcs([walima]);
+    assert.match(ics, /\r\nDTSTART:20241228T140000Z\r\n/);
+    assert.match(ics, /\r\nDTEND:20241228T180000Z\r\n/);
+});
+
+test('keeps times without a zone floating', () => {
+    const ics = new CalendarExport().toIcs([Object.assign({}, walima, { timeZone: undefined })]);
+    assert.match(ics, /\r\nDTSTART:20241228T190000\r\n/);
+    assert.match(ics, /\r\nDTEND:20241228T230000\r\n/);
+});
+
+test('ends every line with CRLF and wraps the events in one calendar', () => {
+    const ics = new CalendarExport().toIcs([walima, Object.assign({}, walima, { id: 'nikah' })]);
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /[\r\n]/);
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+    assert.match(ics, /\r\nUID:walima-20241228T190000@wedding-invitation\r\n/);
+    assert.match(ics, /\r\nUID:nikah-20241228T190000@wedding-invitation\r\n/);
+});
+
+test('escapes commas, semicolons, backslashes and new lines', () => {
+    const ics = new CalendarExport().toIcs([Object.assign({}, walima, {
+        description: 'Dress: formal; no jeans, please\nParking at the back \\ side gate'
+    })]);
+    assert.ok(unfold(ics).includes('\r\nDESCRIPTION:Dress: formal\\; no jeans\\, please\\nParking at the back \\\\ side gate\r\n'));
+    assert.ok(ics.includes('\r\nLOCATION:Marquee\\, Main Boulevard\r\n'));
+});
+
+test('folds long lines at 75 octets without splitting a character', () => {
+    const title = 'ولیمہ کی تقریب میں آپ کی شرکت ہمارے لیے باعث مسرت ہوگی، ان شاء اللہ';
+    const ics = new CalendarExport().toIcs([Object.assign({}, walima, { title })]);
+    const lines = ics.split('\r\n');
+    lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`));
+    assert.ok(lines.filter(line => line.startsWith(' ')).length >= 2);
+    assert.ok(unfold(ics).includes(`\r\nSUMMARY:${title}\r\n`));
+});
+
+test('adds the reminder in the given language, or none', () => {
+    const reminded = new CalendarExport({ reminderMinutes: 90, reminderText: title => `یاد دہانی: ${title}` }).toIcs([walima]);
+    assert.match(reminded, /\r\nBEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:یاد دہانی: Walima\r\nTRIGGER:-PT90M\r\nEND:VALARM\r\n/);
+
+    const silent = new CalendarExport({ reminderMinutes: 0 }).toIcs([walima]);
+    assert.doesNotMatch(silent, /VALARM/);
+});
@@ -0,0 +1,64 @@
+// EventTime: venue wall-clock times as real instants, across daylight saving changes
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const EventTime = require('../js/event-time');
+
+const iso = (wallClock, timeZone) => EventTime.toDate(wallClock, timeZone).toISOString();
+
+test('reads a zone without daylight saving', () => {
+    assert.equal(iso('2024-12-28T19:00:00', 'Asia/Karachi'), '2024-12-28T14:00:00.000Z');
+    assert.equal(EventTime.toIsoString('2024-12-28T19:00:00', 'Asia/Karachi'), '2024-12-28T19:00:00+05:00');
+});
+
+test('uses the offset in force on the day, not today\'s', () => {
+    assert.equal(iso('2024-01-15T12:00', 'Europe/London'), '2024-01-15T12:00:00.000Z');
+    assert.equal(iso('2024-07-15T12:00', 'Europe/London'), '2024-07-15T11:00:00.000Z');
+    assert.equal(iso('2024-07-15T19:00', 'America/New_York'), '2024-07-15T23:00:00.000Z');
+    assert.equal(iso('2024-12-15T19:00', 'America/New_York'), '2024-12-16T00:00:00.000Z');
+    // Summer in the south is the other way round
+    assert.equal(iso('2024-01-15T19:00', 'Australia/Sydney'), '2024-01-15T08:00:00.000Z');
+    assert.equal(iso('2024-07-15T19:00', 'Australia/Sydney'), '2024-07-15T09:00:00.000Z');
+});
+
+test('gets the hours either side of a change right', () => {
+    // Clocks in London went forward at 01:00 UTC on 31 March 2024
+    assert.equal(iso('2024-03-31T00:30', 'Europe/London'), '2024-03-31T00:30:00.000Z');
+    assert.equal(iso('2024-03-31T03:00', 'Europe/London'), '2024-03-31T02:00:00.000Z');
+    // and back at 01:00 UTC on 27 October 2024
+    assert.equal(iso('2024-10-27T00:30', 'Europe/London'), '2024-10-26T23:30:00.000Z');
+    assert.equal(iso('2024-10-27T03:00', 'Europe/London'), '2024-10-27T03:00:00.000Z');
+});
+
+test('moves a time the clocks skip to just after the change', () => {
+    // 01:30 never happened in London on 31 March 2024; 02:30 BST did
+    assert.equal(iso('2024-03-31T01:30', 'Europe/London'), '2024-03-31T01:30:00.000Z');
+});
+
+test('reads a time the clocks pass twice as one of the two', () => {
+    const instant = iso('2024-10-27T01:30', 'Europe/London');
+    assert.ok(['2024-10-27T00:30:00.000Z', '2024-10-27T01:30:00.000Z'].includes(instant), instant);
+    const { hour, minute } = EventTime.getParts(new Date(instant), 'Europe/London');
+    assert.deepEqual([hour, minute], [1, 30]);
+});
+
+test('writes the offset of the day, including half hours and west of UTC', () => {
+    assert.equal(EventTime.toIsoString('2024-07-15T12:00', 'Europe/London'), '2024-07-15T12:00:00+01:00');
+    assert.equal(EventTime.toIsoString('2024-01-15T12:00', 'Europe/London'), '2024-01-15T12:00:00+00:00');
+    assert.equal(EventTime.toIsoString('2024-12-15T19:00', 'America/New_York'), '2024-12-15T19:00:00-05:00');
+    assert.equal(EventTime.toIsoString('2024-12-15T19:00', 'Asia/Kolkata'), '2024-12-15T19:00:00+05:30');
+    assert.equal(EventTime.toIsoString('2024-12-15T19:00'), '2024-12-15T19:00:00');
+});
+
+test('gives the venue\'s date, which may not be the guest\'s', () => {
+    const instant = EventTime.toDate('2024-12-28T23:30', 'Asia/Karachi');
+    assert.equal(EventTime.toDateString(instant, 'Asia/Karachi'), '2024-12-28');
+    assert.equal(EventTime.toDateString(instant, 'Pacific/Auckland'), '2024-12-29');
+});
+
+test('knows a real zone from a made-up one', () => {
+    assert.equal(EventTime.isValidTimeZone('Asia/Karachi'), true);
+    assert.equal(EventTime.isValidTimeZone('Asia/Atlantis'), false);
+});
@@ -0,0 +1,110 @@
+// Guestbook validation, moderation and rate limits
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HttpError } = require('../server/http-helpers');
+const { Guestbook, validateEntry } = require('../server/guestbook');
+
+// The storage backend contract, kept in memory
+class MemoryStorage {
+    constructor() {
+        this.entries = [];
+    }
+
+    list() {
+        return Promise.resolve(this.entries.map(entry => Object.assign({}, entry)));
+    }
+
+    add(entry) {
+        this.entries.push(Object.assign({}, entry));
+        return Promise.resolve(entry);
+    }
+
+    update(id, changes) {
+        const entry = this.entries.find(candidate => candidate.id === id);
+        return Promise.resolve(entry ? Object.assign(entry, changes) : null);
+    }
+}
+
+const wish = { name: 'Ayesha', message: 'Barakallahu lakuma wa baraka alaykuma', deviceId: 'device-0001' };
+
+function hasStatus(status) {
+    return error => error instanceof HttpError && error.status === status;
+}
+
+test('accepts a message and drops what doesn\'t look right', () => {
+    assert.deepEqual(validateEntry(Object.assign({}, wish, { name: ' Ayesha ', guestToken: 'abcd1234', language: 'UR' })), {
+        name: 'Ayesha',
+        message: wish.message,
+        guestToken: 'abcd1234',
+        language: 'ur',
+        deviceId: 'device-0001'
+    });
+    const odd = validateEntry(Object.assign({}, wish, { guestToken: '../admin', language: 'english', deviceId: 'short', status: 'approved' }));
+    assert.equal(odd.guestToken, null);
+    assert.equal(odd.language, null);
+    assert.equal(odd.deviceId, null);
+    assert.equal('status' in odd, false);
+});
+
+test('refuses a message without a name or text, or over 500 characters', () => {
+    assert.throws(() => validateEntry(Object.assign({}, wish, { name: '  ' })), /Name is required/);
+    assert.throws(() => validateEntry(Object.assign({}, wish, { message: '' })), /Message is required/);
+    assert.throws(() => validateEntry(Object.assign({}, wish, { message: 'x'.repeat(501) })), /at most 500 characters/);
+    assert.equal(validateEntry(Object.assign({}, wish, { message: 'x'.repeat(500) })).message.length, 500);
+});
+
+test('shows a message on the wall only once a host approves it', async () => {
+    const guestbook = new Guestbook(new MemoryStorage());
+    const posted = await guestbook.post(validateEntry(wish), '203.0.113.7');
+    assert.equal(posted.status, 'pending');
+    assert.deepEqual(await guestbook.approved(), []);
+
+    await guestbook.moderate(posted.id, 'approved');
+    const wall = await guestbook.approved();
+    assert.deepEqual(wall.map(entry => entry.message), [wish.message]);
+    assert.deepEqual(Object.keys(wall[0]).sort(), ['createdAt', 'id', 'language', 'message', 'name']);
+
+    await guestbook.moderate(posted.id, 'rejected');
+    assert.deepEqual(await guestbook.approved(), []);
+});
+
+test('refuses an unknown status or message when moderating', async () => {
+    const guestbook = new Guestbook(new MemoryStorage());
+    assert.throws(() => guestbook.moderate('x', 'published'), hasStatus(400));
+    await assert.rejects(guestbook.moderate('missing', 'approved'), hasStatus(404));
+});
+
+test('keeps only hashes of the device id and address', async () => {
+    const storage = new MemoryStorage();
+    await new Guestbook(storage).post(validateEntry(wish), '203.0.113.7');
+    const stored = JSON.stringify(storage.entries);
+    assert.equal(stored.includes('device-0001'), false);
+    assert.equal(stored.includes('203.0.113.7'), false);
+});
+
+test('limits how often one device posts', async () => {
+    const guestbook = new Guestbook(new MemoryStorage(), { limit: 2 });
+    await guestbook.post(validateEntry(wish), '203.0.113.7');
+    await guestbook.post(validateEntry(wish), '198.51.100.1');
+    await assert.rejects(guestbook.post(validateEntry(wish), '192.0.2.1'), hasStatus(429));
+    // Another guest on the same network is still welcome
+    await guestbook.post(validateEntry(Object.assign({}, wish, { deviceId: 'device-0002' })), '203.0.113.7');
+});
+
+test('limits one address however many device ids it makes up', async () => {
+    const guestbook = new Guestbook(new MemoryStorage(), { limit: 2, addressLimit: 3 });
+    for (let i = 0; i < 3; i++) {
+        await guestbook.post(validateEntry(Object.assign({}, wish, { deviceId: `made-up-${i}00` })), '203.0.113.7');
+    }
+    await assert.rejects(
+        guestbook.post(validateEntry(Object.assign({}, wish, { deviceId: 'made-up-999' })), '203.0.113.7'),
+        error => hasStatus(429)(error) && /this network/.test(error.message)
+    );
+    // and counts a guest without a device id as their address
+    const shared = new Guestbook(new MemoryStorage(), { limit: 1 });
+    await shared.post(validateEntry(Object.assign({}, wish, { deviceId: '' })), '203.0.113.7');
+    await assert.rejects(shared.post(validateEntry(Object.assign({}, wish, { deviceId: '' })), '203.0.113.7'), hasStatus(429));
+});
@@ -0,0 +1,63 @@
+// Request helpers shared by the reference server's routes
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+const { HttpError, cleanText, decodePath, readJsonBody } = require('../server/http-helpers');
+
+// A request body arriving in the given chunks
+function request(...chunks) {
+    return Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+function rejectsWith(promise, status, message) {
+    return assert.rejects(promise, error => {
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.status, status);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('reads a JSON object sent in pieces', async () => {
+    assert.deepEqual(await readJsonBody(request('{"name": "Ay', 'esha", "guests": 2}')), { name: 'Ayesha', guests: 2 });
+    assert.deepEqual(await readJsonBody(request('{"name":"عائشہ"}')), { name: 'عائشہ' });
+});
+
+test('reads an empty body as an empty object', async () => {
+    assert.deepEqual(await readJsonBody(request()), {});
+});
+
+test('refuses a body that is not JSON with a 400', () => {
+    return rejectsWith(readJsonBody(request('{"name": ')), 400, /not valid JSON/);
+});
+
+test('refuses JSON that is not an object with a 400', async () => {
+    for (const body of ['null', '42', '"yes"', 'true', '[]', '[{"name":"Ayesha"}]']) {
+        await rejectsWith(readJsonBody(request(body)), 400, /Invalid JSON body/);
+    }
+});
+
+test('refuses a body over the limit with a 413 that closes the connection', async () => {
+    const body = request('{"message":"', 'x'.repeat(600), '"}');
+    await assert.rejects(readJsonBody(body, 256), error => {
+        assert.equal(error.status, 413);
+        assert.deepEqual(error.headers, { Connection: 'close' });
+        return true;
+    });
+});
+
+test('decodes paths, and answers a malformed escape with a 400', () => {
+    assert.equal(decodePath('/guests/%D8%B9.json'), '/guests/ع.json');
+    assert.throws(() => decodePath('/%E0%A4%A'), error => error instanceof HttpError && error.status === 400);
+});
+
+test('cleans request text to a trimmed string of at most the given length', () => {
+    assert.equal(cleanText('  Ayesha  ', 100), 'Ayesha');
+    assert.equal(cleanText('abcdef', 3), 'abc');
+    assert.equal(cleanText(null, 10), '');
+    assert.equal(cleanText(undefined, 10), '');
+    assert.equal(cleanText(42, 10), '42');
+});
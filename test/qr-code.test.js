@@ -0,0 +1,105 @@
+// QrCode: checked against the worked examples and tables in ISO/IEC 18004
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QrCode = require('../js/qr-code');
+
+// Format information for each level and mask, bit 14 first (ISO/IEC 18004 table C.1)
+const FORMAT_BITS = {
+    L: ['111011111000100', '111001011110011', '111110110101010', '111100010011101',
+        '110011000101111', '110001100011000', '110110001000001', '110100101110110'],
+    M: ['101010000010010', '101000100100101', '101111001111100', '101101101001011',
+        '100010111111001', '100000011001110', '100111110010111', '100101010100000']
+};
+
+// The format information beside the top left finder, bit 0 first
+function readFormatBits(qr) {
+    const positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8],
+        [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    return positions.reduce((bits, [x, y], i) => bits | (qr.isDark(x, y) ? 1 << i : 0), 0);
+}
+
+// And its copy split between the other two finders
+function readFormatCopy(qr) {
+    let bits = 0;
+    for (let i = 0; i < 8; i++) bits |= qr.isDark(qr.size - 1 - i, 8) ? 1 << i : 0;
+    for (let i = 8; i < 15; i++) bits |= qr.isDark(8, qr.size - 15 + i) ? 1 << i : 0;
+    return bits;
+}
+
+function assertFinder(qr, left, top) {
+    for (let dy = 0; dy < 7; dy++) {
+        for (let dx = 0; dx < 7; dx++) {
+            const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+            assert.equal(qr.isDark(left + dx, top + dy), ring !== 2, `finder at ${left},${top}: module ${dx},${dy}`);
+        }
+    }
+}
+
+test('computes the Reed-Solomon codewords of the standard\'s example', () => {
+    // "01234567" at 1-M
+    const data = [0x10, 0x20, 0x0c, 0x56, 0x61, 0x80, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11];
+    assert.deepEqual(
+        QrCode.reedSolomonRemainder(data, QrCode.reedSolomonDivisor(10)),
+        [0xa5, 0x24, 0xd4, 0xc1, 0xed, 0x36, 0xc7, 0x87, 0x2c, 0x55]
+    );
+});
+
+test('encodes bytes with their mode, length, terminator and padding', () => {
+    const qr = new QrCode('AB');
+    assert.deepEqual(qr.encodeData([0x41, 0x42]), [0x40, 0x24, 0x14, 0x20, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11]);
+});
+
+test('picks the smallest version the text fits', () => {
+    assert.equal(new QrCode('a'.repeat(17), { level: 'L' }).version, 1);
+    assert.equal(new QrCode('a'.repeat(18), { level: 'L' }).version, 2);
+    assert.equal(new QrCode('a'.repeat(14)).version, 1);
+    assert.equal(new QrCode('a'.repeat(15)).version, 2);
+    assert.equal(QrCode.chooseVersion(2953, 'L'), 40);
+    assert.throws(() => QrCode.chooseVersion(2954, 'L'), /too long/);
+    // UTF-8, so an Urdu letter takes two of the 14 bytes
+    assert.equal(new QrCode('ش'.repeat(7)).version, 1);
+    assert.equal(new QrCode('ش'.repeat(8)).version, 2);
+});
+
+test('refuses an unknown error correction level', () => {
+    assert.throws(() => new QrCode('x', { level: 'X' }), /Unknown QR error correction level: X/);
+});
+
+test('draws the finders, timing patterns and dark module', () => {
+    const qr = new QrCode('https://example.com/?g=abcd1234&lang=ur');
+    assert.equal(qr.size, qr.version * 4 + 17);
+    assertFinder(qr, 0, 0);
+    assertFinder(qr, qr.size - 7, 0);
+    assertFinder(qr, 0, qr.size - 7);
+    for (let i = 8; i < qr.size - 8; i++) {
+        assert.equal(qr.isDark(i, 6), i % 2 === 0);
+        assert.equal(qr.isDark(6, i), i % 2 === 0);
+    }
+    assert.equal(qr.isDark(8, qr.size - 8), true);
+});
+
+test('writes the level and chosen mask in both copies of the format information', () => {
+    ['L', 'M'].forEach(level => {
+        const qr = new QrCode('https://example.com/', { level });
+        const expected = parseInt(FORMAT_BITS[level][qr.mask], 2);
+        assert.equal(readFormatBits(qr), expected);
+        assert.equal(readFormatCopy(qr), expected);
+    });
+});
+
+test('writes the version information from version 7', () => {
+    const qr = new QrCode('a'.repeat(140), { level: 'L' });
+    assert.equal(qr.version, 7);
+    let bits = 0;
+    for (let i = 0; i < 18; i++) {
+        const a = qr.size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        assert.equal(qr.isDark(a, b), qr.isDark(b, a));
+        bits |= qr.isDark(a, b) ? 1 << i : 0;
+    }
+    // Version 7 in ISO/IEC 18004 table D.1
+    assert.equal(bits, 0b000111110010010100);
+});
@@ -0,0 +1,73 @@
+// RSVP validation and storage for the reference server
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HttpError } = require('../server/http-helpers');
+const { RsvpStore, validateReply } = require('../server/rsvp');
+
+const reply = { id: 'reply-1', name: 'Ayesha Khan', attending: true, guests: 3, dietary: 'One vegetarian' };
+
+function refuses(body, message) {
+    assert.throws(() => validateReply(body), error => {
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.status, 400);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('accepts a reply and keeps only the fields it knows', () => {
+    const valid = validateReply(Object.assign({ admin: true, receivedAt: 'yesterday' }, reply, { name: '  Ayesha Khan ' }));
+    assert.deepEqual(valid, {
+        id: 'reply-1',
+        name: 'Ayesha Khan',
+        attending: true,
+        guests: 3,
+        dietary: 'One vegetarian',
+        message: '',
+        guestToken: null,
+        submittedAt: null
+    });
+});
+
+test('counts at least the guest replying when they attend, and nobody when they don\'t', () => {
+    assert.equal(validateReply(Object.assign({}, reply, { guests: 0 })).guests, 1);
+    assert.equal(validateReply(Object.assign({}, reply, { attending: false })).guests, 0);
+});
+
+test('refuses a reply without an id, a name or a yes or no', () => {
+    refuses(Object.assign({}, reply, { id: ' ' }), /id is required/);
+    refuses(Object.assign({}, reply, { name: '' }), /Name is required/);
+    refuses(Object.assign({}, reply, { attending: 'yes' }), /Attending must be true or false/);
+});
+
+test('refuses a guest count that isn\'t a whole number from 0 to 20', () => {
+    [-1, 21, 2.5, 'many'].forEach(guests => {
+        refuses(Object.assign({}, reply, { guests }), /Guests must be a whole number between 0 and 20/);
+    });
+});
+
+test('cuts long text down to size', () => {
+    const valid = validateReply(Object.assign({}, reply, { dietary: 'x'.repeat(500), message: 'y'.repeat(5000) }));
+    assert.equal(valid.dietary.length, 200);
+    assert.equal(valid.message.length, 1000);
+});
+
+test('stores a reply replayed from the offline queue only once', t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rsvp-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const store = new RsvpStore(dataDir);
+
+    const first = store.add(validateReply(reply));
+    const again = store.add(validateReply(Object.assign({}, reply, { guests: 5 })));
+    assert.equal(first.created, true);
+    assert.equal(again.created, false);
+    assert.equal(again.reply.guests, 3);
+    assert.equal(store.list().length, 1);
+    assert.ok(store.list()[0].receivedAt);
+});
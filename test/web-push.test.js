@@ -0,0 +1,98 @@
+// Web Push: payload encryption (RFC 8291) and VAPID headers (RFC 8292)
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+    MAX_PAYLOAD_BYTES,
+    decryptPayload,
+    encryptPayload,
+    generateVapidKeys,
+    createVapidAuthorization,
+    verifyVapidAuthorization
+} = require('../server/web-push');
+
+// A browser's subscription keys, and what it keeps to decrypt with; a
+// P-256 key pair like the VAPID one
+function createReceiver() {
+    const { publicKey, privateKey } = generateVapidKeys();
+    const auth = crypto.randomBytes(16).toString('base64url');
+    return {
+        subscription: { endpoint: 'https://push.example.net/send/abc', keys: { p256dh: publicKey, auth } },
+        receiver: { privateKey, auth }
+    };
+}
+
+test('decrypts the example message in RFC 8291 appendix A', () => {
+    const body = Buffer.from('DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN', 'base64url');
+    const plaintext = decryptPayload(body, { privateKey: 'q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94', auth: 'BTBZMqHH6r4Tts7J_aSIgg' });
+    assert.equal(plaintext.toString('utf8'), 'When I grow up, I want to be a watermelon');
+});
+
+test('encrypts a message only the subscribed browser can read', () => {
+    const { subscription, receiver } = createReceiver();
+    const message = JSON.stringify({ title: 'Walima tonight', body: 'Doors open at 7 — ان شاء اللہ' });
+    const body = encryptPayload(subscription, message);
+
+    assert.equal(body.readUInt32BE(16), 4096);
+    assert.equal(body.readUInt8(20), 65);
+    assert.equal(body.length, 21 + 65 + Buffer.byteLength(message) + 1 + 16);
+    assert.equal(decryptPayload(body, receiver).toString('utf8'), message);
+
+    const other = createReceiver().receiver;
+    assert.throws(() => decryptPayload(body, Object.assign({}, other, { auth: receiver.auth })));
+    assert.throws(() => decryptPayload(body, Object.assign({}, receiver, { auth: other.auth })));
+});
+
+test('uses a new salt and key pair for every message', () => {
+    const { subscription } = createReceiver();
+    const first = encryptPayload(subscription, 'same');
+    const second = encryptPayload(subscription, 'same');
+    assert.notDeepEqual(first.subarray(0, 16), second.subarray(0, 16));
+    assert.notDeepEqual(first.subarray(21, 86), second.subarray(21, 86));
+});
+
+test('refuses a changed message', () => {
+    const { subscription, receiver } = createReceiver();
+    const body = encryptPayload(subscription, 'Venue changed');
+    body[body.length - 20] ^= 1;
+    assert.throws(() => decryptPayload(body, receiver));
+});
+
+test('keeps messages within what push services accept', () => {
+    const { subscription, receiver } = createReceiver();
+    const largest = encryptPayload(subscription, 'x'.repeat(MAX_PAYLOAD_BYTES));
+    assert.equal(largest.length, 4096);
+    assert.equal(decryptPayload(largest, receiver).length, MAX_PAYLOAD_BYTES);
+    assert.throws(() => encryptPayload(subscription, 'x'.repeat(MAX_PAYLOAD_BYTES + 1)), /the limit is 3993/);
+});
+
+test('signs a VAPID header the push service can check', () => {
+    const vapid = Object.assign(generateVapidKeys(), { subject: 'mailto:hosts@example.com' });
+    const now = Date.UTC(2024, 11, 28, 12);
+    const expiration = now / 1000 + 12 * 60 * 60;
+    const authorization = createVapidAuthorization('https://push.example.net/send/abc', vapid, expiration);
+
+    assert.match(authorization, new RegExp(`^vapid t=[\\w-]+\\.[\\w-]+\\.[\\w-]+, k=${vapid.publicKey}$`));
+    assert.deepEqual(verifyVapidAuthorization(authorization, 'https://push.example.net', now), {
+        publicKey: vapid.publicKey,
+        aud: 'https://push.example.net',
+        exp: expiration,
+        sub: 'mailto:hosts@example.com'
+    });
+
+    assert.throws(() => verifyVapidAuthorization(authorization, 'https://other.example.net', now), /audience/);
+    assert.throws(() => verifyVapidAuthorization(authorization, 'https://push.example.net', (expiration + 1) * 1000), /expired/);
+    const tooLong = createVapidAuthorization('https://push.example.net/send/abc', vapid, now / 1000 + 25 * 60 * 60);
+    assert.throws(() => verifyVapidAuthorization(tooLong, 'https://push.example.net', now), /more than 24 hours/);
+});
+
+test('refuses a VAPID header signed with another key', () => {
+    const vapid = Object.assign(generateVapidKeys(), { subject: 'mailto:hosts@example.com' });
+    const forged = createVapidAuthorization('https://push.example.net/', Object.assign({}, generateVapidKeys(), { subject: vapid.subject }))
+        .replace(/k=[\w-]+$/, `k=${vapid.publicKey}`);
+    assert.throws(() => verifyVapidAuthorization(forged, 'https://push.example.net'), /signature/);
+    assert.throws(() => createVapidAuthorization('https://push.example.net/', generateVapidKeys()), /subject/);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Announcement poster
+// Publishes day-of news to every open invitation: the reference server
+// (server/server.js) saves it and streams it to guests straight away.
+// Sites without the server can keep the feed as a file instead: set
+// announcements.endpoint in wedding.json to it and leave out the stream;
+// guests then see changes at their next poll, once the file is uploaded.
+//
+// Usage: node tools/announce.js <command> [options]
+//   post --message <text> [--title <text>]   publish an announcement
+//   list                                      show what guests see
+//   remove --id <id>                          take an announcement back
+//
+// Options:
+//   --server <url>     reference server (default: http://localhost:PORT, or 8080)
+//   --password <text>  host password (default: HOST_PASSWORD)
+//   --file <file>      edit a feed file such as announcements.json instead
+//
+// Push notifications to guests who opted in are separate: see
+// tools/push-send.js announce.
+
+const path = require('path');
+const { AnnouncementStore, validateAnnouncement } = require('../server/announcements');
+
+const VALUE_OPTIONS = ['--message', '--title', '--id', '--server', '--password', '--file'];
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS.includes(arg)) {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    return options;
+}
+
+function describe(announcement) {
+    const title = announcement.title ? `${announcement.title}: ` : '';
+    return `${announcement.id}  ${announcement.createdAt}  ${title}${announcement.message}`;
+}
+
+// The same three commands against a feed file, for a static site
+function runOnFile(file, options) {
+    const store = new AnnouncementStore(path.dirname(file), path.basename(file));
+
+    if (options.command === 'post') {
+        const announcement = store.add(validateAnnouncement(options));
+        console.log(`Posted ${describe(announcement)}`);
+    } else if (options.command === 'remove') {
+        if (!store.remove(String(options.id || ''))) {
+            throw new Error(`No announcement with id "${options.id || ''}" in ${file}`);
+        }
+        console.log(`Removed ${options.id}`);
+    } else {
+        store.list().forEach(announcement => console.log(describe(announcement)));
+    }
+    return 0;
+}
+
+function request(options, method, pathname, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.password) {
+        headers.Authorization = `Basic ${Buffer.from(`host:${options.password}`).toString('base64')}`;
+    }
+
+    return fetch(new URL(pathname, options.server), {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    })
+        .catch(error => {
+            throw new Error(`Could not reach ${options.server} (${error.cause ? error.cause.code || error.cause.message : error.message}); is the server running?`);
+        })
+        .then(response => response.json().catch(() => ({})).then(result => {
+            if (!response.ok) {
+                throw new Error(result.error || `The server answered with status ${response.status}`);
+            }
+            return result;
+        }));
+}
+
+function runOnServer(options) {
+    if (options.command === 'post') {
+        const fields = validateAnnouncement(options);
+        return request(options, 'POST', '/api/host/announcements', fields).then(result => {
+            console.log(`Posted ${describe(result.announcement)}`);
+            return 0;
+        });
+    }
+    if (options.command === 'remove') {
+        if (!options.id) {
+            return Promise.reject(new Error('remove needs --id; "list" shows them'));
+        }
+        return request(options, 'POST', '/api/host/announcements/remove', { id: options.id }).then(() => {
+            console.log(`Removed ${options.id}`);
+            return 0;
+        });
+    }
+    return request(options, 'GET', '/api/announcements').then(result => {
+        result.announcements.forEach(announcement => console.log(describe(announcement)));
+        return 0;
+    });
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !['post', 'list', 'remove'].includes(options.command)) {
+        console.log('Usage: node tools/announce.js <post|list|remove> [options] (see the top of this file)');
+        return Promise.resolve(options.help ? 0 : 1);
+    }
+    if (options.file) {
+        return Promise.resolve().then(() => runOnFile(path.resolve(options.file), options));
+    }
+
+    options.server = options.server || `http://localhost:${Number(process.env.PORT) || 8080}`;
+    options.password = options.password || process.env.HOST_PASSWORD;
+    return runOnServer(options);
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => run(process.argv.slice(2)))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    run
+};
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reading and writing for the command-line tools
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Rows as objects keyed by the (lower-cased, trimmed) header line
+function readCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text.replace(/^﻿/, ''));
+    const keys = header.map(key => key.trim().toLowerCase());
+
+    return rows.map(cells => keys.reduce((record, key, index) => {
+        record[key] = (cells[index] || '').trim();
+        return record;
+    }, {}));
+}
+
+function formatCsvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(columns, records) {
+    const lines = [columns.map(formatCsvField).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => formatCsvField(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    readCsvRecords,
+    writeCsv
+};
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// Guest link generator
+// Turns a CSV guest list into per-guest token files that the invitation
+// resolves from ?g=<token>, plus a CSV of shareable links.
+//
+// Usage: node tools/guest-links.js <guests.csv> [options]
+//   --base-url <url>   site address for the links (default: site.url in wedding.json)
+//   --out <dir>        where guest files go (default: guests.path in wedding.json)
+//   --links <file>     links CSV to write (default: <guests>-links.csv)
+//   --prune            delete guest files whose token is no longer in the list
+//
+// CSV columns: name (required), greeting, seats, events (ids separated by
+// ";"), phone, email, token. Rows that already have a token keep it, so
+// feeding the links CSV back in never changes a link already sent out.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readCsvRecords, writeCsv } = require('./csv');
+
+const ROOT = path.resolve(__dirname, '..');
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{4,64}$/;
+
+function parseArgs(argv) {
+    const options = { prune: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--prune') {
+            options.prune = true;
+        } else if (arg === '--base-url' || arg === '--out' || arg === '--links') {
+            options[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.input = positional[0];
+    return options;
+}
+
+function createToken(taken) {
+    let token;
+    do {
+        token = crypto.randomBytes(6).toString('base64url');
+    } while (taken.has(token));
+    return token;
+}
+
+function buildGuest(record, lineNumber, weddingEventIds) {
+    if (!record.name) {
+        throw new Error(`Row ${lineNumber}: name is required`);
+    }
+
+    const seats = record.seats ? Number(record.seats) : 1;
+    if (!Number.isInteger(seats) || seats < 1) {
+        throw new Error(`Row ${lineNumber}: seats must be a whole number of at least 1`);
+    }
+
+    const events = (record.events || '').split(';').map(id => id.trim()).filter(Boolean);
+    const unknown = events.filter(id => !weddingEventIds.includes(id));
+    if (unknown.length) {
+        throw new Error(`Row ${lineNumber}: unknown event id(s) ${unknown.join(', ')}`);
+    }
+
+    // Only what the invitation page needs is published; contact details
+    // stay in the links CSV
+    const guest = { name: record.name, seats };
+    if (record.greeting) guest.greeting = record.greeting;
+    if (events.length) guest.events = events;
+    return guest;
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !options.input) {
+        console.log('Usage: node tools/guest-links.js <guests.csv> [--base-url <url>] [--out <dir>] [--links <file>] [--prune]');
+        return options.help ? 0 : 1;
+    }
+
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'wedding.json'), 'utf8'));
+    const baseUrl = (options.baseUrl || config.site.url).replace(/\/?$/, '/');
+    const outDir = path.resolve(ROOT, options.out || (config.guests && config.guests.path) || 'guests');
+    const linksFile = options.links || options.input.replace(/(\.csv)?$/i, '-links.csv');
+    const weddingEventIds = config.events.map(weddingEvent => weddingEvent.id);
+
+    const records = readCsvRecords(fs.readFileSync(options.input, 'utf8'));
+
+    // Guests sharing a token would share a link and overwrite each other's file
+    const linesByToken = new Map();
+    records.forEach((record, index) => {
+        if (record.token) linesByToken.set(record.token, (linesByToken.get(record.token) || []).concat(index + 2));
+    });
+    const duplicates = [...linesByToken].filter(([, lines]) => lines.length > 1);
+    if (duplicates.length) {
+        throw new Error(duplicates
+            .map(([token, lines]) => `Rows ${lines.join(', ')}: token "${token}" is used more than once`)
+            .join('\n'));
+    }
+
+    const taken = new Set(records.map(record => record.token).filter(Boolean));
+
+    const rows = records.map((record, index) => {
+        const lineNumber = index + 2;
+        if (record.token && !TOKEN_PATTERN.test(record.token)) {
+            throw new Error(`Row ${lineNumber}: token may only contain letters, digits, "-" and "_"`);
+        }
+
+        const guest = buildGuest(record, lineNumber, weddingEventIds);
+        const token = record.token || createToken(taken);
+        taken.add(token);
+
+        return Object.assign({}, record, { token, link: `${baseUrl}?g=${token}`, guest });
+    });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    rows.forEach(row => {
+        fs.writeFileSync(path.join(outDir, `${row.token}.json`), JSON.stringify(row.guest, null, 4) + '\n');
+    });
+
+    if (options.prune) {
+        fs.readdirSync(outDir)
+            .filter(file => file.endsWith('.json') && !taken.has(file.slice(0, -5)))
+            .forEach(file => {
+                fs.unlinkSync(path.join(outDir, file));
+                console.log(`Removed ${file}`);
+            });
+    }
+
+    const columns = ['name', 'greeting', 'seats', 'events', 'phone', 'email', 'token', 'link'];
+    fs.writeFileSync(linksFile, writeCsv(columns, rows));
+
+    console.log(`Wrote ${rows.length} guest file(s) to ${path.relative(process.cwd(), outDir) || '.'}`);
+    console.log(`Links saved to ${linksFile}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    run
+};
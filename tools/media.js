@@ -0,0 +1,165 @@
+// Responsive images for the site builder
+// Writes the page's own PNG images (the card background and the couple
+// illustration) at several widths into assets/variants/, and describes
+// them in the "media" map of the built wedding.json, which
+// js/adaptive-media.js picks from by screen size and connection. PNGs are
+// resized here; AVIF and WebP copies come from avifenc and cwebp when
+// they are installed, and are left out with a warning when they aren't.
+// The background's choices also go into css/media.css, since CSS draws it.
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const png = require('./png');
+
+const IMAGE_WIDTHS = [320, 480, 640, 960, 1280, 1920];
+const VARIANT_DIR = 'assets/variants';
+// Smallest first; a browser takes the first format it supports
+const ENCODERS = [
+    {
+        type: 'image/avif',
+        extension: 'avif',
+        command: 'avifenc',
+        args: (input, output) => ['--speed', '6', '-q', '60', input, output]
+    },
+    {
+        type: 'image/webp',
+        extension: 'webp',
+        command: 'cwebp',
+        args: (input, output) => ['-quiet', '-q', '80', input, '-o', output]
+    }
+];
+// How wide the card background is drawn: the card is at most 800px,
+// and the whole screen on a phone
+const CARD_WIDTH = 800;
+const PHONE_WIDTH = 600;
+// The most a slow or metered connection downloads for it
+const LOW_WIDTH = 480;
+// How wide js/card-export.js draws the background for the card download
+const CARD_EXPORT_WIDTH = 1488;
+
+function isInstalled(command) {
+    return !childProcess.spawnSync(command, ['--help'], { stdio: 'ignore' }).error;
+}
+
+// Path of a variant of file, e.g. assets/variants/background-640.webp
+function variantPath(file, width, extension) {
+    const name = file.replace(/^\/?assets\//, '').replace(/\.png$/i, '').replace(/\//g, '-');
+    return `${VARIANT_DIR}/${name}-${width}.${extension}`;
+}
+
+// Writes the variants of each PNG in files (paths relative to root) into
+// out and returns the media map:
+//   { "assets/background.png": { width, height, variants: [{ src, type, width }] } }
+// with variants by format, best first, and by width within a format
+function writeMedia(root, out, files, warn = message => console.warn(`warning: ${message}`)) {
+    const encoders = ENCODERS.filter(encoder => {
+        if (isInstalled(encoder.command)) return true;
+        warn(`${encoder.command} is not installed, so no ${encoder.extension.toUpperCase()} images were made; PNGs are used instead`);
+        return false;
+    });
+    fs.mkdirSync(path.join(out, VARIANT_DIR), { recursive: true });
+
+    return files.reduce((media, file) => {
+        const source = path.join(root, file);
+        const image = png.decode(fs.readFileSync(source));
+        const widths = IMAGE_WIDTHS.filter(width => width < image.width).concat(image.width);
+        const variants = { png: [] };
+        encoders.forEach(encoder => {
+            variants[encoder.extension] = [];
+        });
+
+        widths.forEach(width => {
+            // The full size is the original file
+            const height = Math.round(image.height * width / image.width);
+            const pngFile = width === image.width ? file : variantPath(file, width, 'png');
+            if (pngFile !== file) {
+                fs.writeFileSync(path.join(out, pngFile), png.encode(png.resize(image, width, height)));
+            }
+            variants.png.push({ src: pngFile, type: 'image/png', width });
+
+            encoders.forEach(encoder => {
+                const src = variantPath(file, width, encoder.extension);
+                const result = childProcess.spawnSync(encoder.command,
+                    encoder.args(path.join(out, pngFile), path.join(out, src)), { encoding: 'utf8' });
+                if (result.status === 0) {
+                    variants[encoder.extension].push({ src, type: encoder.type, width });
+                } else {
+                    warn(`${encoder.command} could not convert ${pngFile}: ${(result.stderr || '').trim() || `exit code ${result.status}`}`);
+                }
+            });
+        });
+
+        media[file] = {
+            width: image.width,
+            height: image.height,
+            variants: encoders.map(encoder => encoder.extension).concat('png')
+                .flatMap(extension => variants[extension])
+        };
+        return media;
+    }, {});
+}
+
+// The card download draws the full-size background when it can, but
+// offline only what was precached is there: the narrowest PNG copy at
+// least half the card's width, given as the entry's "card" and precached
+// by tools/precache-manifest.js
+function cardCopy(entry) {
+    const pngs = entry.variants.filter(variant => variant.type === 'image/png');
+    return (pngs.find(variant => variant.width >= CARD_EXPORT_WIDTH / 2) || pngs[pngs.length - 1]).src;
+}
+
+// The narrowest variant of each format that is at least width pixels wide
+// (or the widest there is), as an image-set() for one pixel density
+function imageSetEntries(entry, width, density) {
+    const types = [...new Set(entry.variants.map(variant => variant.type))];
+    return types.map(type => {
+        const ofType = entry.variants.filter(variant => variant.type === type);
+        const chosen = ofType.find(variant => variant.width >= width * density) || ofType[ofType.length - 1];
+        return `url("../${chosen.src}") type("${type}") ${density}x`;
+    });
+}
+
+function imageSet(entry, width, densities) {
+    const entries = densities.flatMap(density => imageSetEntries(entry, width, density));
+    return `image-set(${entries.join(', ')})`;
+}
+
+// css/media.css: the card background as --card-background, which
+// css/styles.css uses in place of the full-size PNG. Browsers without
+// typed image-set() keep the PNG. data-network is set by
+// js/adaptive-media.js: "medium" skips the sharper copy for high-density
+// screens and "low" gets a small one everywhere.
+function renderMediaCss(entry, file) {
+    const rule = (selectors, width, densities) => [
+        `    ${selectors.join(',\n    ')} {`,
+        `        --card-background: ${imageSet(entry, width, densities)};`,
+        '    }'
+    ].join('\n');
+    const network = tier => [`:root[data-network="${tier}"]`, `:host([data-network="${tier}"])`];
+
+    return [
+        `/* Generated by tools/site.js build from ${file}; edit the image, not this file */`,
+        '@supports (background-image: image-set(url("x.png") type("image/png") 1x)) {',
+        rule([':root', ':host'], CARD_WIDTH, [1, 2]),
+        '',
+        rule(network('medium'), CARD_WIDTH, [1]),
+        '',
+        `    @media (max-width: ${PHONE_WIDTH}px) {`,
+        rule([':root', ':host'], PHONE_WIDTH, [1, 2]).replace(/^/gm, '    '),
+        '',
+        rule(network('medium'), PHONE_WIDTH, [1]).replace(/^/gm, '    '),
+        '    }',
+        '',
+        rule(network('low'), LOW_WIDTH, [1]),
+        '}',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    IMAGE_WIDTHS,
+    cardCopy,
+    renderMediaCss,
+    writeMedia
+};
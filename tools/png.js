@@ -0,0 +1,322 @@
+// PNG reading, resizing and writing for the site builder
+// Just enough of the format to turn one source image into app icons, and
+// the page's images into smaller copies, without an image library: 8-bit
+// and 16-bit greyscale, RGB, palette and alpha images, no interlacing.
+// Images are { width, height, data } with data as RGBA bytes, row by row.
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+function predict(filter, left, up, upLeft) {
+    switch (filter) {
+        case 0: return 0;
+        case 1: return left;
+        case 2: return up;
+        case 3: return (left + up) >> 1;
+        case 4: return paeth(left, up, upLeft);
+        default: throw new Error(`unknown PNG filter ${filter}`);
+    }
+}
+
+function readChunks(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('not a PNG file');
+    }
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+// Header fields only, without inflating the image data
+function readHeader(buffer) {
+    const header = readChunks(buffer).find(chunk => chunk.type === 'IHDR');
+    if (!header) throw new Error('PNG has no IHDR chunk');
+    return {
+        width: header.data.readUInt32BE(0),
+        height: header.data.readUInt32BE(4),
+        bitDepth: header.data[8],
+        colorType: header.data[9],
+        interlace: header.data[12]
+    };
+}
+
+function decode(buffer) {
+    const chunks = readChunks(buffer);
+    const { width, height, bitDepth, colorType, interlace } = readHeader(buffer);
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`unknown PNG colour type ${colorType}`);
+    if (interlace) throw new Error('interlaced PNGs are not supported; save the image without interlacing');
+    if (bitDepth < 8 && colorType !== 0 && colorType !== 3) throw new Error(`invalid PNG bit depth ${bitDepth}`);
+
+    const palette = (chunks.find(chunk => chunk.type === 'PLTE') || {}).data;
+    const transparency = (chunks.find(chunk => chunk.type === 'tRNS') || {}).data;
+    if (colorType === 3 && !palette) throw new Error('palette PNG has no PLTE chunk');
+
+    const raw = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    const step = Math.max(1, bitsPerPixel >> 3);
+    if (raw.length < height * (stride + 1)) throw new Error('PNG image data is truncated');
+
+    // Undo the per-row filters in place
+    const rows = Buffer.alloc(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = rows.subarray(y * stride, (y + 1) * stride);
+        const previous = y ? rows.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+        for (let i = 0; i < stride; i++) {
+            const left = i >= step ? row[i - step] : 0;
+            const up = previous[i];
+            const upLeft = i >= step ? previous[i - step] : 0;
+            row[i] = (source[i] + predict(filter, left, up, upLeft)) & 0xff;
+        }
+    }
+
+    // Sample n of pixel x in row y, scaled to 8 bits (palette indexes stay as they are)
+    const sample = (row, x, n) => {
+        if (bitDepth === 8) return row[x * channels + n];
+        if (bitDepth === 16) return row[(x * channels + n) * 2];
+        const perByte = 8 / bitDepth;
+        const value = (row[Math.floor(x / perByte)] >> ((perByte - 1 - x % perByte) * bitDepth)) & ((1 << bitDepth) - 1);
+        return colorType === 3 ? value : Math.round(value * 255 / ((1 << bitDepth) - 1));
+    };
+    // tRNS for greyscale and RGB names one colour, at the image's bit depth
+    const transparent = transparency && colorType !== 3
+        ? Array.from({ length: transparency.length / 2 }, (unused, i) => transparency.readUInt16BE(i * 2))
+        : null;
+    const fullSample = (row, x, n) => (bitDepth === 16 ? row.readUInt16BE((x * channels + n) * 2) : sample(row, x, n));
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let rgba;
+            if (colorType === 3) {
+                const index = sample(row, x, 0);
+                rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2],
+                    transparency && index < transparency.length ? transparency[index] : 255];
+            } else if (colorType === 0 || colorType === 4) {
+                const grey = sample(row, x, 0);
+                rgba = [grey, grey, grey, colorType === 4 ? sample(row, x, 1) : 255];
+            } else {
+                rgba = [sample(row, x, 0), sample(row, x, 1), sample(row, x, 2), colorType === 6 ? sample(row, x, 3) : 255];
+            }
+            if (transparent && transparent.every((value, n) => fullSample(row, x, n) === value)) {
+                rgba[3] = 0;
+            }
+            data[out] = rgba[0];
+            data[out + 1] = rgba[1];
+            data[out + 2] = rgba[2];
+            data[out + 3] = rgba[3];
+        }
+    }
+    return { width, height, data };
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// RGBA, each row with whichever filter leaves the smallest values, the
+// usual heuristic for compressing well
+function encode(image) {
+    const { width, height, data } = image;
+    const stride = width * 4;
+    const filtered = Buffer.alloc(height * (stride + 1));
+    const candidates = Array.from({ length: 5 }, () => Buffer.alloc(stride));
+
+    for (let y = 0; y < height; y++) {
+        const row = data.subarray(y * stride, (y + 1) * stride);
+        const previous = y ? data.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+        let best = 0;
+        let bestScore = Infinity;
+        candidates.forEach((candidate, filter) => {
+            let score = 0;
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? row[i - 4] : 0;
+                const up = previous[i];
+                const upLeft = i >= 4 ? previous[i - 4] : 0;
+                candidate[i] = (row[i] - predict(filter, left, up, upLeft)) & 0xff;
+                score += candidate[i] < 128 ? candidate[i] : 256 - candidate[i];
+            }
+            if (score < bestScore) {
+                best = filter;
+                bestScore = score;
+            }
+        });
+        filtered[y * (stride + 1)] = best;
+        candidates[best].copy(filtered, y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(filtered, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// How much of each source pixel in [start, start + length) falls into each
+// of the size destination pixels
+function coverage(start, length, size) {
+    const scale = length / size;
+    return Array.from({ length: size }, (unused, i) => {
+        const from = start + i * scale;
+        const to = from + scale;
+        const weights = [];
+        for (let source = Math.floor(from); source < Math.ceil(to); source++) {
+            const weight = Math.min(to, source + 1) - Math.max(from, source);
+            if (weight > 0) weights.push([source, weight / scale]);
+        }
+        return weights;
+    });
+}
+
+// Area-averaged resize of a region of the source (the whole image by
+// default), in premultiplied alpha so transparent edges don't go dark
+function resize(image, width, height, region = { x: 0, y: 0, width: image.width, height: image.height }) {
+    const columns = coverage(region.x, region.width, width);
+    const rows = coverage(region.y, region.height, height);
+
+    const horizontal = new Float64Array(image.height * width * 4);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            columns[x].forEach(([source, weight]) => {
+                const pixel = (y * image.width + source) * 4;
+                const alpha = image.data[pixel + 3] / 255;
+                horizontal[out] += image.data[pixel] * alpha * weight;
+                horizontal[out + 1] += image.data[pixel + 1] * alpha * weight;
+                horizontal[out + 2] += image.data[pixel + 2] * alpha * weight;
+                horizontal[out + 3] += alpha * weight;
+            });
+        }
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sum = [0, 0, 0, 0];
+            rows[y].forEach(([source, weight]) => {
+                const pixel = (source * width + x) * 4;
+                for (let n = 0; n < 4; n++) sum[n] += horizontal[pixel + n] * weight;
+            });
+            const out = (y * width + x) * 4;
+            const alpha = sum[3];
+            for (let n = 0; n < 3; n++) data[out + n] = alpha ? Math.round(Math.min(255, sum[n] / alpha)) : 0;
+            data[out + 3] = Math.round(Math.min(1, alpha) * 255);
+        }
+    }
+    return { width, height, data };
+}
+
+// Resized to a square, cropping the middle of the source ("cover")
+function resizeSquare(image, size) {
+    const side = Math.min(image.width, image.height);
+    return resize(image, size, size, {
+        x: (image.width - side) / 2,
+        y: (image.height - side) / 2,
+        width: side,
+        height: side
+    });
+}
+
+// The image drawn over a solid background at an inset: maskable icons keep
+// their subject inside the middle 80% that every mask shape shows
+function pad(image, size, background, inset) {
+    const inner = resizeSquare(image, Math.round(size * (1 - inset * 2)));
+    const offset = Math.floor((size - inner.width) / 2);
+    const data = Buffer.alloc(size * size * 4);
+    for (let i = 0; i < size * size; i++) {
+        data[i * 4] = background[0];
+        data[i * 4 + 1] = background[1];
+        data[i * 4 + 2] = background[2];
+        data[i * 4 + 3] = 255;
+    }
+    for (let y = 0; y < inner.height; y++) {
+        for (let x = 0; x < inner.width; x++) {
+            const from = (y * inner.width + x) * 4;
+            const to = ((y + offset) * size + x + offset) * 4;
+            const alpha = inner.data[from + 3] / 255;
+            for (let n = 0; n < 3; n++) {
+                data[to + n] = Math.round(inner.data[from + n] * alpha + data[to + n] * (1 - alpha));
+            }
+        }
+    }
+    return { width: size, height: size, data };
+}
+
+// A .ico whose entries are PNGs, which every browser that asks for
+// /favicon.ico understands
+function toIco(pngs) {
+    const header = Buffer.alloc(6 + pngs.length * 16);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(pngs.length, 4);
+    let offset = header.length;
+    pngs.forEach(({ size, png }, i) => {
+        const entry = 6 + i * 16;
+        header[entry] = size >= 256 ? 0 : size;
+        header[entry + 1] = size >= 256 ? 0 : size;
+        header.writeUInt16LE(1, entry + 4);
+        header.writeUInt16LE(32, entry + 6);
+        header.writeUInt32LE(png.length, entry + 8);
+        header.writeUInt32LE(offset, entry + 12);
+        offset += png.length;
+    });
+    return Buffer.concat([header, ...pngs.map(entry => entry.png)]);
+}
+
+module.exports = {
+    decode,
+    encode,
+    pad,
+    readHeader,
+    resize,
+    resizeSquare,
+    toIco
+};
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Precache manifest generator
+// Hashes every file the invitation needs offline and writes
+// precache-manifest.js, which sw.js imports. tools/site.js build runs it
+// on what it builds; run it by hand before deploying the tree as it is:
+// browsers only install a new service worker when an imported script
+// changes, and only files whose hash changed are downloaded again.
+//
+// Usage: node tools/precache-manifest.js [--root <dir>] [--out <file>]
+//   --root <dir>   site directory to scan (default: the repository root)
+//   --out <file>   manifest to write (default: <root>/precache-manifest.js)
+//
+// Audio is left out on purpose: the service worker caches a track the
+// first time it plays and answers range requests from that copy. So are
+// the image copies tools/media.js makes: each guest needs only the few
+// their screen and connection pick, cached as they are fetched. The
+// originals of those images (the keys of the built wedding.json's "media"
+// map) are left out too, since a slow or metered connection would
+// otherwise download the biggest copy at install; they are fetched when
+// something needs them. The one copy the card download falls back on
+// offline (an entry's "card") is precached.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const INCLUDE = ['index.html', 'manifest.json', 'wedding.json', 'css', 'js', 'locales', 'assets', 'icons', 'favicon.ico', 'apple-touch-icon.png'];
+const SKIP_EXTENSIONS = ['.mp3', '.ogg', '.m4a', '.wav', '.map'];
+const SKIP_DIRECTORIES = ['assets/variants'];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--root' || arg === '--out') {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+    return options;
+}
+
+function listFiles(root, relative) {
+    const fullPath = path.join(root, relative);
+    if (!fs.existsSync(fullPath) || SKIP_DIRECTORIES.includes(relative.split(path.sep).join('/'))) return [];
+
+    if (fs.statSync(fullPath).isFile()) {
+        return SKIP_EXTENSIONS.includes(path.extname(relative).toLowerCase()) ? [] : [relative];
+    }
+    return fs.readdirSync(fullPath)
+        .filter(name => !name.startsWith('.'))
+        .sort()
+        .flatMap(name => listFiles(root, path.join(relative, name)));
+}
+
+// The "media" map of root's wedding.json, written by tools/site.js build
+function readMedia(root) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(root, 'wedding.json'), 'utf8')).media || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 16);
+}
+
+// { version, entries: [{ url: '/css/styles.css', revision: '3f1c…' }] }
+function buildManifest(root = ROOT) {
+    const media = readMedia(root);
+    const originals = Object.keys(media).map(file => file.replace(/^\//, ''));
+    const cardCopies = Object.values(media)
+        .map(entry => (entry.card || '').replace(/^\//, ''))
+        .filter(file => file && fs.existsSync(path.join(root, file)));
+    const files = INCLUDE
+        .flatMap(relative => listFiles(root, relative))
+        .map(relative => relative.split(path.sep).join('/'))
+        .filter(file => !originals.includes(file));
+    const entries = [...new Set(files.concat(cardCopies))].map(file => ({
+        url: '/' + file,
+        revision: hashFile(path.join(root, file))
+    }));
+
+    const version = crypto.createHash('sha256')
+        .update(entries.map(entry => `${entry.url} ${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, entries };
+}
+
+function renderManifest(manifest) {
+    return '// Generated by tools/precache-manifest.js - do not edit\n' +
+        `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`;
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log('Usage: node tools/precache-manifest.js [--root <dir>] [--out <file>]');
+        return 0;
+    }
+
+    const root = path.resolve(options.root || ROOT);
+    const out = path.resolve(options.out || path.join(root, 'precache-manifest.js'));
+    const manifest = buildManifest(root);
+
+    fs.writeFileSync(out, renderManifest(manifest));
+    console.log(`Precache manifest ${manifest.version}: ${manifest.entries.length} file(s) written to ${path.relative(process.cwd(), out)}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    buildManifest,
+    renderManifest,
+    run
+};
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+// Reminder and announcement sender
+// Delivers Web Push notifications to the guests who tapped "Remind me",
+// in each guest's language, signed with the couple's VAPID key.
+//
+// Usage: node tools/push-send.js <command> [options]
+//   keys --subject <contact>     create the VAPID key pair once (mailto: or https:
+//                                contact for push services); --force replaces it
+//   reminders [--now <time>]     send the reminders from push.reminders in
+//                                wedding.json that are due
+//   announce --title <text> --body <text> [--section <name>] [--event <id>] [--urgent]
+//                                send a message now, e.g. a change of venue
+//
+// Options:
+//   --data <dir>       subscriptions and keys (default: DATA_DIR or server/data)
+//   --config <file>    wedding config (default: wedding.json)
+//   --base-url <url>   site address for links (default: site.url in wedding.json)
+//   --dry-run          print what would be sent without sending it
+//
+// Run "reminders" from cron every 15 minutes or so. Each reminder goes to a
+// subscription once; when several are due at once (the sender wasn't
+// running) only the latest is sent. Sections: details, rsvp, calendar,
+// guestbook, venue (the in-page panel, which works offline) and directions
+// (the map link).
+
+const fs = require('fs');
+const path = require('path');
+const EventTime = require('../js/event-time');
+const I18n = require('../js/i18n');
+const InvitationMeta = require('../js/invitation-meta');
+const { PushStore } = require('../server/push');
+const { generateVapidKeys, sendNotification } = require('../server/web-push');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_TTL = 28 * 24 * 60 * 60;
+const ANNOUNCEMENT_TTL = 24 * 60 * 60;
+const DEFAULT_REMINDERS = [
+    { id: 'week', minutesBefore: 7 * 24 * 60, actions: ['details'] },
+    { id: 'day', minutesBefore: 24 * 60, actions: ['details'] },
+    { id: 'soon', minutesBefore: 3 * 60, urgency: 'high', actions: ['directions', 'venue'] }
+];
+// Notification actions and the part of the invitation each one opens
+const SECTIONS = {
+    details: 'eventDetails',
+    rsvp: 'rsvp',
+    calendar: 'calendarOptions',
+    venue: 'venuePanel',
+    guestbook: 'guestbook'
+};
+const VALUE_OPTIONS = ['--subject', '--now', '--title', '--body', '--section', '--event', '--data', '--config', '--base-url'];
+
+function parseArgs(argv) {
+    const options = { force: false, dryRun: false, urgent: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS.includes(arg)) {
+            options[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = argv[++i];
+        } else if (arg === '--force' || arg === '--urgent') {
+            options[arg.slice(2)] = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    return options;
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function createKeys(keysPath, options) {
+    if (!/^(mailto:|https:)/.test(options.subject || '')) {
+        throw new Error('--subject must be a mailto: or https: contact, e.g. mailto:you@example.com');
+    }
+    if (fs.existsSync(keysPath) && !options.force) {
+        throw new Error(`${keysPath} already exists; --force replaces it and every guest has to opt in again`);
+    }
+
+    const keys = Object.assign({ subject: options.subject }, generateVapidKeys());
+    fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+    fs.writeFileSync(keysPath, JSON.stringify(keys, null, 2) + '\n', { mode: 0o600 });
+    console.log(`VAPID keys written to ${path.relative(process.cwd(), keysPath)}`);
+    console.log(`Set push.publicKey in wedding.json to:\n${keys.publicKey}`);
+    return 0;
+}
+
+// The page subscribes with wedding.json's key; pushes signed with any
+// other key are refused by the push service
+function loadKeys(keysPath, config) {
+    if (!fs.existsSync(keysPath)) {
+        throw new Error('No VAPID keys yet; run "node tools/push-send.js keys --subject mailto:you@example.com" first');
+    }
+    const keys = readJson(keysPath);
+    if ((config.push || {}).publicKey !== keys.publicKey) {
+        throw new Error('push.publicKey in wedding.json does not match the sender\'s VAPID keys');
+    }
+    return keys;
+}
+
+// Translations the invitation uses, loaded from disk instead of fetched
+function createTranslators(root, config) {
+    const translators = {};
+
+    return language => {
+        const i18n = new I18n(config.i18n);
+        const wanted = i18n.languages.includes(language) ? language : i18n.defaultLanguage;
+        if (translators[wanted]) return translators[wanted];
+
+        [i18n.defaultLanguage, wanted].forEach(code => {
+            i18n.bundles[code] = readJson(path.join(root, i18n.path, `${code}.json`));
+        });
+        i18n.language = wanted;
+        i18n.pluralRules = new Intl.PluralRules(i18n.locale);
+        translators[wanted] = i18n;
+        return i18n;
+    };
+}
+
+// Events the guest behind a personal link is invited to; everyone else gets all of them
+function getGuestEvents(root, config, guestToken) {
+    const all = config.events.map(weddingEvent => weddingEvent.id);
+    const guests = config.guests || {};
+    if (!guestToken || !guests.path) return all;
+
+    try {
+        const guest = readJson(path.join(root, guests.path, `${guestToken}.json`));
+        const invited = (guest.events || []).filter(id => all.includes(id));
+        return invited.length ? invited : all;
+    } catch (error) {
+        return all;
+    }
+}
+
+// The latest reminder whose time has come for each event still ahead
+function findDueReminders(config, now) {
+    const reminders = ((config.push || {}).reminders || DEFAULT_REMINDERS)
+        .slice()
+        .sort((a, b) => a.minutesBefore - b.minutesBefore);
+
+    return config.events
+        .filter(weddingEvent => !['cancelled', 'postponed'].includes(weddingEvent.status))
+        .map(weddingEvent => {
+            const venue = InvitationMeta.getEventVenue(config, weddingEvent);
+            const start = EventTime.toDate(weddingEvent.start, venue.timeZone);
+            const reminder = reminders.find(candidate => now >= start - candidate.minutesBefore * 60000);
+            return reminder && now < start ? { weddingEvent, venue, start, reminder } : null;
+        })
+        .filter(Boolean);
+}
+
+function createLink(baseUrl, guestToken, section) {
+    const url = new URL(baseUrl);
+    if (guestToken) url.searchParams.set('g', guestToken);
+    url.hash = section;
+    return url.href;
+}
+
+// Actions the service worker can open; directions leaves for the map app
+function createActions(names, i18n, links, venue) {
+    return names
+        .map(name => {
+            const url = name === 'directions' ? venue.mapUrl : SECTIONS[name] && links(SECTIONS[name]);
+            return url ? { action: name, title: i18n.t(`push.action.${name}`), url } : null;
+        })
+        .filter(Boolean);
+}
+
+function createMessage(i18n, fields, actions, fallbackUrl) {
+    return Object.assign({}, fields, {
+        lang: i18n.language,
+        dir: i18n.dir,
+        url: actions.length ? actions[0].url : fallbackUrl,
+        actions
+    });
+}
+
+function buildReminders(context, now) {
+    const { root, config, store, translate, baseUrl } = context;
+    const due = findDueReminders(config, now);
+
+    return store.list().flatMap(entry => {
+        const invited = getGuestEvents(root, config, entry.guestToken);
+        const i18n = translate(entry.language);
+        const links = section => createLink(baseUrl, entry.guestToken, section);
+
+        return due
+            .filter(({ weddingEvent, reminder }) => (
+                invited.includes(weddingEvent.id) && !entry.sent.includes(`${weddingEvent.id}:${reminder.id}`)
+            ))
+            .map(({ weddingEvent, venue, start, reminder }) => {
+                const zone = { timeZone: venue.timeZone };
+                const vars = {
+                    event: i18n.localize(weddingEvent.name),
+                    venue: i18n.localize(venue.name) || '',
+                    date: start.toLocaleDateString(i18n.locale, Object.assign({ weekday: 'long', day: 'numeric', month: 'long' }, zone)),
+                    time: start.toLocaleTimeString(i18n.locale, Object.assign({ hour: 'numeric', minute: '2-digit' }, zone))
+                };
+                const key = i18n.lookup(`push.${reminder.id}.title`) ? `push.${reminder.id}` : 'push.reminder';
+                const actions = createActions(reminder.actions || ['details'], i18n, links, venue);
+
+                return {
+                    entry,
+                    sentKey: `${weddingEvent.id}:${reminder.id}`,
+                    message: createMessage(i18n, {
+                        title: i18n.t(`${key}.title`, vars),
+                        body: i18n.t(`${key}.body`, vars),
+                        // A newer reminder for the same event replaces the older one
+                        tag: `reminder-${weddingEvent.id}`
+                    }, actions, links('')),
+                    options: {
+                        ttl: Math.min(MAX_TTL, (start - now) / 1000),
+                        urgency: reminder.urgency || 'normal',
+                        topic: `reminder-${weddingEvent.id}`.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32)
+                    }
+                };
+            });
+    });
+}
+
+function buildAnnouncements(context, options) {
+    const { root, config, store, translate, baseUrl } = context;
+    if (!options.title || !options.body) {
+        throw new Error('announce needs --title and --body');
+    }
+
+    const section = options.section || 'details';
+    if (section !== 'directions' && !SECTIONS[section]) {
+        throw new Error(`Unknown section "${section}"; use ${Object.keys(SECTIONS).concat('directions').join(', ')}`);
+    }
+    const weddingEvent = options.event ? config.events.find(candidate => candidate.id === options.event) : null;
+    if (options.event && !weddingEvent) {
+        throw new Error(`Unknown event id "${options.event}"`);
+    }
+    const venue = weddingEvent ? InvitationMeta.getEventVenue(config, weddingEvent) : config.venue;
+
+    return store.list()
+        .filter(entry => !weddingEvent || getGuestEvents(root, config, entry.guestToken).includes(weddingEvent.id))
+        .map(entry => {
+            const i18n = translate(entry.language);
+            const links = target => createLink(baseUrl, entry.guestToken, target);
+            const names = section === 'details' ? ['details'] : [section, 'details'];
+
+            return {
+                entry,
+                message: createMessage(i18n, { title: options.title, body: options.body },
+                    createActions(names, i18n, links, venue), links('')),
+                options: { ttl: ANNOUNCEMENT_TTL, urgency: options.urgent ? 'high' : 'normal' }
+            };
+        });
+}
+
+function describe(entry) {
+    return `${entry.guestToken || 'guest without a link'} (${new URL(entry.endpoint).host})`;
+}
+
+// One at a time, so a slow push service never has dozens of requests open
+function deliver(deliveries, store, keys, dryRun) {
+    return deliveries.reduce((chain, delivery) => chain.then(counts => {
+        const { entry, message } = delivery;
+        if (dryRun) {
+            console.log(`Would send to ${describe(entry)}: ${message.title} - ${message.body}`);
+            counts.sent++;
+            return counts;
+        }
+
+        return sendNotification(entry, message, Object.assign({ vapid: keys }, delivery.options))
+            .then(() => {
+                if (delivery.sentKey) store.markSent(entry.endpoint, delivery.sentKey);
+                console.log(`Sent to ${describe(entry)}: ${message.title}`);
+                counts.sent++;
+            })
+            .catch(error => {
+                // The guest revoked permission or cleared the browser
+                if (error.expired) {
+                    store.remove(entry.endpoint);
+                    console.log(`Removed expired subscription for ${describe(entry)}`);
+                    counts.removed++;
+                } else {
+                    console.error(`Push to ${describe(entry)} failed: ${error.message}`);
+                    counts.failed++;
+                }
+            })
+            .then(() => counts);
+    }), Promise.resolve({ sent: 0, removed: 0, failed: 0 }));
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !['keys', 'reminders', 'announce'].includes(options.command)) {
+        console.log('Usage: node tools/push-send.js <keys|reminders|announce> [options] (see the top of this file)');
+        return Promise.resolve(options.help ? 0 : 1);
+    }
+
+    const dataDir = path.resolve(options.data || process.env.DATA_DIR || path.join(ROOT, 'server', 'data'));
+    const keysPath = path.join(dataDir, 'vapid.json');
+    if (options.command === 'keys') {
+        return Promise.resolve(createKeys(keysPath, options));
+    }
+
+    const configPath = path.resolve(options.config || path.join(ROOT, 'wedding.json'));
+    const config = readJson(configPath);
+    const root = path.dirname(configPath);
+    const keys = loadKeys(keysPath, config);
+    const store = new PushStore(dataDir);
+    const context = {
+        root,
+        config,
+        store,
+        translate: createTranslators(root, config),
+        baseUrl: options.baseUrl || (config.site || {}).url
+    };
+    if (!context.baseUrl) {
+        throw new Error('No site address: set site.url in wedding.json or pass --base-url');
+    }
+
+    let deliveries;
+    if (options.command === 'reminders') {
+        const now = options.now ? new Date(options.now) : new Date();
+        if (Number.isNaN(now.getTime())) {
+            throw new Error(`--now "${options.now}" is not a date`);
+        }
+        deliveries = buildReminders(context, now);
+    } else {
+        deliveries = buildAnnouncements(context, options);
+    }
+
+    return deliver(deliveries, store, keys, options.dryRun).then(counts => {
+        console.log(`${counts.sent} sent, ${counts.removed} expired subscription(s) removed, ${counts.failed} failed`);
+        return counts.failed ? 1 : 0;
+    });
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => run(process.argv.slice(2)))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    findDueReminders,
+    buildReminders,
+    buildAnnouncements,
+    run
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// Local push service stand-in
+// Plays the part of a browser vendor's push service, so reminders can be
+// tried end to end without a browser: it hands out subscriptions, checks the
+// VAPID signature on every push and decrypts the payload with the
+// subscription's private key, as the push service and browser would.
+//
+// Usage: node tools/push-service.js [--port <port>]   (default 8090)
+//   POST   /subscriptions   a new subscription, shaped like PushSubscription.toJSON()
+//   POST   /push/<id>       the endpoint the sender posts to
+//   GET    /push/<id>       notifications received so far, decrypted
+//   DELETE /push/<id>       expire the subscription; later pushes get 410 Gone
+//
+// With the local server running, register a stand-in subscription and send:
+//   curl -s -X POST localhost:8090/subscriptions > subscription.json
+//   curl -s localhost:8080/api/push/subscribe -H 'Content-Type: application/json' \
+//        -d "{\"subscription\": $(cat subscription.json), \"language\": \"ur\"}"
+//   node tools/push-send.js announce --title "Test" --body "Hello" --base-url http://localhost:8080/
+//   curl -s localhost:8090/push/<id>
+
+const crypto = require('crypto');
+const http = require('http');
+const { HttpError, sendJson, readBody } = require('../server/http-helpers');
+const { decryptPayload, verifyVapidAuthorization } = require('../server/web-push');
+
+const MAX_PUSH_BYTES = 4096;
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+    return options;
+}
+
+function createSubscription(origin) {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const id = crypto.randomBytes(9).toString('base64url');
+
+    return {
+        id,
+        endpoint: `${origin}/push/${id}`,
+        origin,
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url'),
+        auth: crypto.randomBytes(16).toString('base64url'),
+        expired: false,
+        messages: []
+    };
+}
+
+function readPayload(body) {
+    const text = body.toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function receivePush(req, res, subscription) {
+    if (!subscription || subscription.expired) {
+        throw new HttpError(410, 'Subscription has expired');
+    }
+
+    let claims;
+    try {
+        claims = verifyVapidAuthorization(req.headers.authorization, subscription.origin);
+    } catch (error) {
+        throw new HttpError(401, error.message);
+    }
+
+    const ttl = Number(req.headers.ttl);
+    if (!Number.isInteger(ttl) || ttl < 0) {
+        throw new HttpError(400, 'TTL header is required');
+    }
+    const urgency = req.headers.urgency || 'normal';
+    if (!URGENCIES.includes(urgency)) {
+        throw new HttpError(400, `Urgency must be one of ${URGENCIES.join(', ')}`);
+    }
+
+    return readBody(req, MAX_PUSH_BYTES).then(body => {
+        let payload = null;
+        if (body.length) {
+            if (req.headers['content-encoding'] !== 'aes128gcm') {
+                throw new HttpError(415, 'Payload must be aes128gcm encoded');
+            }
+            try {
+                payload = readPayload(decryptPayload(body, subscription));
+            } catch (error) {
+                throw new HttpError(400, `Payload could not be decrypted: ${error.message}`);
+            }
+        }
+
+        const message = {
+            id: crypto.randomBytes(6).toString('base64url'),
+            receivedAt: new Date().toISOString(),
+            subject: claims.sub,
+            ttl,
+            urgency,
+            topic: req.headers.topic || null,
+            payload
+        };
+        subscription.messages.push(message);
+        console.log(`Push for ${subscription.id} (${urgency}, TTL ${ttl}s): ${JSON.stringify(payload)}`);
+
+        res.writeHead(201, { Location: `${subscription.endpoint}/messages/${message.id}` });
+        res.end();
+    });
+}
+
+function createPushService(options = {}) {
+    const subscriptions = new Map();
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const match = /^\/push\/([\w-]+)$/.exec(pathname);
+        const subscription = match ? subscriptions.get(match[1]) : null;
+
+        Promise.resolve()
+            .then(() => {
+                if (req.method === 'POST' && pathname === '/subscriptions') {
+                    const created = createSubscription(options.origin || `http://${req.headers.host}`);
+                    subscriptions.set(created.id, created);
+                    console.log(`Subscription ${created.id} created`);
+                    sendJson(res, 201, {
+                        endpoint: created.endpoint,
+                        expirationTime: null,
+                        keys: { p256dh: created.publicKey, auth: created.auth }
+                    });
+                    return;
+                }
+                if (!match) {
+                    throw new HttpError(404, 'Not found');
+                }
+                if (req.method === 'POST') {
+                    return receivePush(req, res, subscription);
+                }
+                if (!subscription) {
+                    throw new HttpError(404, 'Unknown subscription');
+                }
+                if (req.method === 'GET') {
+                    sendJson(res, 200, { expired: subscription.expired, messages: subscription.messages });
+                    return;
+                }
+                if (req.method === 'DELETE') {
+                    subscription.expired = true;
+                    console.log(`Subscription ${subscription.id} expired`);
+                    sendJson(res, 200, { ok: true });
+                    return;
+                }
+                throw new HttpError(405, 'Method not allowed');
+            })
+            .catch(error => {
+                if (!(error instanceof HttpError)) {
+                    console.error('Push service error:', error);
+                }
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' }, error.headers);
+            });
+    });
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log('Usage: node tools/push-service.js [--port <port>]');
+        return 0;
+    }
+
+    const port = options.port || 8090;
+    createPushService().listen(port, () => {
+        console.log(`Push service stand-in running at http://localhost:${port}/`);
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    createPushService,
+    run
+};
@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+// Site builder
+// Turns wedding.json and the site files into a folder ready to upload, so a
+// deployment needs no hand edits: the meta tags and structured data in
+// index.html, manifest.json and its icons, sitemap.xml and the service
+// worker's precache version all come from the config and the built files.
+//
+// Usage: node tools/site.js <command> [options]
+//   validate    check wedding.json and every file it or index.html refers to;
+//               exits non-zero when something is wrong
+//   build       validate, then write the site to --out: index.html in the
+//               default language, manifest.json with icons resized from
+//               site.icon, favicon.ico, apple-touch-icon.png, sitemap.xml,
+//               robots.txt, smaller copies of the background and couple
+//               illustration (tools/media.js), and sw.js with its precache
+//               manifest. The guests' files (guests.path) are left out, as
+//               they hold the guest list; upload them beside it on their own.
+//   serve       build, then run the reference server (server/server.js) on
+//               the output, with its DATA_DIR and HOST_PASSWORD settings and
+//               the guests' files from the sources
+//
+// Options:
+//   --root <dir>   site sources holding wedding.json (default: the repository root)
+//   --out <dir>    where build writes the site (default: <root>/dist)
+//   --port <n>     port for serve (default: PORT or 8080)
+//
+// site.icon in wedding.json is a square-ish PNG of at least 512x512; the
+// middle of it is used when it isn't square. assets.background and
+// assets.coupleIllustration get their smaller copies only when they are
+// PNGs in the site; AVIF and WebP copies need avifenc and cwebp installed.
+
+const fs = require('fs');
+const path = require('path');
+const png = require('./png');
+const { cardCopy, renderMediaCss, writeMedia } = require('./media');
+const { buildManifest, renderManifest } = require('./precache-manifest');
+const { manifestColors, updateIndexHtml } = require('./theme-manifest');
+const I18n = require('../js/i18n');
+const EventTime = require('../js/event-time');
+const InvitationMeta = require('../js/invitation-meta');
+const Theme = require('../js/theme');
+
+const ROOT = path.resolve(__dirname, '..');
+// Copied as they are; index.html and manifest.json are written from templates
+const SITE_FILES = ['sw.js', 'wedding.json', 'announcements.json', 'css', 'js', 'locales', 'assets', 'screenshots'];
+// Written by build, so index.html may refer to them before they exist
+const GENERATED_FILES = ['favicon.ico', 'apple-touch-icon.png', 'manifest.json'];
+// Images served at several sizes and formats (tools/media.js)
+const MEDIA_ASSETS = ['background', 'coupleIllustration'];
+const ICON_SIZES = [72, 96, 128, 144, 152, 192, 384, 512];
+const MASKABLE_SIZES = [192, 512];
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_SIZE = 180;
+// Maskable icons keep their subject inside the middle 80%
+const MASKABLE_INSET = 0.1;
+const PLACEHOLDER_HOST = 'yourdomain.com';
+const WALL_CLOCK = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const REMOTE = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+// Files the hosts add themselves; the invitation goes without any that are missing
+const OPTIONAL_FILES = /^(assets\.coupleIllustration$|music\.tracks\[|(events\[\d+\]\.)?venue\.mapImage$)/;
+const VALUE_OPTIONS = ['--root', '--out', '--port'];
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS.includes(arg)) {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    return options;
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The default language, as a crawler without script sees the page
+function createI18n(root, config) {
+    const i18n = new I18n(config.i18n);
+    i18n.bundles[i18n.defaultLanguage] = readJson(path.join(root, i18n.path, `${i18n.defaultLanguage}.json`));
+    i18n.language = i18n.defaultLanguage;
+    i18n.pluralRules = new Intl.PluralRules(i18n.locale);
+    return i18n;
+}
+
+// Local files wedding.json refers to, as [where, path]; language-keyed
+// values give one entry per language
+function configFiles(config) {
+    const files = [];
+    const add = (where, value) => {
+        if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => add(`${where}.${key}`, value[key]));
+        } else if (typeof value === 'string' && value && !REMOTE.test(value)) {
+            files.push([where, value]);
+        }
+    };
+
+    Object.keys(config.assets || {}).forEach(key => add(`assets.${key}`, config.assets[key]));
+    add('site.icon', (config.site || {}).icon);
+    ((config.music || {}).tracks || []).forEach((track, i) => {
+        add(`music.tracks[${i}].src`, track.src);
+        (track.sources || []).forEach((source, j) => add(`music.tracks[${i}].sources[${j}].src`, source.src));
+    });
+    add('venue.mapImage', (config.venue || {}).mapImage);
+    // A feed kept as a file (tools/announce.js --file) rather than served
+    const feed = (config.announcements || {}).endpoint;
+    if (/\.json$/i.test(feed || '')) add('announcements.endpoint', feed);
+    (config.events || []).forEach((weddingEvent, i) => add(`events[${i}].venue.mapImage`, (weddingEvent.venue || {}).mapImage));
+    return files;
+}
+
+// Local PNGs of the images in MEDIA_ASSETS, for tools/media.js
+function mediaFiles(config) {
+    return [...new Set(configFiles(config)
+        .filter(([where, file]) => MEDIA_ASSETS.some(key => where === `assets.${key}` || where.startsWith(`assets.${key}.`))
+            && /\.png$/i.test(file))
+        .map(([, file]) => file.replace(/^\//, '')))];
+}
+
+// Local scripts, stylesheets, images and links in index.html
+function pageFiles(html) {
+    const files = new Set();
+    const pattern = /\s(?:src|href)="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const file = match[1].split(/[?#]/)[0].replace(/^\//, '');
+        if (file && !REMOTE.test(match[1]) && !GENERATED_FILES.includes(file)) files.add(file);
+    }
+    return [...files];
+}
+
+function toLocalPath(root, file) {
+    return path.join(root, file.split(/[?#]/)[0].replace(/^\//, ''));
+}
+
+// { config, errors: [], warnings: [] }; config is null when wedding.json can't be read
+function validate(root) {
+    const errors = [];
+    const warnings = [];
+    const exists = file => fs.existsSync(toLocalPath(root, file));
+
+    let config;
+    try {
+        config = readJson(path.join(root, 'wedding.json'));
+    } catch (error) {
+        errors.push(`wedding.json: ${error.message}`);
+        return { config: null, errors, warnings };
+    }
+
+    const couple = config.couple || {};
+    if (!couple.groom || !couple.bride) errors.push('couple: groom and bride are required');
+
+    const site = config.site || {};
+    let siteUrl = null;
+    try {
+        siteUrl = new URL(site.url);
+    } catch (error) {
+        errors.push(`site.url: "${site.url || ''}" is not an absolute address like https://example.com`);
+    }
+    if (siteUrl && !/^https?:$/.test(siteUrl.protocol)) {
+        errors.push(`site.url: ${site.url} is not an http(s) address`);
+    } else if (siteUrl && siteUrl.hostname.endsWith(PLACEHOLDER_HOST)) {
+        warnings.push(`site.url: ${site.url} is still the placeholder; links, the sitemap and previews will point there`);
+    }
+    if (!site.description) warnings.push('site.description: missing, so search results and previews have no description');
+
+    const events = Array.isArray(config.events) ? config.events : [];
+    if (!events.length) errors.push('events: at least one event is required');
+    const ids = new Set();
+    events.forEach((weddingEvent, i) => {
+        const where = `events[${i}]`;
+        if (!weddingEvent.id) {
+            errors.push(`${where}.id: required`);
+        } else if (ids.has(weddingEvent.id)) {
+            errors.push(`${where}.id: "${weddingEvent.id}" is used by another event`);
+        }
+        ids.add(weddingEvent.id);
+
+        ['start', 'end'].filter(field => field === 'start' || weddingEvent[field]).forEach(field => {
+            if (!WALL_CLOCK.test(weddingEvent[field] || '')) {
+                errors.push(`${where}.${field}: "${weddingEvent[field] || ''}" is not a venue time like 2024-12-28T19:00:00`);
+            }
+        });
+        if (WALL_CLOCK.test(weddingEvent.start || '') && WALL_CLOCK.test(weddingEvent.end || '')
+            && EventTime.toDate(weddingEvent.end) <= EventTime.toDate(weddingEvent.start)) {
+            errors.push(`${where}.end: ${weddingEvent.end} is not after the start`);
+        }
+
+        const { timeZone } = InvitationMeta.getEventVenue(config, weddingEvent);
+        if (timeZone && !EventTime.isValidTimeZone(timeZone)) {
+            errors.push(`${where}: "${timeZone}" is not an IANA time zone`);
+        }
+    });
+
+    const i18n = new I18n(config.i18n);
+    i18n.languages.forEach(language => {
+        const file = path.join(i18n.path, `${language}.json`);
+        try {
+            readJson(path.join(root, file));
+        } catch (error) {
+            errors.push(`i18n.languages: ${file} ${error.code === 'ENOENT' ? 'does not exist' : `is not valid JSON (${error.message})`}`);
+        }
+    });
+    if (!i18n.languages.includes(i18n.defaultLanguage)) {
+        errors.push(`i18n.defaultLanguage: "${i18n.defaultLanguage}" is not one of the languages`);
+    }
+
+    const theme = config.theme || {};
+    if (theme.preset && !Theme.PRESETS[theme.preset]) {
+        errors.push(`theme.preset: "${theme.preset}" is not one of ${Object.keys(Theme.PRESETS).join(', ')}`);
+    }
+
+    configFiles(config).forEach(([where, file]) => {
+        if (exists(file)) return;
+        if (OPTIONAL_FILES.test(where)) {
+            warnings.push(`${where}: ${file} does not exist yet, so the invitation goes without it until it is added`);
+        } else {
+            errors.push(`${where}: ${file} does not exist`);
+        }
+    });
+    MEDIA_ASSETS.forEach(key => {
+        const value = (config.assets || {})[key];
+        [].concat(value && typeof value === 'object' ? Object.values(value) : value || [])
+            .filter(file => REMOTE.test(file))
+            .forEach(file => warnings.push(`assets.${key}: ${file} is on another site, so every guest downloads it at full size; save it as a PNG under assets/ to get smaller copies`));
+    });
+    ((config.music || {}).tracks || []).forEach((track, i) => {
+        (track.sources || []).forEach((source, j) => {
+            if (source.bitrate != null && !(Number(source.bitrate) > 0)) {
+                errors.push(`music.tracks[${i}].sources[${j}].bitrate: "${source.bitrate}" is not a number of kbit/s like 96`);
+            }
+        });
+    });
+
+    if (!site.icon) {
+        warnings.push('site.icon: not set, so the app manifest has no icons and there is no favicon');
+    } else if (!REMOTE.test(site.icon) && exists(site.icon)) {
+        try {
+            const header = png.readHeader(fs.readFileSync(toLocalPath(root, site.icon)));
+            if (header.interlace) errors.push(`site.icon: ${site.icon} is interlaced; save it without interlacing`);
+            if (Math.min(header.width, header.height) < Math.max(...ICON_SIZES)) {
+                warnings.push(`site.icon: ${site.icon} is ${header.width}x${header.height}; the larger icons will be blurry below ${Math.max(...ICON_SIZES)}x${Math.max(...ICON_SIZES)}`);
+            }
+        } catch (error) {
+            errors.push(`site.icon: ${site.icon} can't be used (${error.message})`);
+        }
+    } else if (REMOTE.test(site.icon)) {
+        errors.push(`site.icon: ${site.icon} must be a file in the site, icons are resized from it`);
+    }
+
+    ['index.html', 'manifest.json', 'sw.js'].forEach(file => {
+        if (!exists(file)) errors.push(`${file}: does not exist`);
+    });
+    if (exists('index.html')) {
+        pageFiles(fs.readFileSync(path.join(root, 'index.html'), 'utf8')).forEach(file => {
+            if (!exists(file)) errors.push(`index.html: ${file} does not exist`);
+        });
+    }
+
+    return { config, errors, warnings };
+}
+
+function report(result) {
+    result.errors.forEach(message => console.error(`error: ${message}`));
+    result.warnings.forEach(message => console.warn(`warning: ${message}`));
+    console.log(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+}
+
+function renderIndexHtml(html, config, i18n, theme, media = {}) {
+    const { title, canonical, tags } = InvitationMeta.getTags(config, i18n);
+    // "<" escaped so nothing in the config can close the script element
+    const structuredData = JSON.stringify(InvitationMeta.buildStructuredData(config), null, 4)
+        .replace(/</g, '\\u003c')
+        .replace(/^/gm, '    ');
+
+    const filled = tags.reduce((text, { attribute, key, content }) => text.replace(
+        new RegExp(`(<meta ${attribute}="${escapeRegExp(key)}" content=")[^"]*(")`),
+        (match, before, after) => before + escapeHtml(content) + after
+    ), html)
+        .replace(/<html lang="[^"]*"( dir="[^"]*")?>/, `<html lang="${i18n.language}" dir="${i18n.dir}">`)
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+        .replace(/(<link rel="canonical" href=")[^"]*(")/, (match, before, after) => before + escapeHtml(canonical) + after)
+        .replace(/(<script type="application\/ld\+json">\n)[\s\S]*?(\n\s*<\/script>)/, (match, before, after) => before + structuredData + after);
+
+    // css/media.css picks the background's size; preloading the full PNG
+    // would download it on every screen and connection
+    const background = config.assets && config.assets.background;
+    const withMedia = media[background]
+        ? filled
+            .replace(new RegExp(`\\s*<link rel="preload" href="${escapeRegExp(background)}" as="image">`), '')
+            .replace(/(( *)<link rel="stylesheet" href="css\/styles\.css">)/, '$1\n$2<link rel="stylesheet" href="css/media.css">')
+        : filled;
+
+    return updateIndexHtml(withMedia, theme);
+}
+
+// Writes the icons into out and returns the manifest's icon list
+function writeIcons(root, out, icon, background) {
+    if (!icon) return [];
+
+    const source = png.decode(fs.readFileSync(toLocalPath(root, icon)));
+    const write = (file, image) => fs.writeFileSync(path.join(out, file), png.encode(image));
+    fs.mkdirSync(path.join(out, 'icons'), { recursive: true });
+
+    const icons = ICON_SIZES.map(size => {
+        const src = `icons/icon-${size}x${size}.png`;
+        write(src, png.resizeSquare(source, size));
+        return { src, sizes: `${size}x${size}`, type: 'image/png', purpose: 'any' };
+    }).concat(MASKABLE_SIZES.map(size => {
+        const src = `icons/maskable-${size}x${size}.png`;
+        write(src, png.pad(source, size, background, MASKABLE_INSET));
+        return { src, sizes: `${size}x${size}`, type: 'image/png', purpose: 'maskable' };
+    }));
+
+    // iOS draws transparent corners black, so the touch icon sits on the background too
+    write('apple-touch-icon.png', png.pad(source, APPLE_TOUCH_SIZE, background, 0));
+    fs.writeFileSync(path.join(out, 'favicon.ico'), png.toIco(FAVICON_SIZES.map(size => ({
+        size,
+        png: png.encode(png.resizeSquare(source, size))
+    }))));
+
+    return icons;
+}
+
+// manifest.json in the source tree is the template; what the config
+// knows replaces its values, in the template's order
+function renderWebManifest(template, config, i18n, theme, icons, out) {
+    const manifest = Object.assign({}, template, {
+        name: i18n.t('meta.title', { couple: InvitationMeta.getCoupleTitle(config) }),
+        short_name: InvitationMeta.getCoupleTitle(config),
+        description: config.site.description || template.description,
+        lang: i18n.language,
+        dir: i18n.dir
+    }, manifestColors(theme), { icons });
+
+    manifest.screenshots = (template.screenshots || []).filter(screenshot => fs.existsSync(path.join(out, screenshot.src)));
+    if (!manifest.screenshots.length) delete manifest.screenshots;
+
+    return JSON.stringify(manifest, null, 4) + '\n';
+}
+
+// Every language's address, each listing all of them as alternates
+function renderSitemap(config, lastmod) {
+    const url = InvitationMeta.resolveUrl(config, '');
+    const { languages, defaultLanguage } = new I18n(config.i18n);
+    const addressFor = language => (language === defaultLanguage ? url : `${url}?lang=${language}`);
+    const alternates = languages
+        .map(language => `        <xhtml:link rel="alternate" hreflang="${language}" href="${escapeHtml(addressFor(language))}"/>`)
+        .concat(`        <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHtml(url)}"/>`)
+        .join('\n');
+
+    const entries = languages.map(language => [
+        '    <url>',
+        `        <loc>${escapeHtml(addressFor(language))}</loc>`,
+        `        <lastmod>${lastmod}</lastmod>`,
+        alternates,
+        '    </url>'
+    ].join('\n'));
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"\n' +
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+        `${entries.join('\n')}\n` +
+        '</urlset>\n';
+}
+
+// Personal invitation files stay out of search results
+// The guests' files aren't named here: robots.txt is public, and listing
+// where they are would only point at them
+function renderRobots(config) {
+    return [
+        'User-agent: *',
+        'Disallow:',
+        '',
+        `Sitemap: ${InvitationMeta.resolveUrl(config, 'sitemap.xml')}`,
+        ''
+    ].join('\n');
+}
+
+function copy(root, out, relative) {
+    const from = path.join(root, relative);
+    if (!fs.existsSync(from)) return;
+    fs.cpSync(from, path.join(out, relative), {
+        recursive: true,
+        filter: source => !path.basename(source).startsWith('.')
+    });
+}
+
+function build(root, out) {
+    const result = validate(root);
+    report(result);
+    if (result.errors.length) {
+        throw new Error('the site was not built; fix the errors above first');
+    }
+
+    // Emptied before every build, so it must not hold the sources
+    const relative = path.relative(out, root);
+    if (!relative || !relative.startsWith('..')) {
+        throw new Error(`--out ${out} contains the site sources`);
+    }
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+
+    const rawConfig = result.config;
+    const i18n = createI18n(root, rawConfig);
+    const config = i18n.localizeAll(rawConfig);
+    const theme = new Theme(rawConfig.theme);
+
+    SITE_FILES.forEach(file => copy(root, out, file));
+
+    const background = Theme.hexToRgb(manifestColors(theme).background_color) || [255, 255, 255];
+    const icons = writeIcons(root, out, config.site.icon, background);
+
+    const media = writeMedia(root, out, mediaFiles(rawConfig).filter(file => fs.existsSync(path.join(root, file))));
+    const cardBackground = (config.assets || {}).background;
+    if (media[cardBackground]) media[cardBackground].card = cardCopy(media[cardBackground]);
+    if (Object.keys(media).length) {
+        fs.writeFileSync(path.join(out, 'wedding.json'), JSON.stringify(Object.assign({}, rawConfig, { media }), null, 4) + '\n');
+    }
+    if (media[cardBackground]) {
+        fs.writeFileSync(path.join(out, 'css', 'media.css'), renderMediaCss(media[cardBackground], cardBackground));
+    }
+
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    fs.writeFileSync(path.join(out, 'index.html'), renderIndexHtml(html, config, i18n, theme, media));
+    fs.writeFileSync(path.join(out, 'manifest.json'),
+        renderWebManifest(readJson(path.join(root, 'manifest.json')), config, i18n, theme, icons, out));
+    fs.writeFileSync(path.join(out, 'sitemap.xml'), renderSitemap(config, new Date().toISOString().slice(0, 10)));
+    fs.writeFileSync(path.join(out, 'robots.txt'), renderRobots(config));
+
+    // Last, so the hashes cover everything above. A changed sw.js is what
+    // makes browsers look for an update, so it carries the version too.
+    const manifest = buildManifest(out);
+    fs.writeFileSync(path.join(out, 'precache-manifest.js'), renderManifest(manifest));
+    const worker = fs.readFileSync(path.join(out, 'sw.js'), 'utf8');
+    fs.writeFileSync(path.join(out, 'sw.js'), `// Build ${manifest.version} (tools/site.js)\n${worker}`);
+
+    console.log(`Built ${manifest.version}: ${manifest.entries.length} precached file(s) and ${icons.length} icon(s) in ${path.relative(process.cwd(), out) || '.'}`);
+    return manifest;
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !['validate', 'build', 'serve'].includes(options.command)) {
+        console.log('Usage: node tools/site.js <validate|build|serve> [--root <dir>] [--out <dir>] [--port <n>]');
+        return options.help ? 0 : 1;
+    }
+
+    const root = path.resolve(options.root || ROOT);
+    const out = path.resolve(options.out || path.join(root, 'dist'));
+
+    if (options.command === 'validate') {
+        const result = validate(root);
+        report(result);
+        return result.errors.length ? 1 : 0;
+    }
+
+    build(root, out);
+    if (options.command === 'serve') {
+        // Required here so validate and build don't load the server
+        const { createServer } = require('../server/server');
+        const port = Number(options.port || process.env.PORT) || 8080;
+        createServer({
+            root: out,
+            guestRoot: root,
+            dataDir: process.env.DATA_DIR,
+            hostPassword: process.env.HOST_PASSWORD
+        }).listen(port, () => {
+            console.log(`Serving ${path.relative(process.cwd(), out) || '.'} at http://localhost:${port}/`);
+        });
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    build,
+    renderIndexHtml,
+    renderRobots,
+    renderSitemap,
+    renderWebManifest,
+    run,
+    validate
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Theme colours for the web app manifest
+// Browsers read theme_color and background_color from manifest.json when
+// the invitation is installed, without running any script, so they are
+// written from the theme in wedding.json instead of being set by the page.
+// The theme-color meta tags in index.html are updated too, so the browser
+// chrome has the right colour before the config loads. Run it after
+// changing the theme, before tools/precache-manifest.js.
+//
+// Usage: node tools/theme-manifest.js [--root <dir>]
+//   --root <dir>   site directory holding wedding.json, manifest.json and
+//                  index.html (default: the repository root)
+
+const fs = require('fs');
+const path = require('path');
+const Theme = require('../js/theme');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--root') {
+            options.root = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+    return options;
+}
+
+// An installed app has one colour, so a theme that follows the system
+// scheme uses its light palette there
+function manifestColors(theme) {
+    const colors = theme.colorScheme === 'dark' ? theme.dark : theme.light;
+    return { theme_color: colors.themeColor, background_color: colors.background };
+}
+
+// Only the two values change, so the file keeps its hand formatting
+function updateManifest(text, theme) {
+    const colors = manifestColors(theme);
+    return Object.keys(colors).reduce((updated, key) => {
+        const pattern = new RegExp(`("${key}"\\s*:\\s*)"[^"]*"`);
+        if (!pattern.test(updated)) throw new Error(`manifest.json has no ${key}`);
+        return updated.replace(pattern, `$1"${colors[key]}"`);
+    }, text);
+}
+
+function updateIndexHtml(html, theme) {
+    return html.replace(/<meta name="theme-color" content="[^"]*"( media="([^"]*)")?>/g, (tag, mediaAttribute, media) => {
+        const dark = /dark/.test(media || '');
+        const colors = theme.colorScheme === 'auto' ? (dark ? theme.dark : theme.light) : theme[theme.colorScheme];
+        return `<meta name="theme-color" content="${colors.themeColor}"${mediaAttribute || ''}>`;
+    });
+}
+
+function run(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log('Usage: node tools/theme-manifest.js [--root <dir>]');
+        return 0;
+    }
+
+    const root = path.resolve(options.root || ROOT);
+    const config = JSON.parse(fs.readFileSync(path.join(root, 'wedding.json'), 'utf8'));
+    const theme = new Theme(config.theme);
+
+    const manifestPath = path.join(root, 'manifest.json');
+    fs.writeFileSync(manifestPath, updateManifest(fs.readFileSync(manifestPath, 'utf8'), theme));
+
+    const indexPath = path.join(root, 'index.html');
+    fs.writeFileSync(indexPath, updateIndexHtml(fs.readFileSync(indexPath, 'utf8'), theme));
+
+    const colors = manifestColors(theme);
+    console.log(`Theme ${theme.name} (${theme.colorScheme}): theme_color ${colors.theme_color}, background_color ${colors.background_color}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    manifestColors,
+    run,
+    updateIndexHtml,
+    updateManifest
+};